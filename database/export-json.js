@@ -0,0 +1,47 @@
+/*
+ * Export the Postgres database as JSON data files
+ *
+ *   npm run db:export -- path/to/backup
+ *
+ * Writes every data file of the JSON store (users.json, courses.json
+ * and so on, see lib/store/json.js), so the directory can serve as a
+ * backup, be imported again with `npm run db:import`, or be used as
+ * server.js's data directory. Connects to `DATABASE_URL` like
+ * server_pg.js. See lib/transfer.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Client } = require('pg');
+const { exportJsonData } = require('../lib/transfer');
+
+async function main() {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  if (!process.argv[2]) {
+    throw new Error('Usage: npm run db:export -- <directory>');
+  }
+  const dataDir = path.resolve(process.argv[2]);
+  if (fs.existsSync(path.join(dataDir, 'users.json')) && !process.argv.includes('--force')) {
+    throw new Error(`${dataDir} already holds data files; pass --force to overwrite them`);
+  }
+
+  const client = new Client({ connectionString });
+  await client.connect();
+  try {
+    const counts = await exportJsonData(client, dataDir);
+    console.log(`Exported to ${dataDir}:`);
+    for (const name of Object.keys(counts)) {
+      console.log(`  ${name}: ${counts[name]}`);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(`Export failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,52 @@
+/*
+ * Import the JSON server's data files into Postgres
+ *
+ *   npm run db:import                   import from ./data
+ *   npm run db:import -- path/to/data   import from another directory
+ *
+ * Connects to `DATABASE_URL` like server_pg.js. The database must be
+ * migrated first (`npm run migrate`). Conflicting records are listed and
+ * skipped; the exit code is 2 when there were any. See lib/transfer.js.
+ */
+
+const path = require('path');
+const { Client } = require('pg');
+const { listMigrations, appliedVersions } = require('../lib/migrations');
+const { readJsonData, importJsonData } = require('../lib/transfer');
+
+async function main() {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  const dataDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data'));
+  const data = readJsonData(dataDir);
+
+  const client = new Client({ connectionString });
+  await client.connect();
+  try {
+    const applied = new Set(await appliedVersions(client));
+    if (listMigrations().some((m) => !applied.has(m.version))) {
+      throw new Error('The database has pending migrations; run `npm run migrate` first');
+    }
+    const report = await importJsonData(client, data);
+    console.log(`Imported from ${dataDir}:`);
+    for (const name of Object.keys(report.imported)) {
+      console.log(`  ${name}: ${report.imported[name]} imported, ${report.skipped[name]} already present`);
+    }
+    if (report.conflicts.length > 0) {
+      console.log(`${report.conflicts.length} conflicts, not imported:`);
+      for (const { kind, id, reason } of report.conflicts) {
+        console.log(`  ${kind} ${id}: ${reason}`);
+      }
+      process.exitCode = 2;
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(`Import failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,36 @@
+/*
+ * Apply the database migrations and optionally seed sample data
+ *
+ *   npm run migrate            apply pending migrations
+ *   npm run migrate -- --seed  also load database/seed.sql
+ *   npm run db:seed            the same as `--seed`
+ *
+ * Connects to the database named by the `DATABASE_URL` environment
+ * variable, the same one server_pg.js uses. See lib/migrations.js.
+ */
+
+const { Client } = require('pg');
+const { migrate, seed } = require('../lib/migrations');
+
+async function main() {
+  const connectionString = process.env.DATABASE_URL;
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is not set');
+  }
+  const client = new Client({ connectionString });
+  await client.connect();
+  try {
+    const applied = await migrate(client, { log: console.log });
+    if (applied.length === 0) console.log('Database is up to date');
+    if (process.argv.includes('--seed')) {
+      await seed(client, { log: console.log });
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(`Migration failed: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,13 @@
+-- admin, instructor or learner (see lib/roles.js). The oldest account
+-- becomes the admin if there is none, matching the old rule that user 1
+-- is the administrator.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'learner'
+  CHECK (role IN ('admin', 'instructor', 'learner'));
+
+UPDATE users SET role = 'admin'
+  WHERE id = (SELECT MIN(id) FROM users)
+    AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin');
+
+-- Instructors manage only the courses they own
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
@@ -0,0 +1,6 @@
+-- Level body shown on level.html and the order within the course,
+-- starting at 1. Existing levels stay at position 0 and sort by id
+-- until their course is reordered.
+
+ALTER TABLE levels ADD COLUMN IF NOT EXISTS content TEXT;
+ALTER TABLE levels ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,13 @@
+-- Profiles stored in Postgres rather than in the JSON files
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS name TEXT;
+-- URL of the uploaded profile picture under /uploads
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_picture TEXT;
+
+-- Course enrollments with the learner's progress in percent
+CREATE TABLE IF NOT EXISTS user_courses (
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER REFERENCES courses(id) ON DELETE CASCADE,
+  progress INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, course_id)
+);
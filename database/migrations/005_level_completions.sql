@@ -0,0 +1,24 @@
+-- Progress is derived from completed levels (see lib/progress.js)
+-- instead of a percentage set by the client, which is dropped.
+-- Learners at 100 had completed the course: they get every level of it
+-- completed and keep the completion. Lower percentages do not say which
+-- levels were done.
+
+CREATE TABLE level_completions (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level_id INTEGER NOT NULL REFERENCES levels(id) ON DELETE CASCADE,
+  completed_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, level_id)
+);
+
+-- When the user first completed every level of the course
+ALTER TABLE user_courses ADD COLUMN completed_at TIMESTAMP;
+
+INSERT INTO level_completions (user_id, level_id)
+SELECT uc.user_id, l.id
+  FROM user_courses uc JOIN levels l ON l.course_id = uc.course_id
+ WHERE uc.progress >= 100;
+
+UPDATE user_courses SET completed_at = NOW() WHERE progress >= 100;
+
+ALTER TABLE user_courses DROP COLUMN progress;
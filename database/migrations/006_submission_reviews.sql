@@ -0,0 +1,11 @@
+-- Review workflow for submissions (see lib/submissions.js)
+
+ALTER TABLE submissions ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'
+  CHECK (status IN ('pending', 'approved', 'rejected', 'resubmit_requested'));
+ALTER TABLE submissions ADD COLUMN reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE submissions ADD COLUMN grade INTEGER CHECK (grade BETWEEN 0 AND 100);
+ALTER TABLE submissions ADD COLUMN feedback TEXT;
+ALTER TABLE submissions ADD COLUMN reviewed_at TIMESTAMP;
+
+CREATE INDEX submissions_level_id_idx ON submissions (level_id);
+CREATE INDEX submissions_user_id_idx ON submissions (user_id);
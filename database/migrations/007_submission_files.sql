@@ -0,0 +1,14 @@
+-- Files uploaded with submissions. The files are kept in the file store
+-- (see lib/fileStore.js) under `storage_key`.
+
+CREATE TABLE submission_files (
+  id SERIAL PRIMARY KEY,
+  submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size INTEGER NOT NULL,
+  storage_key TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX submission_files_submission_id_idx ON submission_files (submission_id);
@@ -0,0 +1,25 @@
+-- Level types and quiz attempts (see lib/quizzes.js). A quiz level keeps
+-- its quiz, question bank included, in `quiz`; each attempt keeps its
+-- own copy of the questions it drew.
+
+ALTER TABLE levels ADD COLUMN type TEXT NOT NULL DEFAULT 'assignment'
+  CONSTRAINT levels_type_check CHECK (type IN ('assignment', 'quiz'));
+ALTER TABLE levels ADD COLUMN quiz JSONB;
+
+CREATE TABLE quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  level_id INTEGER NOT NULL REFERENCES levels(id) ON DELETE CASCADE,
+  questions JSONB NOT NULL,
+  answers JSONB,
+  score INTEGER CHECK (score BETWEEN 0 AND 100),
+  passed BOOLEAN,
+  started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  submitted_at TIMESTAMP
+);
+
+CREATE INDEX quiz_attempts_user_id_idx ON quiz_attempts (user_id);
+CREATE INDEX quiz_attempts_level_id_idx ON quiz_attempts (level_id);
+
+-- At most one open attempt per user and level
+CREATE UNIQUE INDEX quiz_attempts_open_idx ON quiz_attempts (user_id, level_id) WHERE submitted_at IS NULL;
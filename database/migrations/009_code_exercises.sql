@@ -0,0 +1,9 @@
+-- Code exercise levels (see lib/exercises.js). An exercise level keeps
+-- its starter code and hidden tests in `exercise`; submissions to it
+-- record the result of every test.
+
+ALTER TABLE levels DROP CONSTRAINT levels_type_check;
+ALTER TABLE levels ADD CONSTRAINT levels_type_check CHECK (type IN ('assignment', 'quiz', 'exercise'));
+ALTER TABLE levels ADD COLUMN exercise JSONB;
+
+ALTER TABLE submissions ADD COLUMN test_results JSONB;
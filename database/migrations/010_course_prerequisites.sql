@@ -0,0 +1,13 @@
+-- Course prerequisites and sequential courses (see lib/unlocking.js). A
+-- course's levels stay locked until its prerequisite courses are
+-- completed; in a sequential course each level also waits for the one
+-- before it.
+
+ALTER TABLE courses ADD COLUMN sequential BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE course_prerequisites (
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  prerequisite_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  PRIMARY KEY (course_id, prerequisite_id),
+  CHECK (course_id <> prerequisite_id)
+);
@@ -0,0 +1,17 @@
+-- Explicit enrollment (see lib/enrollment.js). Courses say how learners
+-- may join and how many they take; invitations, requests to join and
+-- waitlist places are kept until the user is enrolled or turned away.
+
+ALTER TABLE courses ADD COLUMN enrollment_policy TEXT NOT NULL DEFAULT 'open'
+  CONSTRAINT courses_enrollment_policy_check CHECK (enrollment_policy IN ('open', 'invite', 'approval'));
+ALTER TABLE courses ADD COLUMN seat_limit INTEGER CHECK (seat_limit > 0);
+
+CREATE TABLE enrollment_requests (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  status TEXT NOT NULL CHECK (status IN ('invited', 'pending', 'waitlisted')),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, course_id)
+);
+
+CREATE INDEX enrollment_requests_course_id_idx ON enrollment_requests (course_id);
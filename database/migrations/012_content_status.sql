@@ -0,0 +1,11 @@
+-- Draft, published and archived courses and levels (see
+-- lib/publishing.js). Everything that exists already stays published;
+-- new courses and levels start as drafts.
+
+ALTER TABLE courses ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+  CONSTRAINT courses_status_check CHECK (status IN ('draft', 'published', 'archived'));
+ALTER TABLE courses ALTER COLUMN status SET DEFAULT 'draft';
+
+ALTER TABLE levels ADD COLUMN status TEXT NOT NULL DEFAULT 'published'
+  CONSTRAINT levels_status_check CHECK (status IN ('draft', 'published', 'archived'));
+ALTER TABLE levels ALTER COLUMN status SET DEFAULT 'draft';
@@ -0,0 +1,22 @@
+-- Revisions of the text of courses and levels (see lib/revisions.js).
+-- A course's own revisions have no level_id.
+
+CREATE TABLE content_revisions (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  level_id INTEGER REFERENCES levels(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  description TEXT,
+  content TEXT,
+  action TEXT NOT NULL CHECK (action IN ('original', 'create', 'edit', 'restore')),
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  restored_from INTEGER REFERENCES content_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX content_revisions_course_id_idx ON content_revisions (course_id);
+
+-- When each learner enrolled, which decides the revisions they read.
+-- Enrollments from before this column have none.
+ALTER TABLE user_courses ADD COLUMN enrolled_at TIMESTAMP;
+ALTER TABLE user_courses ALTER COLUMN enrolled_at SET DEFAULT NOW();
@@ -0,0 +1,30 @@
+-- Knowledge base articles get tags, an owner, links to the levels and
+-- courses they help with, and a weighted search document: title (A),
+-- tags (B) and content (C). The store keeps search_vector up to date
+-- on every write (see lib/knowledge.js).
+
+ALTER TABLE knowledge_base ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE knowledge_base ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE knowledge_base ADD COLUMN search_vector TSVECTOR;
+
+UPDATE knowledge_base SET search_vector =
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+  || setweight(to_tsvector('english', COALESCE(content, '')), 'C');
+
+CREATE INDEX knowledge_base_search_vector_idx ON knowledge_base USING GIN (search_vector);
+
+CREATE TABLE knowledge_levels (
+  knowledge_id INTEGER NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  level_id INTEGER NOT NULL REFERENCES levels(id) ON DELETE CASCADE,
+  PRIMARY KEY (knowledge_id, level_id)
+);
+
+CREATE INDEX knowledge_levels_level_id_idx ON knowledge_levels (level_id);
+
+CREATE TABLE knowledge_courses (
+  knowledge_id INTEGER NOT NULL REFERENCES knowledge_base(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  PRIMARY KEY (knowledge_id, course_id)
+);
+
+CREATE INDEX knowledge_courses_course_id_idx ON knowledge_courses (course_id);
@@ -0,0 +1,8 @@
+-- Course tags for the catalogue's ?tag= filter (see lib/tags.js), and
+-- indexes for the sorted pages of lib/listing.js.
+
+ALTER TABLE courses ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX courses_tags_idx ON courses USING GIN (tags);
+CREATE INDEX levels_course_id_position_idx ON levels (course_id, position);
+CREATE INDEX submissions_created_at_idx ON submissions (created_at);
@@ -0,0 +1,18 @@
+-- Append-only log of what learners do (see lib/events.js). Course, level
+-- and submission ids are kept as they were when the event happened, so
+-- they have no foreign keys: deleting content leaves the history alone.
+-- Only deleting the user removes their events.
+
+CREATE TABLE events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('login', 'course_view', 'level_view', 'progress', 'submission', 'review')),
+  course_id INTEGER,
+  level_id INTEGER,
+  submission_id INTEGER,
+  data JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX events_user_id_created_at_idx ON events (user_id, created_at);
+CREATE INDEX events_created_at_idx ON events (created_at);
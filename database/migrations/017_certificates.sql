@@ -0,0 +1,19 @@
+-- Course completion certificates (see lib/certificates.js). The learner's
+-- name and the course title are copied in when the certificate is
+-- issued; a deleted course leaves its certificates verifiable.
+
+CREATE TABLE certificates (
+  id TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER REFERENCES courses(id) ON DELETE SET NULL,
+  user_name TEXT NOT NULL,
+  course_title TEXT NOT NULL,
+  completed_at TIMESTAMP,
+  issued_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMP,
+  revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  UNIQUE (user_id, course_id)
+);
+
+CREATE INDEX certificates_course_id_idx ON certificates (course_id);
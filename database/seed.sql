@@ -1,18 +1,37 @@
 -- Sample data to seed the learning webapp database
 
 -- Insert example courses
-INSERT INTO courses (title, description, content, image) VALUES
-  ('Introduction to Programming', 'Learn basic programming concepts', 'Welcome to the Introduction to Programming course!', NULL),
-  ('Web Development Basics', 'Get started with HTML, CSS and JavaScript', 'This course introduces the fundamentals of web development.', NULL);
+INSERT INTO courses (title, description, content, image, status, tags) VALUES
+  ('Introduction to Programming', 'Learn basic programming concepts', 'Welcome to the Introduction to Programming course!', NULL, 'published', '{programming,beginner}'),
+  ('Web Development Basics', 'Get started with HTML, CSS and JavaScript', 'This course introduces the fundamentals of web development.', NULL, 'published', '{web,html,css,javascript}');
 
 -- Insert example levels for each course
-INSERT INTO levels (title, description, course_id) VALUES
-  ('Variables and Data Types', 'Understand variables and data types', 1),
-  ('Control Structures', 'Learn about if statements and loops', 1),
-  ('HTML & CSS Fundamentals', 'Basics of building web pages', 2),
-  ('JavaScript Basics', 'Introduction to JavaScript programming', 2);
+INSERT INTO levels (title, description, course_id, position, status) VALUES
+  ('Variables and Data Types', 'Understand variables and data types', 1, 1, 'published'),
+  ('Control Structures', 'Learn about if statements and loops', 1, 2, 'published'),
+  ('HTML & CSS Fundamentals', 'Basics of building web pages', 2, 1, 'published'),
+  ('JavaScript Basics', 'Introduction to JavaScript programming', 2, 2, 'published');
 
--- Insert sample knowledge base entries
-INSERT INTO knowledge_base (title, content) VALUES
-  ('What is a Variable?', 'A variable is a storage location for data that can change during program execution.'),
-  ('HTML Tags Overview', 'HTML tags are used to structure the content of web pages.');
\ No newline at end of file
+-- A code exercise graded by hidden tests (see lib/exercises.js)
+INSERT INTO levels (title, description, course_id, position, status, type, exercise) VALUES
+  ('Your First Function', 'Write a function add(a, b) that returns the sum of two numbers', 2, 3, 'published', 'exercise',
+   '{"starterCode": "function add(a, b) {\n  // your code here\n}\n", "timeoutMs": 1000, "tests": [
+      {"id": 1, "name": "adds two positive numbers", "code": "assert.equal(add(2, 3), 5, \"add(2, 3) should be 5\");"},
+      {"id": 2, "name": "adds negative numbers", "code": "assert.equal(add(-4, 1), -3);"},
+      {"id": 3, "name": "adds decimals", "code": "assert(Math.abs(add(0.1, 0.2) - 0.3) < 1e-9);"}
+    ]}');
+
+-- Insert sample knowledge base articles, linked to the levels they help with
+INSERT INTO knowledge_base (title, content, tags) VALUES
+  ('What is a Variable?', 'A variable is a storage location for data that can change during program execution.', '{basics,variables}'),
+  ('HTML Tags Overview', 'HTML tags are used to structure the content of web pages.', '{html,web}');
+
+INSERT INTO knowledge_levels (knowledge_id, level_id) VALUES
+  (1, 1),
+  (2, 3);
+
+-- Their search documents (see lib/knowledge.js)
+UPDATE knowledge_base SET search_vector =
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+  || setweight(to_tsvector('english', array_to_string(tags, ' ')), 'B')
+  || setweight(to_tsvector('english', COALESCE(content, '')), 'C');
\ No newline at end of file
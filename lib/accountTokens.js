@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+/*
+ * Single-use tokens sent by mail
+ *
+ * Password reset and email verification links carry a random token.
+ * Only its SHA-256 hash is stored, with the user, what the token is for,
+ * the address it was mailed to and when it expires. A token works once,
+ * for its purpose, until it expires; issuing a user a new token for a
+ * purpose replaces their unused ones.
+ *
+ * A token only works for the address it was sent to, so links mailed
+ * to an old address do nothing once the user has changed it.
+ *
+ * createAccountMailer mails the links through a mail transport (see
+ * lib/mail.js). They point at the pages under `appUrl`, which must be
+ * configured rather than taken from the request, so a forged Host
+ * header cannot send someone a link to another site.
+ */
+
+// Lifetime of each kind of token, in minutes
+const TOKEN_PURPOSES = {
+  password_reset: 60,
+  email_verification: 24 * 60,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Store a new token of `purpose` for a user and their current address.
+// Resolves to the token itself, which is only ever given to the mail.
+async function issueToken(store, user, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.createAccountToken({
+    tokenHash: hashToken(token),
+    userId: user.id,
+    purpose,
+    email: user.email,
+    expiresAt: new Date(Date.now() + TOKEN_PURPOSES[purpose] * 60 * 1000),
+  });
+  return token;
+}
+
+// Use up a token of `purpose`. Resolves to its record { userId, purpose,
+// email, ... }, or null when it is unknown, used or expired.
+async function redeemToken(store, purpose, token) {
+  if (typeof token !== 'string' || token === '') return null;
+  return store.consumeAccountToken(purpose, hashToken(token));
+}
+
+// "1 hour", "90 minutes", "24 hours"
+function lifetimeOf(purpose) {
+  const minutes = TOKEN_PURPOSES[purpose];
+  const [count, unit] = minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+function createAccountMailer({ store, mailTransport, appUrl }) {
+  const link = (page, token) => `${appUrl}/${page}?token=${encodeURIComponent(token)}`;
+
+  // Ask a user to confirm their current email address
+  async function sendVerification(user) {
+    const token = await issueToken(store, user, 'email_verification');
+    await mailTransport.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: [
+        `Hello ${user.name || user.email},`,
+        '',
+        `Please confirm that ${user.email} is your email address by opening this link:`,
+        '',
+        link('verify-email.html', token),
+        '',
+        `The link works once and expires in ${lifetimeOf('email_verification')}.`,
+        'If you did not sign up or change your email address, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  // Send a user a link to choose a new password
+  async function sendPasswordReset(user) {
+    const token = await issueToken(store, user, 'password_reset');
+    await mailTransport.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hello ${user.name || user.email},`,
+        '',
+        'Someone asked to reset the password of your account. To choose a new password, open this link:',
+        '',
+        link('reset-password.html', token),
+        '',
+        `The link works once and expires in ${lifetimeOf('password_reset')}.`,
+        'If you did not ask for this, you can ignore this email; your password stays as it is.',
+      ].join('\n'),
+    });
+  }
+
+  return { sendVerification, sendPasswordReset };
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  hashToken,
+  issueToken,
+  redeemToken,
+  createAccountMailer,
+};
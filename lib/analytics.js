@@ -0,0 +1,169 @@
+const { STATUSES: SUBMISSION_STATUSES, REVIEW_STATUSES } = require('./submissions');
+
+/*
+ * Learning analytics
+ *
+ * The stores count what happened in a course with getCourseStats and
+ * list what a user did with listUserActivity; this module turns those
+ * into the reports the analytics routes send, as JSON or CSV.
+ *
+ * A course report gives
+ *   enrolled, completed   learners enrolled, and those who finished
+ *   completionRate        completed / enrolled, in percent
+ *   medianHoursToFinish   the median time from enrolling to finishing,
+ *                         over the learners for whom both are known
+ *   dropOff               the level most unfinished learners are stuck
+ *                         at: for each learner who has not finished,
+ *                         the first published level they have not
+ *                         completed
+ *   submissions           submissions per status, and approvalRate: the
+ *                         share of reviewed submissions that were
+ *                         approved, in percent
+ * and the same level by level. Rates are null when there is nothing to
+ * divide by.
+ */
+
+// Kinds of activity, in the order they are listed when they happened
+// at the same moment
+const ACTIVITY_TYPES = ['enrolled', 'submitted', 'reviewed', 'quiz_submitted', 'level_completed', 'course_completed'];
+
+// The middle of a list of numbers, or null for an empty one
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+// Submissions per status with the approval rate
+function submissionSummary(counts) {
+  const summary = Object.fromEntries(SUBMISSION_STATUSES.map((status) => [status, 0]));
+  for (const { status, count } of counts) summary[status] += count;
+  const reviewed = REVIEW_STATUSES.reduce((sum, status) => sum + summary[status], 0);
+  return { ...summary, approvalRate: percent(summary.approved, reviewed) };
+}
+
+// The report of a course from the statistics a store gathers for it:
+//   enrolled       number of learners enrolled
+//   completed      number of them who finished the course
+//   finishSeconds  seconds from enrolling to finishing, for each learner
+//                  who finished and whose enrollment time is known
+//   levels         the published levels in course order, as
+//                  { id, title, position, completed }, `completed`
+//                  counting the enrolled learners who completed it
+//   stops          [{ levelId, learners }]: unfinished learners by the
+//                  first published level they have not completed
+//   submissions    [{ levelId, status, count }]
+function courseReport(course, stats) {
+  const stuck = new Map(stats.stops.map((s) => [s.levelId, s.learners]));
+  const levels = stats.levels.map((level) => ({
+    levelId: level.id,
+    title: level.title,
+    position: level.position,
+    completed: level.completed,
+    completionRate: percent(level.completed, stats.enrolled),
+    stuck: stuck.get(level.id) || 0,
+    submissions: submissionSummary(stats.submissions.filter((s) => s.levelId === level.id)),
+  }));
+  const dropOff = levels.reduce((worst, level) => (level.stuck > (worst ? worst.stuck : 0) ? level : worst), null);
+  const medianSeconds = median(stats.finishSeconds);
+  return {
+    courseId: course.id,
+    title: course.title,
+    enrolled: stats.enrolled,
+    completed: stats.completed,
+    completionRate: percent(stats.completed, stats.enrolled),
+    medianHoursToFinish: medianSeconds === null ? null : Math.round(medianSeconds / 360) / 10,
+    dropOff: dropOff && { levelId: dropOff.levelId, title: dropOff.title, learners: dropOff.stuck },
+    submissions: submissionSummary(stats.submissions),
+    levels,
+  };
+}
+
+// Order activity by time, oldest first. Each event is { type, at,
+// courseId, courseTitle, levelId, levelTitle, submissionId, status,
+// score }, with null for what does not apply: the review status and
+// grade of a review, and the score and 'passed' or 'failed' of a quiz.
+function sortActivity(events) {
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at)
+    || ACTIVITY_TYPES.indexOf(a.type) - ACTIVITY_TYPES.indexOf(b.type));
+}
+
+// One CSV field. Fields a spreadsheet would run as a formula get a
+// leading quote.
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV text of `rows` under a header line; `columns` is a list of
+// [header, row => value]
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => header), ...rows.map((row) => columns.map(([, value]) => value(row)))];
+  return `${lines.map((fields) => fields.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+const submissionColumns = (of) => [
+  ...SUBMISSION_STATUSES.map((status) => [`submissions ${status}`, (row) => of(row)[status]]),
+  ['approval rate %', (row) => of(row).approvalRate],
+];
+
+// One line per course
+function coursesCsv(reports) {
+  return toCsv([
+    ['course id', (r) => r.courseId],
+    ['course', (r) => r.title],
+    ['enrolled', (r) => r.enrolled],
+    ['completed', (r) => r.completed],
+    ['completion rate %', (r) => r.completionRate],
+    ['median hours to finish', (r) => r.medianHoursToFinish],
+    ['drop-off level', (r) => r.dropOff && r.dropOff.title],
+    ['stuck at drop-off level', (r) => r.dropOff && r.dropOff.learners],
+    ...submissionColumns((r) => r.submissions),
+  ], reports);
+}
+
+// One line per level of a course
+function levelsCsv(report) {
+  return toCsv([
+    ['level id', (l) => l.levelId],
+    ['position', (l) => l.position],
+    ['level', (l) => l.title],
+    ['completed', (l) => l.completed],
+    ['completion rate %', (l) => l.completionRate],
+    ['stuck here', (l) => l.stuck],
+    ...submissionColumns((l) => l.submissions),
+  ], report.levels);
+}
+
+// One line per event
+function activityCsv(events) {
+  return toCsv([
+    ['time', (e) => e.at],
+    ['activity', (e) => e.type],
+    ['course id', (e) => e.courseId],
+    ['course', (e) => e.courseTitle],
+    ['level id', (e) => e.levelId],
+    ['level', (e) => e.levelTitle],
+    ['submission id', (e) => e.submissionId],
+    ['status', (e) => e.status],
+    ['score', (e) => e.score],
+  ], events);
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  median,
+  courseReport,
+  sortActivity,
+  toCsv,
+  coursesCsv,
+  levelsCsv,
+  activityCsv,
+};
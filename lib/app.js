@@ -0,0 +1,43 @@
+const path = require('path');
+const express = require('express');
+const { createApi } = require('./routes');
+const { createMailTransport } = require('./mail');
+
+/*
+ * Express application shared by server.js (JSON files) and server_pg.js
+ * (PostgreSQL). It serves the API from lib/routes on top of the given
+ * store and the pages from the `public` directory. Mail goes through the
+ * transport configured by MAIL_TRANSPORT (see lib/mail.js); the links in
+ * it and on certificates point at APP_URL, the address the pages are
+ * reached at.
+ */
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+
+// Submission files, outside PUBLIC_DIR so they are only served by the API
+const FILES_DIR = process.env.FILE_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'submissions');
+
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+function createApp(store) {
+  const app = express();
+
+  app.use(createApi(store, {
+    uploadsDir: path.join(PUBLIC_DIR, 'uploads'),
+    filesDir: FILES_DIR,
+    mailTransport: createMailTransport(),
+    appUrl: APP_URL,
+  }));
+
+  // Serve static files from the public directory
+  app.use(express.static(PUBLIC_DIR));
+
+  // Fallback: serve index.html for any other GET requests (client-side routing)
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
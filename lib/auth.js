@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+/*
+ * Session tokens for the learning web application
+ *
+ * Tokens are signed with HMAC-SHA256 and carry the user id, a session
+ * id and an expiry time. The signature stops clients from forging or
+ * editing a token, and the session id lets the server revoke a token
+ * on logout before it expires. Sessions are kept in memory, so
+ * restarting the server logs everybody out.
+ *
+ * Set SESSION_SECRET to use a fixed signing key; otherwise a random one
+ * is generated at startup.
+ */
+
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// Lifetime of a single token in seconds. Clients refresh before it runs out.
+const TOKEN_TTL = parseInt(process.env.SESSION_TTL, 10) || 60 * 60;
+
+// Active sessions keyed by session id: { userId, expiresAt }
+const sessions = new Map();
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function sign(data) {
+  return base64url(crypto.createHmac('sha256', SESSION_SECRET).update(data).digest());
+}
+
+// Remove sessions whose tokens have expired
+function pruneSessions() {
+  const now = Date.now();
+  for (const [sid, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(sid);
+  }
+}
+
+// Start a new session for a user and return its signed token
+function createSession(userId) {
+  pruneSessions();
+  const sid = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + TOKEN_TTL * 1000;
+  sessions.set(sid, { userId, expiresAt });
+  const payload = base64url(JSON.stringify({ sid, sub: userId, exp: Math.floor(expiresAt / 1000) }));
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Check a token's signature, expiry and session. Returns { userId, sid } or null.
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims.exp !== 'number' || claims.exp * 1000 <= Date.now()) return null;
+  const session = sessions.get(claims.sid);
+  if (!session || session.userId !== claims.sub) return null;
+  return { userId: claims.sub, sid: claims.sid };
+}
+
+// Exchange a valid token for a fresh one. The old token stops working.
+function refreshSession(token) {
+  const claims = verifyToken(token);
+  if (!claims) return null;
+  sessions.delete(claims.sid);
+  return createSession(claims.userId);
+}
+
+// End the session behind a token (logout)
+function destroySession(token) {
+  const claims = verifyToken(token);
+  if (claims) sessions.delete(claims.sid);
+  return !!claims;
+}
+
+// End every session belonging to a user, e.g. when the account is deleted
+// or the password changes, except the session `exceptSid` if given
+function destroyUserSessions(userId, exceptSid = null) {
+  for (const [sid, session] of sessions) {
+    if (session.userId === userId && sid !== exceptSid) sessions.delete(sid);
+  }
+}
+
+// Read the bearer token from the Authorization header
+function getBearerToken(req) {
+  const header = req.headers['authorization'] || '';
+  return header.replace(/^Bearer\s+/i, '').trim() || null;
+}
+
+module.exports = {
+  createSession,
+  verifyToken,
+  refreshSession,
+  destroySession,
+  destroyUserSessions,
+  getBearerToken,
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+/*
+ * Profile pictures
+ *
+ * An uploaded picture is only trusted once its first bytes show it is a
+ * PNG, JPEG, GIF or WebP image, whatever type the client claimed; SVG
+ * and anything else is refused. It is then decoded, cropped square and
+ * re-encoded as WebP in each of AVATAR_SIZES, so no uploaded bytes are
+ * ever served as they came in.
+ *
+ * The files of one picture share a random name, `<name>-<size>.webp`,
+ * in the public uploads directory. A user's profilePicture is the URL
+ * of the largest size; avatarUrls gives the others. Replacing or
+ * deleting a picture removes all of its files, and older single-file
+ * pictures too.
+ */
+
+// Square sizes, in pixels, each picture is stored in
+const AVATAR_SIZES = { small: 64, large: 256 };
+
+// Pictures with more pixels than this are refused before decoding
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Magic numbers of the accepted image formats
+const SIGNATURES = {
+  png: (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  jpeg: (head) => head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  gif: (head) => ['GIF87a', 'GIF89a'].includes(head.subarray(0, 6).toString('latin1')),
+  webp: (head) => head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+// Names of the files this module writes, and of the single files
+// pictures used to be stored in
+const AVATAR_FILE = /^avatar-[0-9a-f]{32}-(\d+)\.webp$/;
+const LEGACY_FILE = /^user-\d+-\d+\.[a-z0-9.+-]+$/i;
+
+function avatarError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+// The format of an image from its first bytes, or null
+function detectImageType(buffer) {
+  return Object.keys(SIGNATURES).find((type) => SIGNATURES[type](buffer)) || null;
+}
+
+// The URL of each size of a picture, from the profilePicture URL of a
+// user; a picture from before sizes existed serves as all of them
+function avatarUrls(url) {
+  if (!url) return null;
+  const match = AVATAR_FILE.exec(path.posix.basename(url));
+  if (!match) return Object.fromEntries(Object.keys(AVATAR_SIZES).map((size) => [size, url]));
+  const base = url.slice(0, -`${match[1]}.webp`.length);
+  return Object.fromEntries(Object.entries(AVATAR_SIZES).map(([size, px]) => [size, `${base}${px}.webp`]));
+}
+
+// Pictures live in `dir`, served from `urlPrefix`
+function createAvatarStore({ dir, urlPrefix = '/uploads' }) {
+  // The files behind a picture URL in `dir`. URLs this store did not
+  // hand out give none, so a stored URL can never point outside `dir`.
+  function filesOf(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${urlPrefix}/`)) return [];
+    const name = url.slice(urlPrefix.length + 1);
+    if (AVATAR_FILE.test(name)) {
+      return Object.values(avatarUrls(url)).map((sizeUrl) => path.join(dir, path.posix.basename(sizeUrl)));
+    }
+    return LEGACY_FILE.test(name) ? [path.join(dir, name)] : [];
+  }
+
+  // Check, resize and write a picture. Resolves to the URL of its
+  // largest size or rejects with an exposed error, leaving nothing on
+  // disk.
+  async function save(buffer) {
+    if (!detectImageType(buffer)) {
+      throw avatarError(415, 'Profile pictures must be PNG, JPEG, GIF or WebP images.');
+    }
+    let images;
+    try {
+      images = await Promise.all(Object.values(AVATAR_SIZES).map((px) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(px, px, { fit: 'cover' })
+        .webp()
+        .toBuffer()));
+    } catch (err) {
+      throw avatarError(400, 'The image could not be read.');
+    }
+    await fs.promises.mkdir(dir, { recursive: true });
+    const name = `avatar-${crypto.randomBytes(16).toString('hex')}`;
+    const sizes = Object.values(AVATAR_SIZES);
+    try {
+      for (let i = 0; i < sizes.length; i++) {
+        await fs.promises.writeFile(path.join(dir, `${name}-${sizes[i]}.webp`), images[i], { flag: 'wx' });
+      }
+    } catch (err) {
+      await remove(`${urlPrefix}/${name}-${Math.max(...sizes)}.webp`);
+      throw err;
+    }
+    return `${urlPrefix}/${name}-${Math.max(...sizes)}.webp`;
+  }
+
+  // Delete the files of a picture; missing files are ignored
+  async function remove(url) {
+    for (const file of filesOf(url)) {
+      await fs.promises.rm(file, { force: true });
+    }
+  }
+
+  return { dir, save, remove };
+}
+
+module.exports = {
+  AVATAR_SIZES,
+  detectImageType,
+  avatarUrls,
+  createAvatarStore,
+};
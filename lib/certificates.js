@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+/*
+ * Course completion certificates
+ *
+ * The stores issue a certificate the first time a learner completes a
+ * course, one per learner and course. A certificate keeps the learner's
+ * name and the course title as they were when it was issued, so it reads
+ * the same however the account or course changes later:
+ *
+ *   { id, userId, courseId, userName, courseTitle, completedAt,
+ *     issuedAt, revokedAt, revokedBy, revokeReason }
+ *
+ * Its id is random, not a sequence number, and is printed on the
+ * certificate so anyone can check it with the public verify route.
+ * Admins may revoke a certificate; it then verifies as revoked and can
+ * no longer be downloaded, and the learner is not issued another one
+ * for the course.
+ *
+ * Certificates are rendered as SVG or as a one-page PDF. The PDF uses
+ * the standard Helvetica fonts, which cover Latin-1; other characters
+ * come out as "?", so names in other scripts are best downloaded as SVG.
+ */
+
+const CERTIFICATE_FORMATS = ['pdf', 'svg'];
+const CERTIFICATE_STATUSES = ['valid', 'revoked'];
+
+// Ids are 80 random bits in base32, as XXXX-XXXX-XXXX-XXXX
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ID_FORMAT = /^[A-Z2-7]{4}(-[A-Z2-7]{4}){3}$/;
+
+const MAX_REVOKE_REASON_LENGTH = 500;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October',
+  'November', 'December'];
+
+function newCertificateId() {
+  const bytes = crypto.randomBytes(10);
+  let bits = 0;
+  let value = 0;
+  let id = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      id += ID_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return id.match(/.{4}/g).join('-');
+}
+
+// A certificate id as typed by someone checking it, in the form it is
+// stored in, or null when it cannot be one
+function normalizeCertificateId(text) {
+  if (typeof text !== 'string') return null;
+  const id = text.trim().toUpperCase();
+  return ID_FORMAT.test(id) ? id : null;
+}
+
+function certificateStatus(certificate) {
+  return certificate.revokedAt ? 'revoked' : 'valid';
+}
+
+// What anyone may learn about a certificate from its id
+function publicCertificate(certificate) {
+  return {
+    id: certificate.id,
+    status: certificateStatus(certificate),
+    valid: !certificate.revokedAt,
+    userName: certificate.userName,
+    courseTitle: certificate.courseTitle,
+    completedAt: certificate.completedAt,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt,
+  };
+}
+
+// Check the body of a revocation { reason }. Returns an error message or
+// null.
+function validateRevocation({ reason } = {}) {
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== 'string') return 'reason must be text.';
+  if (reason.length > MAX_REVOKE_REASON_LENGTH) {
+    return `reason can be at most ${MAX_REVOKE_REASON_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+// "19 October 2026", in UTC
+function formatDate(value) {
+  const date = new Date(value);
+  return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+// Where each line goes, in points from the top of an A4 landscape page,
+// and how wide it may be
+const PAGE = { width: 842, height: 595 };
+const LINE_TOPS = [150, 215, 265, 310, 355, 400, 500, 518];
+const MARGIN = 80;
+
+// A font size at which `text` fits between the margins, taking a
+// Helvetica character as 0.6 of the size wide on average
+function fitSize(text, size) {
+  const fitting = Math.floor((PAGE.width - 2 * MARGIN) / (0.6 * Math.max(1, text.length)));
+  return Math.max(8, Math.min(size, fitting));
+}
+
+// The lines of a certificate, top to bottom, as { text, size, bold }
+function certificateLines(certificate, verifyUrl) {
+  return [
+    { text: 'Certificate of Completion', size: 36, bold: true },
+    { text: 'This certifies that', size: 16 },
+    { text: certificate.userName, size: 30, bold: true },
+    { text: 'has completed the course', size: 16 },
+    { text: certificate.courseTitle, size: 24, bold: true },
+    { text: `on ${formatDate(certificate.completedAt || certificate.issuedAt)}`, size: 16 },
+    { text: `Certificate ${certificate.id}`, size: 11 },
+    { text: `Verify at ${verifyUrl}`, size: 11 },
+  ].map((line) => ({ ...line, size: fitSize(line.text, line.size) }));
+}
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// The certificate as an SVG document
+function renderSvg(certificate, { verifyUrl }) {
+  const lines = certificateLines(certificate, verifyUrl).map((line, i) => `  <text x="${PAGE.width / 2}" y="${LINE_TOPS[i]}"`
+    + ` font-size="${line.size}"${line.bold ? ' font-weight="bold"' : ''}>${escapeXml(line.text)}</text>`);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}pt" height="${PAGE.height}pt"`
+      + ` viewBox="0 0 ${PAGE.width} ${PAGE.height}" font-family="Helvetica, Arial, sans-serif" text-anchor="middle">`,
+    `  <rect width="${PAGE.width}" height="${PAGE.height}" fill="#fff"/>`,
+    `  <rect x="24" y="24" width="${PAGE.width - 48}" height="${PAGE.height - 48}" fill="none" stroke="#1f3a5f" stroke-width="4"/>`,
+    `  <rect x="34" y="34" width="${PAGE.width - 68}" height="${PAGE.height - 68}" fill="none" stroke="#1f3a5f" stroke-width="1"/>`,
+    ...lines,
+    '</svg>',
+    '',
+  ].join('\n');
+}
+
+// Text as a PDF string in WinAnsiEncoding, which matches Latin-1 for the
+// characters it shares with it
+function pdfString(text) {
+  const latin1 = String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  return `(${latin1.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+}
+
+// The certificate as a one-page PDF. Lines are left-aligned, as
+// centring them would need the width of every glyph.
+function renderPdf(certificate, { verifyUrl }) {
+  const text = certificateLines(certificate, verifyUrl).map((line, i) => `BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf`
+    + ` ${MARGIN} ${PAGE.height - LINE_TOPS[i]} Td ${pdfString(line.text)} Tj ET`);
+  const content = [
+    '0.12 0.23 0.37 RG 4 w',
+    `24 24 ${PAGE.width - 48} ${PAGE.height - 48} re S`,
+    '1 w',
+    `34 34 ${PAGE.width - 68} ${PAGE.height - 68} re S`,
+    ...text,
+  ].join('\n');
+  const font = (name) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}]`
+      + ' /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    font('Helvetica'),
+    font('Helvetica-Bold'),
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${pdfString(`Certificate ${certificate.id}`)} >>`,
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  CERTIFICATE_FORMATS,
+  CERTIFICATE_STATUSES,
+  newCertificateId,
+  normalizeCertificateId,
+  certificateStatus,
+  publicCertificate,
+  validateRevocation,
+  renderSvg,
+  renderPdf,
+};
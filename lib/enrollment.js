@@ -0,0 +1,139 @@
+/*
+ * Course enrollment
+ *
+ * Users are only enrolled in the courses they join or are added to.
+ * How learners may join is the course's `enrollmentPolicy`:
+ *
+ * - open: anyone can enroll themselves
+ * - invite: only users invited by the course's staff can enroll
+ * - approval: enrolling asks the staff, who approve or reject it
+ *
+ * A course with a `seatLimit` takes at most that many learners. Anyone
+ * admitted once it is full joins its waitlist and is enrolled, in the
+ * order they joined, as seats free up. Invitations, open requests and
+ * waitlist places are enrollment requests { userId, courseId, status,
+ * createdAt } with a status from REQUEST_STATUSES; an enrolled user has
+ * none.
+ */
+
+const ENROLLMENT_POLICIES = ['open', 'invite', 'approval'];
+const DEFAULT_ENROLLMENT_POLICY = 'open';
+
+const REQUEST_STATUSES = ['invited', 'pending', 'waitlisted'];
+
+// Validate the enrollment settings { enrollmentPolicy, seatLimit } of a
+// course payload. Returns an error message or null.
+function validateEnrollmentSettings(body) {
+  if (body.enrollmentPolicy !== undefined && !ENROLLMENT_POLICIES.includes(body.enrollmentPolicy)) {
+    return `Enrollment policy must be one of: ${ENROLLMENT_POLICIES.join(', ')}.`;
+  }
+  if (body.seatLimit !== undefined && body.seatLimit !== null
+      && !(Number.isInteger(body.seatLimit) && body.seatLimit >= 1)) {
+    return 'Seat limit must be a positive whole number or null.';
+  }
+  return null;
+}
+
+// Split one CSV line into fields, honouring double quotes
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+// Email addresses from CSV text: the `email` column when the first row
+// is a header naming one, otherwise the first column. Blank rows and
+// repeated addresses are dropped.
+function parseEmailCsv(text) {
+  const rows = String(text).split(/\r?\n/).filter((line) => line.trim() !== '').map(splitCsvLine);
+  if (rows.length === 0) return [];
+  let column = 0;
+  const header = rows[0].map((f) => f.toLowerCase());
+  if (header.includes('email')) {
+    column = header.indexOf('email');
+    rows.shift();
+  }
+  const emails = rows.map((row) => row[column] || '').filter(Boolean);
+  return [...new Set(emails.map((e) => e.toLowerCase()))];
+}
+
+// Enroll a user if the course has a seat left, or put them on its
+// waitlist. Resolves to 'enrolled', 'waitlisted', 'already_enrolled' or
+// null when the user or course does not exist.
+async function admit(store, userId, courseId) {
+  const result = await store.takeSeat(userId, courseId);
+  if (result === 'full') {
+    await store.saveEnrollmentRequest(userId, courseId, 'waitlisted');
+    return 'waitlisted';
+  }
+  if (result) await store.deleteEnrollmentRequest(userId, courseId);
+  return result;
+}
+
+// Enroll users from the waitlist while there are seats. Resolves to the
+// ids of the users enrolled.
+async function fillSeats(store, courseId) {
+  const enrolled = [];
+  for (const request of await store.listEnrollmentRequests({ courseId, status: 'waitlisted' })) {
+    const result = await store.takeSeat(request.userId, courseId);
+    if (result === 'full') break;
+    await store.deleteEnrollmentRequest(request.userId, courseId);
+    if (result === 'enrolled') enrolled.push(request.userId);
+  }
+  return enrolled;
+}
+
+// Where a user stands with a course: { courseId, status, policy,
+// seatLimit, seatsTaken, waitlistPosition }, where status is 'enrolled',
+// a request status or null
+async function enrollmentStatus(store, userId, course) {
+  const seatsTaken = (await store.listCourseUsers(course.id)).length;
+  const enrolled = await store.getCourseProgress(userId, course.id);
+  const request = enrolled ? null : await store.getEnrollmentRequest(userId, course.id);
+  let waitlistPosition = null;
+  if (request && request.status === 'waitlisted') {
+    const waitlist = await store.listEnrollmentRequests({ courseId: course.id, status: 'waitlisted' });
+    waitlistPosition = waitlist.findIndex((r) => r.userId === userId) + 1;
+  }
+  return {
+    courseId: course.id,
+    status: enrolled ? 'enrolled' : request ? request.status : null,
+    policy: course.enrollmentPolicy,
+    seatLimit: course.seatLimit,
+    seatsTaken,
+    waitlistPosition,
+  };
+}
+
+module.exports = {
+  ENROLLMENT_POLICIES,
+  DEFAULT_ENROLLMENT_POLICY,
+  REQUEST_STATUSES,
+  validateEnrollmentSettings,
+  parseEmailCsv,
+  admit,
+  fillSeats,
+  enrollmentStatus,
+};
@@ -0,0 +1,136 @@
+/*
+ * Activity event log
+ *
+ * Every learner action worth remembering is appended to the log as an
+ * event { id, userId, type, courseId, levelId, submissionId, data,
+ * createdAt }. Events are never changed or removed, except with the
+ * account they belong to.
+ *
+ *   login        the user logged in
+ *   course_view  the user opened a course
+ *   level_view   the user opened a level
+ *   progress     the user's progress in a course changed; data is
+ *                { progress, completed }, completed once every level
+ *                is done
+ *   submission   the user submitted work for a level, or answers to
+ *                a quiz; data is { quizAttemptId, score, passed } for
+ *                a quiz
+ *   review       the user's submission was reviewed; data is
+ *                { status, grade, reviewerId }, reviewerId null for
+ *                exercises graded by their tests
+ *
+ * The log is what streaks, "continue where you left off" and time spent
+ * on courses are worked out from:
+ *
+ * - a streak is a run of consecutive days, in UTC, on each of which the
+ *   user did something in a course (see LEARNING_TYPES). The current
+ *   streak lasts as long as the user was active today or yesterday.
+ * - the place to continue is the level the user last opened, submitted
+ *   or completed in a course they are still working through.
+ * - time on a course adds up the time from each of the user's events in
+ *   the course to their next event, when that comes within IDLE_MINUTES;
+ *   a longer break ends the session and counts for nothing.
+ */
+
+const EVENT_TYPES = ['login', 'course_view', 'level_view', 'progress', 'submission', 'review'];
+
+// Events that count as learning on a day of a streak
+const LEARNING_TYPES = ['course_view', 'level_view', 'progress', 'submission'];
+
+// Events that place the user at a level, for "continue where you left off"
+const PLACE_TYPES = ['level_view', 'progress', 'submission'];
+
+// A gap between two events longer than this ends a session
+const IDLE_MINUTES = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Append an event { userId, type, courseId, levelId, submissionId,
+// data } to the log. A failure to log is reported but never fails the
+// action being logged.
+async function recordEvent(store, event) {
+  try {
+    await store.appendEvent(event);
+  } catch (err) {
+    console.error(`Could not record ${event.type} event`, err);
+  }
+}
+
+// Complete a level for a user through the store and log any change in
+// their progress. Returns what store.completeLevel returns.
+async function completeLevel(store, userId, level) {
+  const before = await store.getCourseProgress(userId, level.courseId);
+  const after = await store.completeLevel(userId, level.id);
+  if (after && before && after.completedLevels.length !== before.completedLevels.length) {
+    await recordEvent(store, {
+      userId,
+      type: 'progress',
+      courseId: level.courseId,
+      levelId: level.id,
+      data: { progress: after.progress, completed: !!after.completedAt },
+    });
+  }
+  return after;
+}
+
+// Days since 1970-01-01, in UTC
+const dayOf = (date) => Math.floor(new Date(date).getTime() / DAY_MS);
+
+// The current and longest streak of a user from their events, in days,
+// and the last day they were active (YYYY-MM-DD) or null
+function streakOf(events, now = new Date()) {
+  const days = [...new Set(events.filter((e) => LEARNING_TYPES.includes(e.type)).map((e) => dayOf(e.createdAt)))]
+    .sort((a, b) => a - b);
+  if (days.length === 0) return { current: 0, longest: 0, lastActiveOn: null };
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < days.length; i++) {
+    run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  const last = days[days.length - 1];
+  return {
+    current: dayOf(now) - last <= 1 ? run : 0,
+    longest,
+    lastActiveOn: new Date(last * DAY_MS).toISOString().slice(0, 10),
+  };
+}
+
+// The last place of the user in each course, most recent first, as
+// [{ courseId, levelId, at }]
+function lastPlaces(events) {
+  const places = new Map();
+  for (const event of events) {
+    if (!PLACE_TYPES.includes(event.type) || event.courseId === null || event.levelId === null) continue;
+    const known = places.get(event.courseId);
+    if (!known || new Date(event.createdAt) >= new Date(known.at)) {
+      places.set(event.courseId, { courseId: event.courseId, levelId: event.levelId, at: event.createdAt });
+    }
+  }
+  return [...places.values()].sort((a, b) => new Date(b.at) - new Date(a.at));
+}
+
+// Minutes spent on each course, as [{ courseId, minutes }], most first
+function timeOnCourses(events) {
+  const sorted = [...events].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id);
+  const spent = new Map();
+  for (let i = 0; i + 1 < sorted.length; i++) {
+    const { courseId } = sorted[i];
+    if (courseId === null) continue;
+    const gap = new Date(sorted[i + 1].createdAt) - new Date(sorted[i].createdAt);
+    if (gap <= IDLE_MINUTES * 60 * 1000) spent.set(courseId, (spent.get(courseId) || 0) + gap);
+  }
+  return [...spent]
+    .map(([courseId, ms]) => ({ courseId, minutes: Math.round(ms / 60000) }))
+    .sort((a, b) => b.minutes - a.minutes || a.courseId - b.courseId);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  IDLE_MINUTES,
+  recordEvent,
+  completeLevel,
+  streakOf,
+  lastPlaces,
+  timeOnCourses,
+};
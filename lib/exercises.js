@@ -0,0 +1,103 @@
+/*
+ * Code exercise levels
+ *
+ * A level of type `exercise` asks for JavaScript and carries:
+ *
+ *   {
+ *     starterCode: 'function add(a, b) {\n}\n',   shown to learners
+ *     timeoutMs: 1000,                             CPU time per test
+ *     tests: [{ id, name, code }]                  hidden test cases
+ *   }
+ *
+ * A test's `code` runs after the learner's code in the same sandbox (see
+ * lib/sandbox.js) and fails by throwing. It can use an `assert` helper:
+ *
+ *   assert(value, message)
+ *   assert.equal(actual, expected, message)       strict equality
+ *   assert.deepEqual(actual, expected, message)   same structure and values
+ *   assert.throws(fn, message)
+ *
+ * Test code never leaves the server. Learners see each test's name,
+ * whether it passed and the message of the error that failed it, so a
+ * message should only give the expected value away when that is meant.
+ */
+
+const DEFAULT_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 5000;
+
+// Largest solution accepted, in characters
+const MAX_CODE_LENGTH = 64 * 1024;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Validate an exercise definition. Returns an error message or null.
+function validateExercise(exercise) {
+  if (!exercise || typeof exercise !== 'object' || Array.isArray(exercise)) return 'Exercise must be an object.';
+  if (exercise.starterCode !== undefined && exercise.starterCode !== null && typeof exercise.starterCode !== 'string') {
+    return 'Starter code must be text.';
+  }
+  if (exercise.timeoutMs !== undefined
+      && !(Number.isInteger(exercise.timeoutMs) && exercise.timeoutMs >= 10 && exercise.timeoutMs <= MAX_TIMEOUT_MS)) {
+    return `Timeout must be a whole number of milliseconds from 10 to ${MAX_TIMEOUT_MS}.`;
+  }
+  if (!Array.isArray(exercise.tests) || exercise.tests.length === 0) return 'An exercise needs at least one test.';
+  for (let i = 0; i < exercise.tests.length; i++) {
+    const test = exercise.tests[i];
+    const label = `Test ${i + 1}`;
+    if (!test || typeof test !== 'object') return `${label} must be an object.`;
+    if (test.id !== undefined && !(Number.isInteger(test.id) && test.id >= 1)) return `${label} has an invalid id.`;
+    if (!isNonEmptyString(test.name)) return `${label} needs a name.`;
+    if (!isNonEmptyString(test.code)) return `${label} needs code.`;
+  }
+  const ids = exercise.tests.filter((t) => t.id !== undefined).map((t) => t.id);
+  if (new Set(ids).size !== ids.length) return 'Test ids must be unique.';
+  return null;
+}
+
+// A validated exercise in its stored form, with defaults filled in and
+// new tests numbered after the existing ones
+function normalizeExercise(exercise) {
+  let nextId = Math.max(0, ...exercise.tests.map((t) => t.id || 0)) + 1;
+  return {
+    starterCode: exercise.starterCode || '',
+    timeoutMs: exercise.timeoutMs || DEFAULT_TIMEOUT_MS,
+    tests: exercise.tests.map((t) => ({ id: t.id || nextId++, name: t.name.trim(), code: t.code })),
+  };
+}
+
+// What learners may know about an exercise
+function exerciseSummary(exercise) {
+  return {
+    starterCode: exercise.starterCode,
+    timeoutMs: exercise.timeoutMs,
+    testCount: exercise.tests.length,
+  };
+}
+
+// Check a submitted solution before it is run. Returns an error message
+// or null.
+function validateSolution(code) {
+  if (!isNonEmptyString(code)) return 'Code is required.';
+  if (code.length > MAX_CODE_LENGTH) return `Code must be at most ${MAX_CODE_LENGTH} characters.`;
+  return null;
+}
+
+// Grade from per-test results [{ passed }]: the share of passed tests as
+// a percentage, and whether all passed
+function summarizeResults(results) {
+  const passedCount = results.filter((r) => r.passed).length;
+  return {
+    grade: results.length > 0 ? Math.round((passedCount / results.length) * 100) : 0,
+    passed: results.length > 0 && passedCount === results.length,
+  };
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT_MS,
+  MAX_CODE_LENGTH,
+  validateExercise,
+  normalizeExercise,
+  exerciseSummary,
+  validateSolution,
+  summarizeResults,
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Local store for uploaded submission files
+ *
+ * Files are written under a directory outside `public`, so they can
+ * only be fetched through the API, which checks permissions first. Each
+ * file gets a random storage key as its name; the original file name,
+ * type and size are kept by the data store (see lib/store).
+ *
+ * Uploads are streamed to disk and refused past `maxBytes`. Only the file
+ * types in ALLOWED_TYPES are accepted: the extension decides the type,
+ * the declared type must agree with it, and the first bytes must look
+ * like that kind of file.
+ */
+
+// Default upload limit per file, in bytes
+const MAX_FILE_BYTES = parseInt(process.env.SUBMISSION_MAX_BYTES, 10) || 20 * 1024 * 1024;
+
+// Magic numbers of the binary formats
+const SIGNATURES = {
+  pdf: [Buffer.from('%PDF-')],
+  zip: [Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from([0x50, 0x4b, 0x05, 0x06])],
+  png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+  gif: [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+};
+
+// Accepted extensions with their MIME type and how the content is checked:
+// a SIGNATURES key, or 'text' for files that must not contain NUL bytes
+const ALLOWED_TYPES = {
+  '.pdf': { mimeType: 'application/pdf', check: 'pdf' },
+  '.zip': { mimeType: 'application/zip', check: 'zip' },
+  '.docx': { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', check: 'zip' },
+  '.xlsx': { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', check: 'zip' },
+  '.pptx': { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', check: 'zip' },
+  '.png': { mimeType: 'image/png', check: 'png' },
+  '.jpg': { mimeType: 'image/jpeg', check: 'jpeg' },
+  '.jpeg': { mimeType: 'image/jpeg', check: 'jpeg' },
+  '.gif': { mimeType: 'image/gif', check: 'gif' },
+  '.txt': { mimeType: 'text/plain', check: 'text' },
+  '.md': { mimeType: 'text/markdown', check: 'text' },
+  '.csv': { mimeType: 'text/csv', check: 'text' },
+  '.json': { mimeType: 'application/json', check: 'text' },
+  '.html': { mimeType: 'text/html', check: 'text' },
+  '.css': { mimeType: 'text/css', check: 'text' },
+  '.js': { mimeType: 'text/javascript', check: 'text' },
+  '.py': { mimeType: 'text/x-python', check: 'text' },
+  '.java': { mimeType: 'text/x-java', check: 'text' },
+  '.c': { mimeType: 'text/x-c', check: 'text' },
+  '.cpp': { mimeType: 'text/x-c++', check: 'text' },
+  '.sql': { mimeType: 'application/sql', check: 'text' },
+};
+
+// Declared types browsers use when they do not know better
+const GENERIC_TYPES = ['application/octet-stream', ''];
+
+// Bytes read before the content check runs
+const SNIFF_BYTES = 512;
+
+function uploadError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+// The accepted type of a file, or null. Text files are often declared
+// with other text/* or application/* types, so only the family has to
+// match for them.
+function resolveType(fileName, declaredType) {
+  const type = ALLOWED_TYPES[path.extname(fileName || '').toLowerCase()];
+  if (!type) return null;
+  const declared = (declaredType || '').toLowerCase();
+  if (GENERIC_TYPES.includes(declared) || declared === type.mimeType) return type;
+  if (type.check === 'text' && (declared.startsWith('text/') || declared.startsWith('application/'))) return type;
+  return null;
+}
+
+function contentMatches(check, head) {
+  if (check === 'text') return !head.includes(0);
+  return SIGNATURES[check].some((signature) => head.subarray(0, signature.length).equals(signature));
+}
+
+function createFileStore({ dir, maxBytes = MAX_FILE_BYTES }) {
+  // Storage keys are hex, so a key can never point outside `dir`
+  function filePath(storageKey) {
+    if (!/^[0-9a-f]{32}$/.test(storageKey)) throw uploadError(400, 'Invalid file.');
+    return path.join(dir, storageKey);
+  }
+
+  // Stream an upload to disk. Resolves to { storageKey, name, mimeType,
+  // size } or rejects with an exposed error, leaving nothing on disk. A
+  // refused upload is still read to its end, so a multipart parser
+  // feeding `stream` can carry on with the rest of the request.
+  async function save(stream, { fileName, declaredType }) {
+    const type = resolveType(fileName, declaredType);
+    if (!type) {
+      stream.resume();
+      throw uploadError(415, `File type of ${fileName} is not allowed.`);
+    }
+    await fs.promises.mkdir(dir, { recursive: true });
+    const storageKey = crypto.randomBytes(16).toString('hex');
+    const target = filePath(storageKey);
+    const tooLarge = () => uploadError(413, `${fileName} is larger than ${Math.floor(maxBytes / (1024 * 1024))} MB.`);
+    const wrongContent = () => uploadError(415, `${fileName} does not look like a ${path.extname(fileName)} file.`);
+
+    return new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(target, { flags: 'wx' });
+      let size = 0;
+      let head = Buffer.alloc(0);
+      let failed = false;
+
+      function fail(err) {
+        if (failed) return;
+        failed = true;
+        out.destroy();
+        stream.resume();
+        fs.promises.rm(target, { force: true }).then(() => reject(err), () => reject(err));
+      }
+
+      stream.on('data', (chunk) => {
+        if (failed) return;
+        size += chunk.length;
+        if (size > maxBytes) return fail(tooLarge());
+        if (head.length < SNIFF_BYTES) {
+          head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+          if (head.length >= SNIFF_BYTES && !contentMatches(type.check, head)) return fail(wrongContent());
+        }
+        if (!out.write(chunk)) {
+          stream.pause();
+          out.once('drain', () => stream.resume());
+        }
+      });
+      // busboy cuts files off at its fileSize limit and says so
+      stream.on('limit', () => fail(tooLarge()));
+      stream.on('error', fail);
+      stream.on('end', () => {
+        if (failed) return;
+        if (size === 0) return fail(uploadError(400, `${fileName} is empty.`));
+        if (!contentMatches(type.check, head)) return fail(wrongContent());
+        out.end();
+      });
+      out.on('error', fail);
+      out.on('finish', () => {
+        if (!failed) resolve({ storageKey, name: path.basename(fileName), mimeType: type.mimeType, size });
+      });
+    });
+  }
+
+  function createReadStream(storageKey) {
+    return fs.createReadStream(filePath(storageKey));
+  }
+
+  // Delete stored files; missing files are ignored
+  async function remove(storageKeys) {
+    for (const storageKey of storageKeys) {
+      await fs.promises.rm(filePath(storageKey), { force: true });
+    }
+  }
+
+  return { dir, maxBytes, save, createReadStream, remove };
+}
+
+module.exports = { MAX_FILE_BYTES, ALLOWED_TYPES, createFileStore };
@@ -0,0 +1,144 @@
+/*
+ * Knowledge base articles and their search
+ *
+ * An article is { id, title, content, tags, levelIds, courseIds,
+ * ownerId }: Markdown content (see lib/markdown.js), tags (see
+ * lib/tags.js), and the levels and courses it helps with. A level shows
+ * the articles linked to it and to its course.
+ *
+ * Search ranks the articles matching every word of a query, where a
+ * word starting with "-" must not appear. A match in the title counts
+ * most, then the tags, then the content. The Postgres store does this
+ * with a weighted tsvector; the JSON store with the in-memory inverted
+ * index of createSearchIndex, whose weights follow Postgres' ts_rank.
+ */
+
+const { validateTags } = require('./tags');
+
+// Field weights of ts_rank for the A (title), B (tags) and C (content)
+// parts of the Postgres search document
+const FIELD_WEIGHTS = { title: 1.0, tags: 0.4, content: 0.2 };
+
+// Words too common to search for
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or',
+  'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'with',
+]);
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => Number.isInteger(id));
+
+// Validate an article payload; `partial` allows leaving fields out.
+// Returns an error message or null.
+function validateArticle(body, { partial = false } = {}) {
+  if (!(partial && body.title === undefined) && (typeof body.title !== 'string' || !body.title.trim())) {
+    return 'Title is required.';
+  }
+  if (body.content !== undefined && typeof body.content !== 'string') {
+    return 'Content must be text.';
+  }
+  const tagsError = validateTags(body.tags);
+  if (tagsError) return tagsError;
+  if (body.levelIds !== undefined && !isIdList(body.levelIds)) {
+    return 'levelIds must be a list of level ids.';
+  }
+  if (body.courseIds !== undefined && !isIdList(body.courseIds)) {
+    return 'courseIds must be a list of course ids.';
+  }
+  return null;
+}
+
+// Reduce an English word to a stem shared by its common forms, so that
+// "variables" finds "variable"
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith("'s")) word = word.slice(0, -2);
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (/(ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  return word;
+}
+
+// The search terms of a text, in order, repeats included
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map((word) => word.replace(/^'+|'+$/g, ''))
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Split a query into the terms to find and the terms to exclude
+function parseQuery(query) {
+  const include = [];
+  const exclude = [];
+  for (const word of String(query).split(/\s+/)) {
+    if (word.startsWith('-') && word.length > 1) exclude.push(...tokenize(word.slice(1)));
+    else include.push(...tokenize(word));
+  }
+  return { include: [...new Set(include)], exclude: [...new Set(exclude)] };
+}
+
+// An inverted index of articles for ranked search
+function createSearchIndex() {
+  // term => Map(article id => weighted term frequency)
+  const postings = new Map();
+  // article id => its terms, to take it out again
+  const termsOf = new Map();
+
+  function remove(id) {
+    for (const term of termsOf.get(id) || []) {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) postings.delete(term);
+    }
+    termsOf.delete(id);
+  }
+
+  function add(article) {
+    remove(article.id);
+    const weights = new Map();
+    const fields = { title: article.title, tags: (article.tags || []).join(' '), content: article.content };
+    for (const [field, text] of Object.entries(fields)) {
+      for (const term of tokenize(text)) {
+        weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(article.id, weight);
+    }
+    termsOf.set(article.id, new Set(weights.keys()));
+  }
+
+  // Ids of the articles matching a query with their rank, best first
+  function search(query) {
+    const { include, exclude } = parseQuery(query);
+    if (include.length === 0) return [];
+    const lists = include.map((term) => postings.get(term) || new Map());
+    const total = termsOf.size;
+    const results = [];
+    for (const id of lists[0].keys()) {
+      if (!lists.every((ids) => ids.has(id))) continue;
+      if (exclude.some((term) => postings.has(term) && postings.get(term).has(id))) continue;
+      // Rarer terms count for more
+      const rank = lists.reduce((sum, ids) => sum + ids.get(id) * Math.log(1 + total / ids.size), 0);
+      results.push({ id, rank });
+    }
+    return results.sort((a, b) => b.rank - a.rank || a.id - b.id);
+  }
+
+  return { add, remove, search };
+}
+
+module.exports = {
+  validateArticle,
+  tokenize,
+  parseQuery,
+  createSearchIndex,
+};
@@ -0,0 +1,120 @@
+const quizzes = require('./quizzes');
+const exercises = require('./exercises');
+const publishing = require('./publishing');
+
+/*
+ * Level ordering helpers shared by server.js and server_pg.js
+ *
+ * Levels belong to a course and are shown in `position` order, starting
+ * at 1. Both servers load a course's levels in their current order, work
+ * out the new order of ids with these helpers and then write positions
+ * 1..n back, so positions always stay contiguous.
+ *
+ * Levels have a type: `assignment` levels are completed by submitting
+ * work that gets reviewed, `quiz` levels by passing their quiz (see
+ * lib/quizzes.js) and `exercise` levels by submitting code that passes
+ * the exercise's tests (see lib/exercises.js).
+ */
+
+const LEVEL_TYPES = ['assignment', 'quiz', 'exercise'];
+const DEFAULT_LEVEL_TYPE = 'assignment';
+
+// Level types that carry a definition, kept in the field named after
+// the type
+const DEFINITIONS = {
+  quiz: {
+    validate: quizzes.validateQuiz,
+    normalize: quizzes.normalizeQuiz,
+    summarize: quizzes.quizSummary,
+    missing: 'Quiz levels need a quiz.',
+    misplaced: 'Only quiz levels have a quiz.',
+  },
+  exercise: {
+    validate: exercises.validateExercise,
+    normalize: exercises.normalizeExercise,
+    summarize: exercises.exerciseSummary,
+    missing: 'Exercise levels need an exercise.',
+    misplaced: 'Only exercise levels have an exercise.',
+  },
+};
+
+// Move `id` to a 1-based `position` in an ordered list of ids. Positions
+// past either end are clamped; ids not yet in the list are inserted.
+function moveToPosition(ids, id, position) {
+  const rest = ids.filter((other) => other !== id);
+  const index = Math.min(Math.max((parseInt(position, 10) || rest.length + 1) - 1, 0), rest.length);
+  rest.splice(index, 0, id);
+  return rest;
+}
+
+// Check that a requested order names every level of the course exactly once
+function isCompleteOrder(currentIds, requestedIds) {
+  if (!Array.isArray(requestedIds) || requestedIds.length !== currentIds.length) return false;
+  const requested = new Set(requestedIds);
+  return requested.size === currentIds.length && currentIds.every((id) => requested.has(id));
+}
+
+// Validate a level payload. `partial` allows leaving out the title
+// (updates); `current` is the level being updated.
+function validateLevel(body, { partial = false, current = null } = {}) {
+  if (!partial || body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) return 'Title is required.';
+  }
+  for (const field of ['description', 'content']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `${field[0].toUpperCase()}${field.slice(1)} must be text.`;
+    }
+  }
+  if (body.position !== undefined && !(Number.isInteger(body.position) && body.position >= 1)) {
+    return 'Position must be a whole number of 1 or more.';
+  }
+  if (body.type !== undefined && !LEVEL_TYPES.includes(body.type)) {
+    return `Type must be one of: ${LEVEL_TYPES.join(', ')}.`;
+  }
+  const invalidStatus = publishing.validateStatus(body);
+  if (invalidStatus) return invalidStatus;
+  const type = body.type || (current ? current.type : DEFAULT_LEVEL_TYPE);
+  for (const [field, definition] of Object.entries(DEFINITIONS)) {
+    if (body[field] !== undefined && body[field] !== null) {
+      if (type !== field) return definition.misplaced;
+      return definition.validate(body[field]);
+    }
+    if (type === field && !(current && current[field] && body[field] === undefined)) {
+      return definition.missing;
+    }
+  }
+  return null;
+}
+
+// The definition fields to store for a validated payload and the
+// level's resulting type: the new definition normalized, null for
+// fields the type does not use and nothing to keep the current one
+function definitionChanges(body, type) {
+  const changes = {};
+  for (const [field, definition] of Object.entries(DEFINITIONS)) {
+    if (field !== type) changes[field] = null;
+    else if (body[field]) changes[field] = definition.normalize(body[field]);
+  }
+  return changes;
+}
+
+// A level as shown to learners: definitions without their answers and
+// tests
+function publicLevel(level) {
+  if (!level) return level;
+  const shown = { ...level };
+  for (const [field, definition] of Object.entries(DEFINITIONS)) {
+    if (level[field]) shown[field] = definition.summarize(level[field]);
+  }
+  return shown;
+}
+
+module.exports = {
+  LEVEL_TYPES,
+  DEFAULT_LEVEL_TYPE,
+  moveToPosition,
+  isCompleteOrder,
+  validateLevel,
+  definitionChanges,
+  publicLevel,
+};
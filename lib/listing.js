@@ -0,0 +1,146 @@
+/*
+ * Search, filters, sorting and pages of long lists
+ *
+ * The course catalogue, users, levels, submissions and activity events
+ * can be listed a page at a time:
+ *
+ *   ?q=       text search: every record that contains the text, in any
+ *             case, in one of the searched fields
+ *   ?sort=    a field to sort by, with ?order=asc or desc; records that
+ *             sort the same stay in id order
+ *   ?limit=   records per page (at most MAX_LIMIT); without it the whole
+ *             list comes back, as it did before pages existed
+ *   ?offset=  records to skip
+ *
+ * plus filters of their own such as ?status= or ?tag=. The body is the
+ * page as before, an array, and the X-Total-Count header says how many
+ * records match in all.
+ *
+ * parseListQuery reads these parameters into list options for the
+ * stores' find* methods. The JSON store applies them with pageOf; the
+ * Postgres store turns them into SQL, matching with ILIKE and ordering
+ * text by LOWER(), so both return the same pages.
+ */
+
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+const ORDERS = ['asc', 'desc'];
+
+// Read a filter value as described by `type`: 'id' for a record id,
+// 'tag' for a tag, 'date' for an ISO date or time (a Date), or a list of
+// allowed values. Returns undefined for an invalid value.
+function parseFilter(value, type) {
+  if (type === 'id') {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : undefined;
+  }
+  if (type === 'date') {
+    const date = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : undefined;
+  }
+  if (type === 'tag') return value.trim().toLowerCase() || undefined;
+  return type.includes(value) ? value : undefined;
+}
+
+// Read the list options of a query string. `spec` names the fields one
+// may sort by ({ sorts, defaultSort, defaultOrder }) and the filters
+// ({ filters: { name: type } }, see parseFilter). Returns { error } or
+// { options }.
+function parseListQuery(query, {
+  sorts, defaultSort, defaultOrder = 'asc', filters = {},
+}) {
+  const options = {
+    sort: defaultSort, order: defaultOrder, limit: undefined, offset: 0,
+  };
+  const given = (name) => typeof query[name] === 'string' && query[name] !== '';
+
+  if (given('q')) {
+    const q = query.q.trim();
+    if (q.length > MAX_QUERY_LENGTH) return { error: `q can be at most ${MAX_QUERY_LENGTH} characters long.` };
+    if (q) options.q = q;
+  }
+  if (given('sort')) {
+    if (!sorts.includes(query.sort)) return { error: `sort must be one of: ${sorts.join(', ')}.` };
+    options.sort = query.sort;
+  }
+  if (given('order')) {
+    if (!ORDERS.includes(query.order)) return { error: 'order must be asc or desc.' };
+    options.order = query.order;
+  }
+  if (given('limit')) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `limit must be a number from 1 to ${MAX_LIMIT}.` };
+    }
+    options.limit = limit;
+  }
+  if (given('offset')) {
+    const offset = Number(query.offset);
+    if (!Number.isInteger(offset) || offset < 0) return { error: 'offset must be a number of 0 or more.' };
+    options.offset = offset;
+  }
+  for (const [name, type] of Object.entries(filters)) {
+    if (!given(name)) continue;
+    const value = parseFilter(query[name], type);
+    if (value === undefined) {
+      return { error: Array.isArray(type) ? `${name} must be one of: ${type.join(', ')}.` : `${name} is not valid.` };
+    }
+    options[name] = value;
+  }
+  return { options };
+}
+
+// Whether one of `values` contains the text `q`, ignoring case
+function matchesText(values, q) {
+  const needle = q.toLowerCase();
+  return values.some((value) => value != null && String(value).toLowerCase().includes(needle));
+}
+
+// Compare the values two records are sorted by. Text compares in
+// lowercase, like LOWER() in the Postgres store; a list of values
+// compares value by value.
+function compareValues(x, y) {
+  if (Array.isArray(x)) {
+    for (let i = 0; i < x.length; i++) {
+      const result = compareValues(x[i], y[i]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  }
+  const a = typeof x === 'string' ? x.toLowerCase() : x;
+  const b = typeof y === 'string' ? y.toLowerCase() : y;
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+}
+
+// One page of `records` with the total number of matches, for the JSON
+// store
+//   textOf      the searched fields of a record
+//   sortFields  sort name => the value, or list of values, of a record
+//               it sorts by
+function pageOf(records, {
+  q, sort, order, limit, offset = 0,
+}, { textOf, sortFields }) {
+  const matching = q ? records.filter((r) => matchesText(textOf(r), q)) : records.slice();
+  const direction = order === 'desc' ? -1 : 1;
+  const key = sortFields[sort];
+  matching.sort((a, b) => direction * compareValues(key(a), key(b)) || a.id - b.id);
+  return {
+    items: matching.slice(offset, limit === undefined ? undefined : offset + limit),
+    total: matching.length,
+  };
+}
+
+// A LIKE pattern finding the text `q` anywhere, with LIKE's wildcards in
+// it taken literally
+function likePattern(q) {
+  return `%${q.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+module.exports = {
+  MAX_LIMIT,
+  parseListQuery,
+  matchesText,
+  pageOf,
+  likePattern,
+};
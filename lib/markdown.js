@@ -0,0 +1,62 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+/*
+ * Markdown content
+ *
+ * The `content` of courses, levels and knowledge base entries is
+ * Markdown. The API returns it as written and, as `contentHtml`, turned
+ * into HTML on the server, so pages can show it without a Markdown
+ * library of their own.
+ *
+ * Raw HTML in the Markdown is escaped rather than passed through, and
+ * the rendered HTML is then cleaned against an allowlist of tags,
+ * attributes and URL schemes, so whatever an author writes the result is
+ * safe to put into a page with innerHTML.
+ */
+
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'ul', 'ol', 'li',
+    'strong', 'em', 's', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['style'],
+    td: ['style'],
+    code: ['class'],
+  },
+  // Fenced code blocks name their language for highlighters
+  allowedClasses: { code: ['language-*'] },
+  // Column alignment of tables
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'escape',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+  },
+};
+
+// Safe HTML for a Markdown text
+function renderMarkdown(text) {
+  if (!text) return '';
+  return sanitizeHtml(markdown.render(String(text)), SANITIZE_OPTIONS);
+}
+
+// A course, level or knowledge base entry with its `contentHtml`
+function withHtml(record) {
+  if (!record) return record;
+  return { ...record, contentHtml: renderMarkdown(record.content) };
+}
+
+module.exports = { renderMarkdown, withHtml };
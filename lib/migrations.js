@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Versioned migrations for the Postgres database
+ *
+ * Migrations are SQL files in database/migrations named
+ * `<version>_<name>.sql`, e.g. `004_profiles_and_enrollments.sql`. They
+ * are applied in version order, each in its own transaction together
+ * with its row in the `schema_migrations` table, so a failing migration
+ * leaves neither its changes nor a record behind.
+ *
+ * The functions take one connected client with a pg style
+ * `query(sql, values)` method: a pg Client, a client checked out of a
+ * Pool, or an in-process stand-in such as pg-mem. Transactions need
+ * every statement on the same connection, so a Pool itself won't do.
+ * Run them with `npm run migrate` (see database/migrate.js). The tests
+ * run them on pg-mem, which needs the full-text search stand-ins of
+ * test/helpers/pgMem.js for the knowledge base migration.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'database', 'migrations');
+const SEED_FILE = path.join(__dirname, '..', 'database', 'seed.sql');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+// Migration files of a directory as { version, name, file }, in order
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      return match && { version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations with version ${migrations[i].version} in ${dir}`);
+    }
+  }
+  return migrations;
+}
+
+// Run fn() inside a transaction
+async function withTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    const result = await fn();
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Create schema_migrations on first use. Checked up front rather than
+// with CREATE TABLE IF NOT EXISTS, which pg-mem rejects for an existing
+// table.
+async function ensureMigrationsTable(client) {
+  const existing = await client.query(
+    "SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = 'schema_migrations'"
+  );
+  if (existing.rows.length > 0) return;
+  await client.query(`CREATE TABLE schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT NOW()
+  )`);
+}
+
+// Versions recorded in schema_migrations
+async function appliedVersions(client) {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => row.version);
+}
+
+// Apply every migration not yet recorded. Returns the applied migrations.
+async function migrate(client, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const applied = new Set(await appliedVersions(client));
+  const pending = listMigrations(dir).filter((m) => !applied.has(m.version));
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.file, 'utf8');
+    await withTransaction(client, async () => {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    });
+    log(`Applied migration ${path.basename(migration.file)}`);
+  }
+  return pending;
+}
+
+// Load the sample data from database/seed.sql. Seeding expects an empty
+// database, so it is skipped once there are courses. Returns whether the
+// seed ran.
+async function seed(client, { file = SEED_FILE, log = () => {} } = {}) {
+  const existing = await client.query('SELECT COUNT(*)::int AS count FROM courses');
+  if (existing.rows[0].count > 0) {
+    log('Skipped seeding: the database already has courses');
+    return false;
+  }
+  const sql = fs.readFileSync(file, 'utf8');
+  await withTransaction(client, () => client.query(sql));
+  log(`Seeded the database from ${path.basename(file)}`);
+  return true;
+}
+
+module.exports = { MIGRATIONS_DIR, SEED_FILE, listMigrations, appliedVersions, migrate, seed, withTransaction };
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+/*
+ * Password hashing shared by server.js and server_pg.js
+ *
+ * Passwords are hashed with scrypt and a random salt. The stored value
+ * records the cost parameters next to the salt and key:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt base64>$<key base64>
+ *
+ * so SCRYPT_PARAMS can be raised later without breaking existing
+ * hashes. verifyPassword reports `needsRehash` when a hash was made with
+ * weaker parameters, or is one of the legacy formats (unsalted SHA-256
+ * from server_pg.js, plaintext from server.js); callers should then store
+ * a fresh hash from hashPassword after the successful login.
+ *
+ * New passwords are checked with validatePassword before hashing. Older
+ * accounts with shorter passwords can still log in.
+ */
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    // scrypt needs 128 * N * r bytes; leave headroom above Node's 32 MB default
+    const maxmem = 256 * params.N * params.r;
+    crypto.scrypt(password, salt, KEY_LENGTH, { ...params, maxmem }, (err, key) => {
+      if (err) return reject(err);
+      resolve(key);
+    });
+  });
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Check a new password. Returns an error message or null.
+function validatePassword(password) {
+  if (typeof password !== 'string') return 'Password must be text.';
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`;
+  }
+  return null;
+}
+
+// Hash a password with the current parameters
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, SCRYPT_PARAMS);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Check a password against a stored hash. Returns { valid, needsRehash }.
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+  if (stored.startsWith('scrypt$')) {
+    const [, N, r, p, salt, key] = stored.split('$');
+    const params = { N: parseInt(N, 10), r: parseInt(r, 10), p: parseInt(p, 10) };
+    const expected = Buffer.from(key || '', 'base64');
+    let actual;
+    try {
+      actual = await scrypt(password, Buffer.from(salt || '', 'base64'), params);
+    } catch {
+      // Malformed parameters in the stored value
+      return { valid: false, needsRehash: false };
+    }
+    const valid = safeEqual(actual, expected);
+    const weaker = params.N < SCRYPT_PARAMS.N || params.r < SCRYPT_PARAMS.r || params.p < SCRYPT_PARAMS.p;
+    return { valid, needsRehash: valid && weaker };
+  }
+  // Legacy unsalted SHA-256 hex digest written by the old server_pg.js
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    const digest = crypto.createHash('sha256').update(password).digest();
+    const valid = safeEqual(digest, Buffer.from(stored, 'hex'));
+    return { valid, needsRehash: valid };
+  }
+  return { valid: false, needsRehash: false };
+}
+
+// Check a password against a legacy plaintext value (old data/users.json)
+function verifyPlaintextPassword(password, plaintext) {
+  if (typeof password !== 'string' || typeof plaintext !== 'string') {
+    return { valid: false, needsRehash: false };
+  }
+  const valid = safeEqual(Buffer.from(password), Buffer.from(plaintext));
+  return { valid, needsRehash: valid };
+}
+
+// Check the password of a user record, which may be from before
+// password hashing and still hold a plaintext password
+async function verifyUserPassword(password, user) {
+  if (!user) return { valid: false, needsRehash: false };
+  return user.passwordHash
+    ? verifyPassword(password, user.passwordHash)
+    : verifyPlaintextPassword(password, user.password);
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  verifyPlaintextPassword,
+  verifyUserPassword,
+};
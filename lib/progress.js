@@ -0,0 +1,63 @@
+/*
+ * Course progress derived from completed levels
+ *
+ * Both stores record which levels each user has completed and when a
+ * user finished a course. Progress is never stored: it is the share of
+ * the course's current levels the user has completed, so adding or
+ * removing levels is reflected straight away. A course counts as
+ * completed, with a timestamp, the first time every level is done.
+ *
+ * JSON data from before this kept a percentage set by the client on
+ * each enrollment entry; completeLegacyProgress converts it.
+ */
+
+// Progress of one user in one course
+//   levelIds     ids of the course's levels
+//   completions  the user's completions as [{ levelId, completedAt }]
+//   completedAt  when the user first completed the course, or null
+//   enrolledAt   when the user enrolled, or null when not recorded
+function summarizeProgress(courseId, levelIds, completions, completedAt, enrolledAt = null) {
+  const inCourse = new Set(levelIds);
+  const completedLevels = completions.filter((c) => inCourse.has(c.levelId));
+  const totalLevels = levelIds.length;
+  return {
+    courseId,
+    progress: totalLevels > 0 ? Math.round((completedLevels.length / totalLevels) * 100) : 0,
+    completedLevels,
+    totalLevels,
+    completedAt: completedAt || null,
+    enrolledAt: enrolledAt || null,
+  };
+}
+
+// True once every level of a non-empty course is completed
+function isCourseComplete(summary) {
+  return summary.totalLevels > 0 && summary.completedLevels.length === summary.totalLevels;
+}
+
+// Convert the `progress` percentages of JSON enrollment entries from
+// before level completions, in place. Learners at 100 had completed the
+// course: they get every level of it completed and keep the completion.
+// Lower percentages do not say which levels were done and are dropped.
+// Returns whether anything changed.
+function completeLegacyProgress(users, levels, completions, now = new Date().toISOString()) {
+  let changed = false;
+  for (const user of users) {
+    for (const entry of user.courses || []) {
+      if (entry.progress === undefined) continue;
+      if (Number(entry.progress) >= 100) {
+        for (const level of levels.filter((l) => l.courseId === entry.id)) {
+          if (!completions.some((c) => c.userId === user.id && c.levelId === level.id)) {
+            completions.push({ userId: user.id, levelId: level.id, completedAt: now });
+          }
+        }
+        entry.completedAt = entry.completedAt || now;
+      }
+      delete entry.progress;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+module.exports = { summarizeProgress, isCourseComplete, completeLegacyProgress };
@@ -0,0 +1,43 @@
+/*
+ * Draft, published and archived content
+ *
+ * Courses and levels carry a `status`:
+ *
+ * - draft: being written; only admins and the course's owner see it
+ * - published: listed and open to learners
+ * - archived: withdrawn. An archived course leaves the catalogue and
+ *   takes no new work, but its learners keep their enrollment, progress
+ *   and submissions and can still look at it. An archived level is
+ *   hidden from learners like a draft.
+ *
+ * New courses and levels start as drafts. Records from before statuses
+ * existed count as published. Only published levels count towards
+ * course progress.
+ */
+
+const STATUSES = ['draft', 'published', 'archived'];
+const DEFAULT_STATUS = 'draft';
+
+// Status of records stored before statuses existed
+const LEGACY_STATUS = 'published';
+
+// Validate the `status` of a course or level payload. Returns an error
+// message or null.
+function validateStatus(body) {
+  if (body.status !== undefined && !STATUSES.includes(body.status)) {
+    return `Status must be one of: ${STATUSES.join(', ')}.`;
+  }
+  return null;
+}
+
+function isPublished(record) {
+  return (record.status || LEGACY_STATUS) === 'published';
+}
+
+module.exports = {
+  STATUSES,
+  DEFAULT_STATUS,
+  LEGACY_STATUS,
+  validateStatus,
+  isPublished,
+};
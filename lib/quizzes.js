@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+
+/*
+ * Quiz levels
+ *
+ * A level of type `quiz` carries a quiz definition:
+ *
+ *   {
+ *     passMark: 70,        percentage of correct answers needed to pass
+ *     maxAttempts: 3,      attempts per learner, or null for no limit
+ *     questionCount: 10,   questions drawn per attempt, or null for all
+ *     questions: [...]     the question bank
+ *   }
+ *
+ * A question is one of
+ *
+ *   { id, type: 'multiple_choice', prompt, options: ['a', 'b', 'c'], correct: [1] }
+ *   { id, type: 'short_answer', prompt, answers: ['Paris'], caseSensitive: false }
+ *
+ * Multiple choice questions with more than one correct option need all
+ * of them, and only them, selected.
+ *
+ * Each attempt draws its questions from the bank in random order, with
+ * the options shuffled as well, and keeps its own copy of them: editing
+ * the bank never changes an attempt in progress. Correct options and
+ * accepted answers stay on the server. Learners get the questions
+ * through publicQuestions, send back { questionId: answer } and the
+ * attempt is marked by gradeAnswers.
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+
+const DEFAULT_PASS_MARK = 70;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isWholeNumber = (value, min) => Number.isInteger(value) && value >= min;
+
+function validateQuestion(question, label) {
+  if (!question || typeof question !== 'object') return `${label} must be an object.`;
+  if (question.id !== undefined && !isWholeNumber(question.id, 1)) return `${label} has an invalid id.`;
+  if (!QUESTION_TYPES.includes(question.type)) {
+    return `${label} type must be one of: ${QUESTION_TYPES.join(', ')}.`;
+  }
+  if (!isNonEmptyString(question.prompt)) return `${label} needs a prompt.`;
+  if (question.type === 'multiple_choice') {
+    const { options } = question;
+    if (!Array.isArray(options) || options.length < 2 || !options.every(isNonEmptyString)) {
+      return `${label} needs at least two options.`;
+    }
+    const correct = Array.isArray(question.correct) ? question.correct : [question.correct];
+    if (correct.length === 0 || new Set(correct).size !== correct.length
+        || !correct.every((index) => Number.isInteger(index) && index >= 0 && index < options.length)) {
+      return `${label} must mark its correct options by index.`;
+    }
+  } else {
+    if (!Array.isArray(question.answers) || question.answers.length === 0 || !question.answers.every(isNonEmptyString)) {
+      return `${label} needs at least one accepted answer.`;
+    }
+    if (question.caseSensitive !== undefined && typeof question.caseSensitive !== 'boolean') {
+      return `${label} caseSensitive must be true or false.`;
+    }
+  }
+  return null;
+}
+
+// Validate a quiz definition. Returns an error message or null.
+function validateQuiz(quiz) {
+  if (!quiz || typeof quiz !== 'object' || Array.isArray(quiz)) return 'Quiz must be an object.';
+  if (quiz.passMark !== undefined && !(isWholeNumber(quiz.passMark, 0) && quiz.passMark <= 100)) {
+    return 'Pass mark must be a whole number from 0 to 100.';
+  }
+  if (quiz.maxAttempts !== undefined && quiz.maxAttempts !== null && !isWholeNumber(quiz.maxAttempts, 1)) {
+    return 'Max attempts must be a whole number of 1 or more.';
+  }
+  if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) return 'A quiz needs at least one question.';
+  if (quiz.questionCount !== undefined && quiz.questionCount !== null
+      && !(isWholeNumber(quiz.questionCount, 1) && quiz.questionCount <= quiz.questions.length)) {
+    return 'Question count must be between 1 and the number of questions.';
+  }
+  for (let i = 0; i < quiz.questions.length; i++) {
+    const invalid = validateQuestion(quiz.questions[i], `Question ${i + 1}`);
+    if (invalid) return invalid;
+  }
+  const ids = quiz.questions.filter((q) => q.id !== undefined).map((q) => q.id);
+  if (new Set(ids).size !== ids.length) return 'Question ids must be unique.';
+  return null;
+}
+
+// A validated quiz in its stored form: defaults filled in, text trimmed
+// and new questions numbered after the existing ones
+function normalizeQuiz(quiz) {
+  let nextId = Math.max(0, ...quiz.questions.map((q) => q.id || 0)) + 1;
+  return {
+    passMark: quiz.passMark !== undefined ? quiz.passMark : DEFAULT_PASS_MARK,
+    maxAttempts: quiz.maxAttempts || null,
+    questionCount: quiz.questionCount || null,
+    questions: quiz.questions.map((q) => {
+      const question = { id: q.id || nextId++, type: q.type, prompt: q.prompt.trim() };
+      if (q.type === 'multiple_choice') {
+        question.options = q.options.map((option) => option.trim());
+        question.correct = (Array.isArray(q.correct) ? q.correct : [q.correct]).slice().sort((a, b) => a - b);
+      } else {
+        question.answers = q.answers.map((answer) => answer.trim());
+        question.caseSensitive = q.caseSensitive === true;
+      }
+      return question;
+    }),
+  };
+}
+
+// What learners may know about a quiz before taking it
+function quizSummary(quiz) {
+  return {
+    passMark: quiz.passMark,
+    maxAttempts: quiz.maxAttempts,
+    questionCount: quiz.questionCount || quiz.questions.length,
+  };
+}
+
+function shuffle(items) {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Draw the questions of a new attempt, shuffled, with the options of
+// multiple choice questions shuffled and their correct indexes moved
+// along
+function drawQuestions(quiz) {
+  const questions = shuffle(quiz.questions).slice(0, quiz.questionCount || quiz.questions.length);
+  return questions.map((question) => {
+    if (question.type !== 'multiple_choice') return { ...question };
+    const order = shuffle(question.options.map((option, index) => index));
+    return {
+      ...question,
+      options: order.map((index) => question.options[index]),
+      correct: question.correct.map((index) => order.indexOf(index)).sort((a, b) => a - b),
+    };
+  });
+}
+
+// Questions of an attempt without their answers
+function publicQuestions(questions) {
+  return questions.map((question) => (question.type === 'multiple_choice'
+    ? { id: question.id, type: question.type, prompt: question.prompt, options: question.options, multiple: question.correct.length > 1 }
+    : { id: question.id, type: question.type, prompt: question.prompt }));
+}
+
+const normalizeText = (text, caseSensitive) => {
+  const collapsed = text.trim().replace(/\s+/g, ' ');
+  return caseSensitive ? collapsed : collapsed.toLowerCase();
+};
+
+function isCorrect(question, answer) {
+  if (question.type === 'multiple_choice') {
+    const chosen = Array.isArray(answer) ? answer : [answer];
+    const picked = new Set(chosen.filter((index) => Number.isInteger(index)));
+    return picked.size === chosen.length
+      && picked.size === question.correct.length
+      && question.correct.every((index) => picked.has(index));
+  }
+  if (typeof answer !== 'string') return false;
+  const given = normalizeText(answer, question.caseSensitive);
+  return question.answers.some((accepted) => normalizeText(accepted, question.caseSensitive) === given);
+}
+
+// Mark answers { questionId: answer } to an attempt's questions. A
+// multiple choice answer is an option index or an array of them, a
+// short answer is text. Returns { score, results } with the score as a
+// percentage and results as [{ questionId, correct }].
+function gradeAnswers(questions, answers) {
+  const given = answers && typeof answers === 'object' ? answers : {};
+  const results = questions.map((question) => ({
+    questionId: question.id,
+    correct: given[question.id] !== undefined && isCorrect(question, given[question.id]),
+  }));
+  const correct = results.filter((r) => r.correct).length;
+  return { score: Math.round((correct / questions.length) * 100), results };
+}
+
+// Attempts a learner has left, or null when there is no limit
+function attemptsLeft(quiz, attempts) {
+  return quiz.maxAttempts ? Math.max(quiz.maxAttempts - attempts.length, 0) : null;
+}
+
+// An attempt as shown to the learner taking it: the questions while it
+// is open, which answers were right once it is submitted
+function publicAttempt(attempt) {
+  const { questions, answers, ...rest } = attempt;
+  if (!attempt.submittedAt) return { ...rest, questions: publicQuestions(questions) };
+  return { ...rest, answers, results: gradeAnswers(questions, answers).results };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  DEFAULT_PASS_MARK,
+  validateQuiz,
+  normalizeQuiz,
+  quizSummary,
+  drawQuestions,
+  publicQuestions,
+  gradeAnswers,
+  attemptsLeft,
+  publicAttempt,
+};
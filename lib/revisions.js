@@ -0,0 +1,155 @@
+/*
+ * Content revisions of courses and levels
+ *
+ * Every edit that changes the `title`, `description` or `content` of a
+ * course or level is saved as a revision { id, courseId, levelId, title,
+ * description, content, action, authorId, restoredFrom, createdAt },
+ * where levelId is null for the course's own revisions. The action says
+ * how the text came about:
+ *
+ * - original: the text from before revisions were kept, saved on the
+ *   first edit so that it is not lost
+ * - create: the text the course or level was created with
+ * - edit: a later edit
+ * - restore: an older revision (`restoredFrom`) put back
+ *
+ * Learners who are partway through a course keep reading the text as it
+ * was when they enrolled: the latest revision from before their
+ * enrollment, or the original text when every revision is newer. Text
+ * added after they enrolled, and everything once they have completed
+ * the course, is shown as it is now.
+ */
+
+const REVISED_FIELDS = ['title', 'description', 'content'];
+const ACTIONS = ['original', 'create', 'edit', 'restore'];
+
+// Largest number of line pairs compared by diffLines; bigger texts are
+// shown as replaced outright
+const MAX_DIFF_CELLS = 4000000;
+
+// The revised fields of a course, level or revision, as text
+function snapshot(record) {
+  const fields = {};
+  for (const field of REVISED_FIELDS) fields[field] = String(record[field] ?? '');
+  return fields;
+}
+
+// True when `after` has different text than `before`
+function textChanged(before, after) {
+  const a = snapshot(before);
+  const b = snapshot(after);
+  return REVISED_FIELDS.some((field) => a[field] !== b[field]);
+}
+
+// Revisions of the course itself (levelId null) or of one level, from a
+// list holding both
+function revisionsOf(revisions, levelId) {
+  return revisions.filter((r) => r.levelId === levelId);
+}
+
+const time = (value) => new Date(value).getTime();
+
+// The revision a learner who enrolled at `enrolledAt` (null for
+// enrollments from before this was recorded) reads, or null for the
+// current text. `revisions` are those of one course or level, newest
+// first as the stores list them.
+function revisionAt(revisions, enrolledAt) {
+  const latest = enrolledAt && revisions.find((r) => time(r.createdAt) <= time(enrolledAt));
+  return latest || revisions.find((r) => r.action === 'original') || null;
+}
+
+// A course or level with the text of the revision the learner reads,
+// and the id of that revision as `revisionId` (null for the current
+// text)
+//   revisions   revisions of the course and its levels
+//   enrolledAt  when the learner enrolled
+function asEnrolled(record, levelId, revisions, enrolledAt) {
+  const revision = revisionAt(revisionsOf(revisions, levelId), enrolledAt);
+  if (!revision) return { ...record, revisionId: null };
+  return { ...record, ...snapshot(revision), revisionId: revision.id };
+}
+
+// Line diff of two texts as [{ type, text }] with type 'same', 'added'
+// or 'removed', from the longest common subsequence of lines
+function diffLines(from, to) {
+  const a = from === '' ? [] : String(from).split('\n');
+  const b = to === '' ? [] : String(to).split('\n');
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((text) => ({ type: 'removed', text })),
+      ...b.map((text) => ({ type: 'added', text })),
+    ];
+  }
+  // common[i][j]: length of the longest common subsequence of a[i..], b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+// Field by field diff between two revisions: { from, to, fields:
+// [{ field, changed, lines }] }
+function diffRevisions(from, to) {
+  const a = snapshot(from);
+  const b = snapshot(to);
+  return {
+    from: from.id,
+    to: to.id,
+    fields: REVISED_FIELDS.map((field) => ({
+      field,
+      changed: a[field] !== b[field],
+      lines: diffLines(a[field], b[field]),
+    })),
+  };
+}
+
+// Save a revision of a course or level after it was created, edited or
+// restored, when its text changed. `before` is the record as it was
+// (null on creation). The first edit of text from before revisions
+// existed saves that text as the original first. Resolves to the new
+// revision or null.
+async function recordRevision(store, {
+  courseId, levelId = null, before = null, after, action, authorId, restoredFrom = null,
+}) {
+  if (before && !textChanged(before, after)) return null;
+  if (before && (await store.listRevisions({ courseId, levelId })).length === 0) {
+    await store.createRevision({
+      courseId, levelId, ...snapshot(before), action: 'original', authorId: null,
+    });
+  }
+  return store.createRevision({
+    courseId, levelId, ...snapshot(after), action, authorId, restoredFrom,
+  });
+}
+
+module.exports = {
+  REVISED_FIELDS,
+  ACTIONS,
+  snapshot,
+  textChanged,
+  revisionsOf,
+  revisionAt,
+  asEnrolled,
+  diffLines,
+  diffRevisions,
+  recordRevision,
+};
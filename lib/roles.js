@@ -0,0 +1,48 @@
+/*
+ * User roles shared by server.js and server_pg.js
+ *
+ * - admin: manages everything, including users and their roles
+ * - instructor: creates courses and manages the courses they own
+ * - learner: takes courses (the default for new accounts)
+ *
+ * The very first account registered becomes an admin so a fresh
+ * installation always has someone who can promote other users.
+ */
+
+const ROLES = ['admin', 'instructor', 'learner'];
+const DEFAULT_ROLE = 'learner';
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function isAdmin(user) {
+  return !!user && user.role === 'admin';
+}
+
+// Admins and instructors may open the course management pages
+function isStaff(user) {
+  return !!user && (user.role === 'admin' || user.role === 'instructor');
+}
+
+// The role of a user record from before roles existed. User 1 has always
+// been the administrator; everyone else starts as a learner.
+function legacyRole(user) {
+  return user.id === 1 ? 'admin' : DEFAULT_ROLE;
+}
+
+// Admins manage every course, instructors only the ones they own
+function canManageCourse(user, ownerId) {
+  if (isAdmin(user)) return true;
+  return !!user && user.role === 'instructor' && ownerId != null && ownerId === user.id;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  isAdmin,
+  isStaff,
+  legacyRole,
+  canManageCourse,
+};
@@ -0,0 +1,86 @@
+const express = require('express');
+const roles = require('../roles');
+const analytics = require('../analytics');
+const { asyncHandler, requireStaff, findManagedCourse } = require('./middleware');
+
+/*
+ * Learning analytics routes (see lib/analytics.js). Admins see every
+ * course and learner; instructors see their own courses, and only what
+ * learners did in them. Every report is JSON, or a CSV download with
+ * ?format=csv.
+ */
+
+const FORMATS = ['json', 'csv'];
+
+module.exports = function analyticsRoutes({ store, authenticate }) {
+  const router = express.Router();
+  const staff = [authenticate, requireStaff];
+
+  // The ?format= asked for, or null after answering 400
+  function readFormat(req, res) {
+    const format = req.query.format || 'json';
+    if (!FORMATS.includes(format)) {
+      res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}.` });
+      return null;
+    }
+    return format;
+  }
+
+  function sendCsv(res, fileName, csv) {
+    res.type('text/csv');
+    res.attachment(fileName);
+    res.send(csv);
+  }
+
+  async function reportOf(course) {
+    return analytics.courseReport(course, await store.getCourseStats(course.id));
+  }
+
+  // Reports of every course the caller manages, without their levels
+  router.get('/api/admin/analytics/courses', staff, asyncHandler(async (req, res) => {
+    const format = readFormat(req, res);
+    if (!format) return;
+    const courses = (await store.listCourses()).filter((c) => roles.canManageCourse(req.user, c.ownerId));
+    const reports = [];
+    for (const course of courses) {
+      const { levels, ...report } = await reportOf(course);
+      reports.push(report);
+    }
+    if (format === 'csv') return sendCsv(res, 'course-analytics.csv', analytics.coursesCsv(reports));
+    res.json(reports);
+  }));
+
+  // The report of one course with its levels; the CSV has a line per
+  // level
+  router.get('/api/admin/courses/:id(\\d+)/analytics', staff, asyncHandler(async (req, res) => {
+    const format = readFormat(req, res);
+    if (!format) return;
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    const report = await reportOf(course);
+    if (format === 'csv') return sendCsv(res, `course-${course.id}-analytics.csv`, analytics.levelsCsv(report));
+    res.json(report);
+  }));
+
+  // What a user did, oldest first. Instructors only see activity in the
+  // courses they own.
+  router.get('/api/admin/users/:id(\\d+)/activity', staff, asyncHandler(async (req, res) => {
+    const format = readFormat(req, res);
+    if (!format) return;
+    const userId = parseInt(req.params.id, 10);
+    let events = await store.listUserActivity(userId);
+    if (!events) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (!roles.isAdmin(req.user)) {
+      const managed = new Set((await store.listCourses())
+        .filter((c) => roles.canManageCourse(req.user, c.ownerId))
+        .map((c) => c.id));
+      events = events.filter((e) => managed.has(e.courseId));
+    }
+    if (format === 'csv') return sendCsv(res, `user-${userId}-activity.csv`, analytics.activityCsv(events));
+    res.json(events);
+  }));
+
+  return router;
+};
@@ -0,0 +1,187 @@
+const express = require('express');
+const auth = require('../auth');
+const passwords = require('../password');
+const roles = require('../roles');
+const { recordEvent } = require('../events');
+const { redeemToken } = require('../accountTokens');
+const { asyncHandler, sanitizeUser } = require('./middleware');
+
+/*
+ * Registration, login and session routes
+ *
+ * Both the `/api/*` paths of the old JSON server and the `/auth/*` paths
+ * of the old Postgres server are served, so existing clients keep working.
+ *
+ * Forgotten passwords are reset, and email addresses verified, with the
+ * single-use links of lib/accountTokens.js. Asking for a reset link
+ * answers the same, and before any mail is sent, whether or not the
+ * address has an account, so it cannot be used to find out who is
+ * registered.
+ */
+
+// Credentials must be non-empty text; anything else in the JSON body
+// would otherwise reach the store and the password hashing
+const isFilled = (value) => typeof value === 'string' && value !== '';
+
+module.exports = function authRoutes({ store, authenticate, accountMailer }) {
+  const router = express.Router();
+
+  // Mail a user a verification link. A mail server that is down does not
+  // fail the request that triggered it; the user can ask for another link.
+  async function sendVerification(user) {
+    try {
+      await accountMailer.sendVerification(user);
+    } catch (err) {
+      console.error(`Could not send the verification mail to user ${user.id}`, err);
+    }
+  }
+
+  // Mail a user a password reset link, reporting rather than throwing
+  // when the mail server is down
+  async function sendPasswordReset(user) {
+    try {
+      await accountMailer.sendPasswordReset(user);
+    } catch (err) {
+      console.error(`Could not send the password reset mail to user ${user.id}`, err);
+    }
+  }
+
+  // Register a new user. The name is optional and defaults to the part of
+  // the email before the @. New users are not enrolled in any course.
+  router.post(['/api/register', '/auth/register'], asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    if (!isFilled(email) || !isFilled(password)) {
+      return res.status(400).json({ error: 'Email and password are required.' });
+    }
+    const invalid = passwords.validatePassword(password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (await store.findUserByEmail(email)) {
+      return res.status(409).json({ error: 'A user with this email already exists.' });
+    }
+    const name = (typeof req.body.name === 'string' && req.body.name.trim()) || email.split('@')[0];
+    // The first account administers the installation
+    const role = (await store.countUsers()) === 0 ? 'admin' : roles.DEFAULT_ROLE;
+    const user = await store.createUser({
+      name,
+      email,
+      passwordHash: await passwords.hashPassword(password),
+      role,
+    });
+    await sendVerification(user);
+    res.status(201).json(sanitizeUser(user));
+  }));
+
+  // Log in and receive a signed session token
+  router.post(['/api/login', '/auth/login'], asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+    if (!isFilled(email) || !isFilled(password)) {
+      return res.status(400).json({ error: 'Email and password are required.' });
+    }
+    const user = await store.findUserByEmail(email);
+    const check = await passwords.verifyUserPassword(password, user);
+    if (!check.valid) {
+      return res.status(401).json({ error: 'Invalid email or password.' });
+    }
+    // Upgrade legacy or outdated hashes now that we know the password
+    if (check.needsRehash) {
+      await store.updateUser(user.id, { passwordHash: await passwords.hashPassword(password) });
+    }
+    const session = auth.createSession(user.id);
+    await recordEvent(store, { userId: user.id, type: 'login' });
+    res.json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      userId: user.id,
+      role: user.role,
+      user: sanitizeUser(user),
+    });
+  }));
+
+  // Log out: revoke the session behind the bearer token
+  router.post('/api/logout', (req, res) => {
+    auth.destroySession(auth.getBearerToken(req));
+    res.json({ success: true });
+  });
+
+  // Exchange a valid token for a new one with a fresh expiry
+  router.post('/api/token/refresh', authenticate, (req, res) => {
+    const session = auth.refreshSession(auth.getBearerToken(req));
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired token.' });
+    }
+    res.json({ token: session.token, expiresAt: session.expiresAt, userId: req.user.id });
+  });
+
+  // Current user behind the token
+  router.get('/api/me', authenticate, (req, res) => {
+    res.json(sanitizeUser(req.user));
+  });
+
+  // Mail a password reset link to { email }, if it belongs to an account
+  router.post('/api/password/forgot', asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({ error: 'Email is required.' });
+    }
+    const user = await store.findUserByEmail(email.trim());
+    // Answered first, so the time taken does not tell whether a mail goes out
+    res.json({ success: true });
+    if (user) await sendPasswordReset(user);
+  }));
+
+  // Choose a new password { token, password } with a reset link. Every
+  // session of the account ends, wherever it was logged in.
+  router.post('/api/password/reset', asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password === '') {
+      return res.status(400).json({ error: 'A new password is required.' });
+    }
+    const invalid = passwords.validatePassword(password);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const redeemed = await redeemToken(store, 'password_reset', token);
+    const user = redeemed && await store.getUser(redeemed.userId);
+    if (!user || user.email !== redeemed.email) {
+      return res.status(400).json({ error: 'This link is invalid or has expired.' });
+    }
+    // The link came by mail, so the address is the user's
+    await store.updateUser(user.id, {
+      passwordHash: await passwords.hashPassword(password),
+      emailVerifiedAt: user.emailVerifiedAt || new Date(),
+    });
+    auth.destroyUserSessions(user.id);
+    res.json({ success: true });
+  }));
+
+  // Confirm an email address { token } with a verification link
+  router.post('/api/email/verify', asyncHandler(async (req, res) => {
+    const redeemed = await redeemToken(store, 'email_verification', req.body.token);
+    const user = redeemed && await store.getUser(redeemed.userId);
+    if (!user || user.email !== redeemed.email) {
+      return res.status(400).json({ error: 'This link is invalid or has expired.' });
+    }
+    if (!user.emailVerifiedAt) {
+      await store.updateUser(user.id, { emailVerifiedAt: new Date() });
+    }
+    res.json({ success: true, email: user.email });
+  }));
+
+  // Mail the current user a new verification link
+  router.post('/api/email/verification', authenticate, asyncHandler(async (req, res) => {
+    if (req.user.emailVerifiedAt) {
+      return res.status(409).json({ error: 'Your email address is already verified.' });
+    }
+    try {
+      await accountMailer.sendVerification(req.user);
+    } catch (err) {
+      console.error(`Could not send the verification mail to user ${req.user.id}`, err);
+      return res.status(502).json({ error: 'The email could not be sent. Please try again later.' });
+    }
+    res.json({ success: true });
+  }));
+
+  return router;
+};
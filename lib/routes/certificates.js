@@ -0,0 +1,108 @@
+const express = require('express');
+const roles = require('../roles');
+const certificates = require('../certificates');
+const {
+  asyncHandler, requireAdmin, requireSelfOrAdmin, readListQuery, sendPage,
+} = require('./middleware');
+
+/*
+ * Certificate routes (see lib/certificates.js). Learners list and
+ * download their certificates; anyone can check a certificate id with
+ * the verify route, which needs no login; downloads print its address
+ * under `appUrl`. Admins list every certificate and revoke them.
+ */
+
+const withStatus = (certificate) => ({ ...certificate, status: certificates.certificateStatus(certificate) });
+
+const CONTENT_TYPES = { pdf: 'application/pdf', svg: 'image/svg+xml' };
+
+module.exports = function certificateRoutes({ store, authenticate, appUrl }) {
+  const router = express.Router();
+
+  // The certificate named in the URL, or null after answering 404
+  async function findCertificate(req, res) {
+    const id = certificates.normalizeCertificateId(req.params.id);
+    const certificate = id && await store.getCertificate(id);
+    if (!certificate) {
+      res.status(404).json({ error: 'Certificate not found.' });
+      return null;
+    }
+    return certificate;
+  }
+
+  // A user's certificates, newest first. Courses completed before
+  // certificates existed get theirs now.
+  router.get('/api/user/:id(\\d+)/certificates', authenticate, requireSelfOrAdmin, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const courses = await store.listUserCourses(userId);
+    if (!courses) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    for (const course of courses.filter((c) => c.completedAt)) {
+      await store.issueCertificate(userId, course.id);
+    }
+    const { items } = await store.findCertificates({ userId, sort: 'issuedAt', order: 'desc' });
+    res.json(items.map(withStatus));
+  }));
+
+  // Anyone: whether a certificate is genuine and still valid
+  router.get('/api/certificates/:id/verify', asyncHandler(async (req, res) => {
+    const certificate = await findCertificate(req, res);
+    if (!certificate) return;
+    res.json(certificates.publicCertificate(certificate));
+  }));
+
+  // The learner or an admin: the certificate as ?format=pdf (default) or
+  // svg. Revoked certificates cannot be downloaded.
+  router.get('/api/certificates/:id/download', authenticate, asyncHandler(async (req, res) => {
+    const format = req.query.format || 'pdf';
+    if (!certificates.CERTIFICATE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${certificates.CERTIFICATE_FORMATS.join(', ')}.` });
+    }
+    const certificate = await findCertificate(req, res);
+    if (!certificate) return;
+    if (certificate.userId !== req.user.id && !roles.isAdmin(req.user)) {
+      return res.status(403).json({ error: 'You cannot access this certificate.' });
+    }
+    if (certificate.revokedAt) {
+      return res.status(410).json({ error: 'This certificate has been revoked.' });
+    }
+    const verifyUrl = `${appUrl}/api/certificates/${certificate.id}/verify`;
+    const render = format === 'pdf' ? certificates.renderPdf : certificates.renderSvg;
+    res.set({ 'Content-Type': CONTENT_TYPES[format], 'X-Content-Type-Options': 'nosniff' });
+    res.attachment(`certificate-${certificate.id}.${format}`);
+    res.send(render(certificate, { verifyUrl }));
+  }));
+
+  // Admin: certificates filtered by ?userId=, ?courseId= or ?status=,
+  // searched by name, course title and id with ?q=, and paged
+  router.get('/api/admin/certificates', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const options = readListQuery(req, res, {
+      sorts: ['issuedAt'],
+      defaultSort: 'issuedAt',
+      defaultOrder: 'desc',
+      filters: { userId: 'id', courseId: 'id', status: certificates.CERTIFICATE_STATUSES },
+    });
+    if (!options) return;
+    sendPage(res, await store.findCertificates(options), withStatus);
+  }));
+
+  // Admin: revoke a certificate { reason }
+  router.post('/api/admin/certificates/:id/revoke', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const invalid = certificates.validateRevocation(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const certificate = await findCertificate(req, res);
+    if (!certificate) return;
+    const revoked = await store.revokeCertificate(certificate.id, {
+      reason: (req.body.reason || '').trim() || null, revokedBy: req.user.id,
+    });
+    if (!revoked) {
+      return res.status(409).json({ error: 'This certificate has already been revoked.' });
+    }
+    res.json(withStatus(revoked));
+  }));
+
+  return router;
+};
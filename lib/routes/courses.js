@@ -0,0 +1,218 @@
+const express = require('express');
+const roles = require('../roles');
+const unlocking = require('../unlocking');
+const enrollment = require('../enrollment');
+const publishing = require('../publishing');
+const revisions = require('../revisions');
+const { normalizeTags, validateTags } = require('../tags');
+const { withHtml } = require('../markdown');
+const { recordEvent } = require('../events');
+const {
+  asyncHandler, sanitizeUser, requireAdmin, requireStaff, readListQuery, sendPage, findManagedCourse, canViewCourse,
+  courseAsRead,
+} = require('./middleware');
+
+/*
+ * Course routes. Creating and editing courses is open to admins and
+ * instructors; instructors may only edit the courses they own. Only
+ * published courses are listed publicly (see lib/publishing.js); only
+ * admins may delete a course, with everything recorded about it. Courses
+ * can require other courses first and can be sequential (see
+ * lib/unlocking.js). Who may join a course is up to its enrollment
+ * settings (see lib/enrollment.js and ./enrollments.js). Every change
+ * to a course's text is kept as a revision (see lib/revisions.js and
+ * ./revisions.js). Content is Markdown and comes with its HTML (see
+ * lib/markdown.js). Course lists can be searched, filtered by tag and
+ * status, sorted and paged (see lib/listing.js).
+ */
+
+// What course lists can be sorted and filtered by
+const COURSE_SORTS = ['id', 'title'];
+
+// Check the title, description and content of a course payload; partial
+// updates may leave the title out. Returns an error message or null.
+function validateCourseText(body, { partial = false } = {}) {
+  if (!partial || body.title !== undefined) {
+    if (typeof body.title !== 'string' || !body.title.trim()) return 'Title is required.';
+  }
+  for (const field of ['description', 'content']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `${field[0].toUpperCase()}${field.slice(1)} must be text.`;
+    }
+  }
+  return null;
+}
+
+module.exports = function courseRoutes({
+  store, authenticate, optionalAuthenticate, fileStore,
+}) {
+  const router = express.Router();
+
+  // Resolve an ownerId sent by an admin. Returns undefined when the caller
+  // may not change owners or none was sent, and false for unknown users.
+  async function requestedOwner(req) {
+    if (req.body.ownerId === undefined || !roles.isAdmin(req.user)) return undefined;
+    if (req.body.ownerId === null) return null;
+    const owner = await store.getUser(parseInt(req.body.ownerId, 10));
+    return owner ? owner.id : false;
+  }
+
+  // Check the status, tags, sequential, prerequisiteIds,
+  // enrollmentPolicy and seatLimit fields of a course payload for the
+  // course `courseId` (null for a new course). Returns an error message
+  // or null.
+  async function checkCourseRules(body, courseId) {
+    const error = publishing.validateStatus(body)
+      || validateTags(body.tags)
+      || unlocking.validateCourseRules(body)
+      || enrollment.validateEnrollmentSettings(body);
+    if (error || body.prerequisiteIds === undefined) return error;
+    const courses = await store.listCourses();
+    const unknown = body.prerequisiteIds.find((id) => !courses.some((c) => c.id === id));
+    if (unknown !== undefined) return `Prerequisite course ${unknown} not found.`;
+    if (body.prerequisiteIds.includes(courseId)) return 'A course cannot be its own prerequisite.';
+    if (courseId !== null && unlocking.createsCycle(courseId, body.prerequisiteIds, courses)) {
+      return 'Prerequisites cannot depend on this course.';
+    }
+    return null;
+  }
+
+  const uniqueIds = (ids) => (ids === undefined ? undefined : [...new Set(ids)]);
+
+  // List the published courses, with ?q=, ?tag= and paging
+  router.get('/api/courses', asyncHandler(async (req, res) => {
+    const options = readListQuery(req, res, { sorts: COURSE_SORTS, defaultSort: 'id', filters: { tag: 'tag' } });
+    if (!options) return;
+    sendPage(res, await store.findCourses({ ...options, status: 'published' }), withHtml);
+  }));
+
+  // Admin or instructor: the courses they manage in any status, with
+  // ?q=, ?tag=, ?status= and paging
+  router.get('/api/admin/courses', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const options = readListQuery(req, res, {
+      sorts: COURSE_SORTS, defaultSort: 'id', filters: { tag: 'tag', status: publishing.STATUSES },
+    });
+    if (!options) return;
+    const ownerId = roles.isAdmin(req.user) ? undefined : req.user.id;
+    sendPage(res, await store.findCourses({ ...options, ownerId }), withHtml);
+  }));
+
+  // Get a single course by id, if the caller may see it, with the text
+  // they read. Logged in users' views go in their activity log.
+  router.get('/api/courses/:id(\\d+)', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const course = await store.getCourse(parseInt(req.params.id, 10));
+    if (!course || !(await canViewCourse(store, req.user, course))) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+    if (req.user) await recordEvent(store, { userId: req.user.id, type: 'course_view', courseId: course.id });
+    res.json(withHtml(await courseAsRead(store, req.user, course)));
+  }));
+
+  // Add a new course (title, description, content, image, status, tags,
+  // sequential, prerequisiteIds, enrollmentPolicy, seatLimit). Courses
+  // start as drafts unless a status is given, and nobody is enrolled yet.
+  // The creator owns the course; admins may pass another ownerId.
+  router.post('/api/admin/courses', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const {
+      title, description = '', content = '', image = null, status = publishing.DEFAULT_STATUS, tags = [],
+      sequential = false, prerequisiteIds = [],
+      enrollmentPolicy = enrollment.DEFAULT_ENROLLMENT_POLICY, seatLimit = null,
+    } = req.body;
+    const textError = validateCourseText(req.body);
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    const rulesError = await checkCourseRules(req.body, null);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+    const owner = await requestedOwner(req);
+    if (owner === false) {
+      return res.status(400).json({ error: 'Owner not found.' });
+    }
+    const course = await store.createCourse({
+      title,
+      description,
+      content,
+      image,
+      ownerId: owner === undefined ? req.user.id : owner,
+      status,
+      tags: normalizeTags(tags),
+      sequential,
+      prerequisiteIds: uniqueIds(prerequisiteIds),
+      enrollmentPolicy,
+      seatLimit,
+    });
+    await revisions.recordRevision(store, {
+      courseId: course.id, after: course, action: 'create', authorId: req.user.id,
+    });
+    res.status(201).json(withHtml(course));
+  }));
+
+  // Update an existing course. Accepts partial updates; only admins may
+  // hand a course over to another owner. Seats freed by a higher seat
+  // limit go to the waitlist. Archiving keeps enrollments, progress and
+  // submissions.
+  const updateCourse = asyncHandler(async (req, res) => {
+    const courseId = parseInt(req.params.id, 10);
+    const before = await findManagedCourse(store, req, res, courseId);
+    if (!before) return;
+    const {
+      title, description, content, image, status, tags, sequential, prerequisiteIds, enrollmentPolicy, seatLimit,
+    } = req.body;
+    const textError = validateCourseText(req.body, { partial: true });
+    if (textError) {
+      return res.status(400).json({ error: textError });
+    }
+    const rulesError = await checkCourseRules(req.body, courseId);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+    const owner = await requestedOwner(req);
+    if (owner === false) {
+      return res.status(400).json({ error: 'Owner not found.' });
+    }
+    const course = await store.updateCourse(courseId, {
+      title,
+      description,
+      content,
+      image,
+      ownerId: owner,
+      status,
+      tags: tags !== undefined ? normalizeTags(tags) : undefined,
+      sequential,
+      prerequisiteIds: uniqueIds(prerequisiteIds),
+      enrollmentPolicy,
+      seatLimit,
+    });
+    await revisions.recordRevision(store, {
+      courseId, before, after: course, action: 'edit', authorId: req.user.id,
+    });
+    if (seatLimit !== undefined) await enrollment.fillSeats(store, courseId);
+    res.json(withHtml(course));
+  });
+  router.put('/api/admin/courses/:id(\\d+)', authenticate, requireStaff, updateCourse);
+  router.patch('/api/admin/courses/:id(\\d+)', authenticate, requireStaff, updateCourse);
+
+  // Admin: delete a course for good, with its levels, enrollments,
+  // progress and submissions, including the submitted files
+  router.delete('/api/admin/courses/:id(\\d+)', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const courseId = parseInt(req.params.id, 10);
+    const files = await store.listSubmissionFiles({ courseId });
+    if (!(await store.deleteCourse(courseId))) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+    await fileStore.remove(files.map((f) => f.storageKey));
+    res.json({ success: true });
+  }));
+
+  // Get list of users enrolled in a specific course (admin or course owner view)
+  router.get('/api/courses/:id(\\d+)/users', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const courseId = parseInt(req.params.id, 10);
+    if (!(await findManagedCourse(store, req, res, courseId))) return;
+    const users = await store.listCourseUsers(courseId);
+    res.json(users.map(sanitizeUser));
+  }));
+
+  return router;
+};
@@ -0,0 +1,186 @@
+const express = require('express');
+const enrollment = require('../enrollment');
+const {
+  asyncHandler, sanitizeUser, requireStaff, findManagedCourse, canViewCourse,
+} = require('./middleware');
+
+/*
+ * Enrollment routes. Learners join and leave courses themselves as the
+ * course's enrollment policy allows; admins and course owners invite
+ * users, approve or reject requests and enroll users directly, one at a
+ * time or from a CSV file of email addresses. Seat limits apply to
+ * everyone: users admitted to a full course go on its waitlist. Learners
+ * can only join published courses; staff may also enroll users in
+ * drafts.
+ */
+
+// Largest CSV accepted by the bulk enrollment route
+const MAX_CSV_BYTES = '1mb';
+
+module.exports = function enrollmentRoutes({ store, authenticate }) {
+  const router = express.Router();
+
+  // Load a course the caller may see, or answer 404
+  async function findCourse(req, res) {
+    const course = await store.getCourse(parseInt(req.params.id, 10));
+    if (!course || !(await canViewCourse(store, req.user, course))) {
+      res.status(404).json({ error: 'Course not found.' });
+      return null;
+    }
+    return course;
+  }
+
+  // Resolve the user named by { userId } or { email } in a staff request
+  async function requestedUser(body) {
+    if (body.userId !== undefined) return store.getUser(parseInt(body.userId, 10));
+    if (typeof body.email === 'string' && body.email) return store.findUserByEmail(body.email);
+    return null;
+  }
+
+  // The caller's enrollment status in a course
+  router.get('/api/courses/:id(\\d+)/enrollment', authenticate, asyncHandler(async (req, res) => {
+    const course = await findCourse(req, res);
+    if (!course) return;
+    res.json(await enrollment.enrollmentStatus(store, req.user.id, course));
+  }));
+
+  // Join a course. Open courses and invitations enroll straight away, or
+  // put the caller on the waitlist when the course is full; approval
+  // courses record a request for the staff.
+  router.post('/api/courses/:id(\\d+)/enroll', authenticate, asyncHandler(async (req, res) => {
+    const course = await findCourse(req, res);
+    if (!course) return;
+    if (await store.getCourseProgress(req.user.id, course.id)) {
+      return res.status(409).json({ error: 'You are already enrolled in this course.' });
+    }
+    if (course.status !== 'published') {
+      return res.status(403).json({ error: 'This course is not open for enrollment.' });
+    }
+    const request = await store.getEnrollmentRequest(req.user.id, course.id);
+    if (request && request.status !== 'invited') {
+      // Already waiting for approval or a seat
+      return res.status(202).json(await enrollment.enrollmentStatus(store, req.user.id, course));
+    }
+    if (!request && course.enrollmentPolicy === 'invite') {
+      return res.status(403).json({ error: 'This course is invite-only.' });
+    }
+    if (!request && course.enrollmentPolicy === 'approval') {
+      await store.saveEnrollmentRequest(req.user.id, course.id, 'pending');
+    } else {
+      await enrollment.admit(store, req.user.id, course.id);
+    }
+    const status = await enrollment.enrollmentStatus(store, req.user.id, course);
+    res.status(status.status === 'enrolled' ? 201 : 202).json(status);
+  }));
+
+  // Leave a course, or withdraw a request, invitation or waitlist place.
+  // Progress is kept should the user come back.
+  router.delete('/api/courses/:id(\\d+)/enroll', authenticate, asyncHandler(async (req, res) => {
+    const course = await findCourse(req, res);
+    if (!course) return;
+    if (await store.getCourseProgress(req.user.id, course.id)) {
+      await store.unenrollUser(req.user.id, course.id);
+      await enrollment.fillSeats(store, course.id);
+    } else if (!(await store.deleteEnrollmentRequest(req.user.id, course.id))) {
+      return res.status(404).json({ error: 'You are not enrolled in this course.' });
+    }
+    res.json(await enrollment.enrollmentStatus(store, req.user.id, course));
+  }));
+
+  // Admin or course owner: enrolled users, seats and open requests
+  router.get('/api/admin/courses/:id(\\d+)/enrollments', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    const enrolled = await store.listCourseUsers(course.id);
+    const requests = await store.listEnrollmentRequests({ courseId: course.id });
+    const users = new Map((await store.listUsers()).map((u) => [u.id, u]));
+    res.json({
+      enrollmentPolicy: course.enrollmentPolicy,
+      seatLimit: course.seatLimit,
+      seatsTaken: enrolled.length,
+      enrolled: enrolled.map(sanitizeUser),
+      requests: requests.map((r) => ({ ...r, user: sanitizeUser(users.get(r.userId)) })),
+    });
+  }));
+
+  // Admin or course owner: enroll a user { userId } or { email }, which
+  // also approves their request. Full courses waitlist them.
+  router.post('/api/admin/courses/:id(\\d+)/enrollments', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    const user = await requestedUser(req.body);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    const status = await enrollment.admit(store, user.id, course.id);
+    res.status(status === 'enrolled' ? 201 : 200).json({ userId: user.id, status });
+  }));
+
+  // Admin or course owner: enroll every user listed in a CSV upload
+  // (Content-Type: text/csv) with an `email` column or one address per
+  // line. Answers with the addresses by outcome.
+  router.post(
+    '/api/admin/courses/:id(\\d+)/enrollments/import',
+    authenticate,
+    requireStaff,
+    express.text({ type: 'text/csv', limit: MAX_CSV_BYTES }),
+    asyncHandler(async (req, res) => {
+      const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+      if (!course) return;
+      if (typeof req.body !== 'string') {
+        return res.status(415).json({ error: 'Upload a CSV file as text/csv.' });
+      }
+      const emails = enrollment.parseEmailCsv(req.body);
+      if (emails.length === 0) {
+        return res.status(400).json({ error: 'The file lists no email addresses.' });
+      }
+      const report = {
+        enrolled: [], waitlisted: [], alreadyEnrolled: [], notFound: [],
+      };
+      for (const email of emails) {
+        const user = await store.findUserByEmail(email);
+        const status = user ? await enrollment.admit(store, user.id, course.id) : null;
+        if (status === 'enrolled') report.enrolled.push(email);
+        else if (status === 'waitlisted') report.waitlisted.push(email);
+        else if (status === 'already_enrolled') report.alreadyEnrolled.push(email);
+        else report.notFound.push(email);
+      }
+      res.json(report);
+    })
+  );
+
+  // Admin or course owner: invite a user { userId } or { email } to join
+  router.post('/api/admin/courses/:id(\\d+)/invitations', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    const user = await requestedUser(req.body);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (await store.getCourseProgress(user.id, course.id)) {
+      return res.status(409).json({ error: 'User is already enrolled in this course.' });
+    }
+    const current = await store.getEnrollmentRequest(user.id, course.id);
+    if (current && current.status === 'waitlisted') {
+      return res.status(409).json({ error: 'User is already on the waitlist.' });
+    }
+    res.status(201).json(await store.saveEnrollmentRequest(user.id, course.id, 'invited'));
+  }));
+
+  // Admin or course owner: remove a user from the course, or reject their
+  // request, invitation or waitlist place
+  router.delete('/api/admin/courses/:id(\\d+)/enrollments/:userId(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    const userId = parseInt(req.params.userId, 10);
+    if (await store.getCourseProgress(userId, course.id)) {
+      await store.unenrollUser(userId, course.id);
+      await enrollment.fillSeats(store, course.id);
+    } else if (!(await store.deleteEnrollmentRequest(userId, course.id))) {
+      return res.status(404).json({ error: 'User is not enrolled in this course.' });
+    }
+    res.json({ success: true });
+  }));
+
+  return router;
+};
@@ -0,0 +1,81 @@
+const express = require('express');
+const publishing = require('../publishing');
+const events = require('../events');
+const {
+  asyncHandler, requireAdmin, requireSelfOrAdmin, readListQuery, sendPage,
+} = require('./middleware');
+
+/*
+ * Activity log routes (see lib/events.js). Learners page through their
+ * own events and admins through anyone's, newest first by default,
+ * filtered by ?type=, ?courseId=, ?since= and ?until= (ISO dates or
+ * times). The activity summary works out a user's streak, where to
+ * continue and the time spent on each course from their events.
+ */
+
+// What event lists can be sorted and filtered by
+const EVENT_SORTS = ['createdAt'];
+const EVENT_FILTERS = {
+  type: events.EVENT_TYPES, courseId: 'id', since: 'date', until: 'date',
+};
+
+module.exports = function eventRoutes({ store, authenticate }) {
+  const router = express.Router();
+  const self = [authenticate, requireSelfOrAdmin];
+
+  function readEventQuery(req, res, filters = EVENT_FILTERS) {
+    return readListQuery(req, res, {
+      sorts: EVENT_SORTS, defaultSort: 'createdAt', defaultOrder: 'desc', filters,
+    });
+  }
+
+  // A user's own activity log, paged
+  router.get('/api/user/:id(\\d+)/events', self, asyncHandler(async (req, res) => {
+    const options = readEventQuery(req, res);
+    if (!options) return;
+    sendPage(res, await store.findEvents({ ...options, userId: parseInt(req.params.id, 10) }));
+  }));
+
+  // Admin: everyone's activity, optionally of one ?userId=, paged
+  router.get('/api/admin/events', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const options = readEventQuery(req, res, { ...EVENT_FILTERS, userId: 'id' });
+    if (!options) return;
+    sendPage(res, await store.findEvents(options));
+  }));
+
+  // A user's streak, the levels to continue at in the courses they are
+  // working through (most recent first) and the minutes spent on each
+  // course
+  router.get('/api/user/:id(\\d+)/activity-summary', self, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const courses = await store.listUserCourses(userId);
+    if (!courses) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    const { items } = await store.findEvents({ userId, sort: 'createdAt', order: 'asc' });
+    const unfinished = new Map(courses.filter((c) => !c.completedAt).map((c) => [c.id, c]));
+    const resume = [];
+    for (const place of events.lastPlaces(items)) {
+      const course = unfinished.get(place.courseId);
+      const level = course && await store.getLevel(place.levelId);
+      // Levels deleted, moved or unpublished since are no place to go back to
+      if (!level || level.courseId !== course.id || !publishing.isPublished(level)) continue;
+      resume.push({
+        courseId: course.id,
+        courseTitle: course.title,
+        progress: course.progress,
+        levelId: level.id,
+        levelTitle: level.title,
+        at: place.at,
+      });
+    }
+    const titles = new Map((await store.listCourses()).map((c) => [c.id, c.title]));
+    res.json({
+      streak: events.streakOf(items),
+      continue: resume,
+      timeOnCourses: events.timeOnCourses(items).map((t) => ({ ...t, courseTitle: titles.get(t.courseId) || null })),
+    });
+  }));
+
+  return router;
+};
@@ -0,0 +1,83 @@
+const express = require('express');
+const { createFileStore } = require('../fileStore');
+const { createAvatarStore } = require('../avatars');
+const { createAccountMailer } = require('../accountTokens');
+const { createAuthenticate, createOptionalAuthenticate } = require('./middleware');
+const authRoutes = require('./auth');
+const userRoutes = require('./users');
+const courseRoutes = require('./courses');
+const enrollmentRoutes = require('./enrollments');
+const levelRoutes = require('./levels');
+const revisionRoutes = require('./revisions');
+const submissionRoutes = require('./submissions');
+const quizRoutes = require('./quizzes');
+const knowledgeRoutes = require('./knowledge');
+const analyticsRoutes = require('./analytics');
+const eventRoutes = require('./events');
+const certificateRoutes = require('./certificates');
+
+/*
+ * The API shared by server.js and server_pg.js
+ *
+ * createApi(store) returns an express router serving `/api/*` and
+ * `/auth/*` on top of a store implementing the interface of
+ * lib/store/json.js and lib/store/pg.js. The routes never touch files
+ * or SQL themselves, so every page works against either store.
+ * Profile pictures are written to `uploadsDir` (served from /uploads, see
+ * lib/avatars.js); submission files go to `filesDir`, which must not be
+ * public. Password reset and verification mails go out through
+ * `mailTransport` (see lib/mail.js) with links to the pages at `appUrl`,
+ * which certificates also give as the address to verify them at.
+ */
+
+function createApi(store, {
+  uploadsDir, filesDir, mailTransport, appUrl,
+}) {
+  const router = express.Router();
+  const context = {
+    store,
+    appUrl,
+    avatarStore: createAvatarStore({ dir: uploadsDir }),
+    fileStore: createFileStore({ dir: filesDir }),
+    accountMailer: createAccountMailer({ store, mailTransport, appUrl }),
+    authenticate: createAuthenticate(store),
+    optionalAuthenticate: createOptionalAuthenticate(store),
+  };
+
+  router.use(['/api', '/auth'], express.json({ limit: '1mb' }));
+
+  router.use(authRoutes(context));
+  router.use(userRoutes(context));
+  router.use(courseRoutes(context));
+  router.use(enrollmentRoutes(context));
+  router.use(levelRoutes(context));
+  router.use(revisionRoutes(context));
+  router.use(submissionRoutes(context));
+  router.use(quizRoutes(context));
+  router.use(knowledgeRoutes(context));
+  router.use(analyticsRoutes(context));
+  router.use(eventRoutes(context));
+  router.use(certificateRoutes(context));
+
+  // Health check
+  router.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', store: store.name });
+  });
+
+  // Unknown API route
+  router.use(['/api', '/auth'], (req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  // Errors from body parsing, the store or a handler. Errors marked
+  // `expose` carry a message meant for the client.
+  router.use((err, req, res, next) => {
+    if (!err.expose) console.error(`Error handling ${req.method} ${req.originalUrl}`, err);
+    const status = err.status || err.statusCode || 500;
+    res.status(status).json({ error: err.expose ? err.message : 'Internal server error.' });
+  });
+
+  return router;
+}
+
+module.exports = { createApi };
@@ -0,0 +1,185 @@
+const express = require('express');
+const roles = require('../roles');
+const knowledge = require('../knowledge');
+const { normalizeTags } = require('../tags');
+const { withHtml } = require('../markdown');
+const {
+  asyncHandler, requireStaff, canViewCourse, lockLevel,
+} = require('./middleware');
+
+/*
+ * Knowledge base routes. Articles are public and can be listed by tag,
+ * level or course, and searched with ranked full-text search (see
+ * lib/knowledge.js). A level shows the articles linked to it or to its
+ * course. Staff write articles; an article is edited by its author or
+ * an admin, and linked only to levels and courses the caller manages.
+ * Articles are Markdown and come with their HTML (see lib/markdown.js).
+ */
+
+// Results of one search, unless ?limit= asks for fewer
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+module.exports = function knowledgeRoutes({ store, authenticate, optionalAuthenticate }) {
+  const router = express.Router();
+
+  // Load an article the caller may edit, or answer 404/403
+  async function findEditableArticle(req, res) {
+    const article = await store.getKnowledge(parseInt(req.params.id, 10));
+    if (!article) {
+      res.status(404).json({ error: 'Article not found.' });
+      return null;
+    }
+    if (!roles.canManageCourse(req.user, article.ownerId)) {
+      res.status(403).json({ error: 'You can only edit your own articles.' });
+      return null;
+    }
+    return article;
+  }
+
+  // Check the levels and courses an article gets linked to beyond those
+  // it already has: they must exist and belong to courses the caller
+  // manages. Answers 400/403 and returns false otherwise.
+  async function checkNewLinks(req, res, { levelIds = [], courseIds = [] }, current = { levelIds: [], courseIds: [] }) {
+    const courseIdsToManage = new Set(courseIds.filter((id) => !current.courseIds.includes(id)));
+    for (const id of levelIds.filter((levelId) => !current.levelIds.includes(levelId))) {
+      const level = await store.getLevel(id);
+      if (!level) {
+        res.status(400).json({ error: `Level ${id} does not exist.` });
+        return false;
+      }
+      courseIdsToManage.add(level.courseId);
+    }
+    for (const id of courseIdsToManage) {
+      const course = await store.getCourse(id);
+      if (!course) {
+        res.status(400).json({ error: `Course ${id} does not exist.` });
+        return false;
+      }
+      if (!roles.canManageCourse(req.user, course.ownerId)) {
+        res.status(403).json({ error: 'You can only link articles to your own courses.' });
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // The article fields of a request body that were given
+  function articleChanges(body) {
+    return {
+      title: body.title !== undefined ? body.title.trim() : undefined,
+      content: body.content,
+      tags: body.tags !== undefined ? normalizeTags(body.tags) : undefined,
+      levelIds: body.levelIds !== undefined ? [...new Set(body.levelIds)] : undefined,
+      courseIds: body.courseIds !== undefined ? [...new Set(body.courseIds)] : undefined,
+    };
+  }
+
+  // List articles, narrowed by ?tag=, ?levelId= and ?courseId=
+  router.get('/api/knowledge', asyncHandler(async (req, res) => {
+    const filters = {};
+    for (const name of ['levelId', 'courseId']) {
+      if (req.query[name] === undefined || req.query[name] === '') continue;
+      filters[name] = parseInt(req.query[name], 10);
+      if (Number.isNaN(filters[name])) {
+        return res.status(400).json({ error: 'levelId and courseId must be numbers.' });
+      }
+    }
+    if (req.query.tag) filters.tag = String(req.query.tag).trim().toLowerCase();
+    res.json((await store.listKnowledge(filters)).map(withHtml));
+  }));
+
+  // Search articles: ?q=variables -javascript&limit=10. Best matches
+  // first, each with its `rank`.
+  router.get('/api/knowledge/search', asyncHandler(async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'A search query is required.' });
+    }
+    let limit = DEFAULT_SEARCH_LIMIT;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!(limit >= 1 && limit <= MAX_SEARCH_LIMIT)) {
+        return res.status(400).json({ error: `limit must be a number from 1 to ${MAX_SEARCH_LIMIT}.` });
+      }
+    }
+    res.json((await store.searchKnowledge(query, { limit })).map(withHtml));
+  }));
+
+  router.get('/api/knowledge/:id(\\d+)', asyncHandler(async (req, res) => {
+    const article = await store.getKnowledge(parseInt(req.params.id, 10));
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found.' });
+    }
+    res.json(withHtml(article));
+  }));
+
+  // Articles linked to a level or to its course, for those who may see
+  // the level
+  router.get('/api/levels/:id(\\d+)/knowledge', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const level = await store.getLevel(parseInt(req.params.id, 10));
+    if (!level || !(await lockLevel(store, req.user, level))) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    const articles = new Map();
+    for (const article of [
+      ...(await store.listKnowledge({ levelId: level.id })),
+      ...(await store.listKnowledge({ courseId: level.courseId })),
+    ]) {
+      articles.set(article.id, article);
+    }
+    res.json([...articles.values()].sort((a, b) => a.id - b.id).map(withHtml));
+  }));
+
+  // Articles linked to a course, for those who may see the course
+  router.get('/api/courses/:id(\\d+)/knowledge', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const course = await store.getCourse(parseInt(req.params.id, 10));
+    if (!course || !(await canViewCourse(store, req.user, course))) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+    res.json((await store.listKnowledge({ courseId: course.id })).map(withHtml));
+  }));
+
+  // Write an article { title, content, tags, levelIds, courseIds }
+  router.post('/api/admin/knowledge', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const invalid = knowledge.validateArticle(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const changes = articleChanges(req.body);
+    if (!(await checkNewLinks(req, res, changes))) return;
+    const article = await store.createKnowledge({
+      title: changes.title,
+      content: changes.content,
+      tags: changes.tags,
+      levelIds: changes.levelIds,
+      courseIds: changes.courseIds,
+      ownerId: req.user.id,
+    });
+    res.status(201).json(withHtml(article));
+  }));
+
+  // Update an article; levelIds and courseIds replace its links
+  const updateArticle = asyncHandler(async (req, res) => {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+    const invalid = knowledge.validateArticle(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const changes = articleChanges(req.body);
+    if (!(await checkNewLinks(req, res, changes, article))) return;
+    res.json(withHtml(await store.updateKnowledge(article.id, changes)));
+  });
+  router.put('/api/admin/knowledge/:id(\\d+)', authenticate, requireStaff, updateArticle);
+  router.patch('/api/admin/knowledge/:id(\\d+)', authenticate, requireStaff, updateArticle);
+
+  router.delete('/api/admin/knowledge/:id(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+    await store.deleteKnowledge(article.id);
+    res.json({ success: true });
+  }));
+
+  return router;
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const levelOrder = require('../levels');
+const publishing = require('../publishing');
+const revisions = require('../revisions');
+const { withHtml } = require('../markdown');
+const { recordEvent } = require('../events');
+const {
+  asyncHandler, requireStaff, readListQuery, sendPage, findManagedCourse, canReadLevels, lockLevels, lockLevel,
+} = require('./middleware');
+
+/*
+ * Level routes. Levels are listed in `position` order; admins and the
+ * owner of a course may add, edit, delete and reorder its levels.
+ * Quiz questions and exercise tests are left out of the public routes
+ * and only come with /api/admin/levels/:id. Learners only see published
+ * levels of courses they can see (see lib/publishing.js), and those of
+ * invite-only courses once enrolled (see lib/enrollment.js). The levels of
+ * a course and a single level say whether they are locked for the
+ * caller (see lib/unlocking.js). Every change to a level's text is kept
+ * as a revision, and learners partway through the course read the text
+ * from when they enrolled (see lib/revisions.js). Content is Markdown
+ * and comes with its HTML (see lib/markdown.js). A level form may set
+ * the knowledge articles linked to the level with `knowledgeIds`.
+ */
+
+module.exports = function levelRoutes({
+  store, authenticate, optionalAuthenticate, fileStore,
+}) {
+  const router = express.Router();
+
+  // Check the knowledgeIds of a level form: ids of existing articles.
+  // Returns an error message or null.
+  async function invalidKnowledgeIds(knowledgeIds) {
+    if (knowledgeIds === undefined) return null;
+    if (!Array.isArray(knowledgeIds) || !knowledgeIds.every((id) => Number.isInteger(id))) {
+      return 'knowledgeIds must be a list of article ids.';
+    }
+    for (const id of knowledgeIds) {
+      if (!(await store.getKnowledge(id))) return `Article ${id} does not exist.`;
+    }
+    return null;
+  }
+
+  // List the levels of a course in position order
+  router.get('/api/courses/:id(\\d+)/levels', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const course = await store.getCourse(parseInt(req.params.id, 10));
+    if (!course) return res.json([]);
+    const levels = await lockLevels(store, req.user, course, await store.listCourseLevels(course.id));
+    res.json(levels.map(levelOrder.publicLevel).map(withHtml));
+  }));
+
+  // List the published levels of all published courses whose levels the
+  // caller may read, with ?q=, ?courseId=, ?type= and paging (see
+  // lib/listing.js). Each level comes as in its course's level list: with
+  // its lock state and the text the caller reads.
+  router.get('/api/levels', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const options = readListQuery(req, res, {
+      sorts: ['position', 'title'], defaultSort: 'position', filters: { courseId: 'id', type: levelOrder.LEVEL_TYPES },
+    });
+    if (!options) return;
+    const enrolled = new Set(((req.user && await store.listUserCourses(req.user.id)) || []).map((c) => c.id));
+    const courses = new Map((await store.listCourses())
+      .filter((c) => publishing.isPublished(c) && canReadLevels(req.user, c, enrolled.has(c.id)))
+      .map((c) => [c.id, c]));
+    const page = await store.findLevels({
+      ...options, courseIds: [...courses.keys()], status: 'published', courseStatus: 'published',
+    });
+    const shown = new Map();
+    for (const courseId of new Set(page.items.map((l) => l.courseId))) {
+      const levels = await lockLevels(store, req.user, courses.get(courseId), await store.listCourseLevels(courseId));
+      levels.forEach((level) => shown.set(level.id, level));
+    }
+    const items = page.items.map((level) => shown.get(level.id)).filter(Boolean);
+    sendPage(res, { ...page, items }, (level) => withHtml(levelOrder.publicLevel(level)));
+  }));
+
+  // Get a single level by id. Logged in users' views go in their
+  // activity log.
+  router.get('/api/levels/:id(\\d+)', optionalAuthenticate, asyncHandler(async (req, res) => {
+    const level = await store.getLevel(parseInt(req.params.id, 10));
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    const shown = await lockLevel(store, req.user, level);
+    if (!shown) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (req.user) {
+      await recordEvent(store, {
+        userId: req.user.id, type: 'level_view', courseId: level.courseId, levelId: level.id,
+      });
+    }
+    res.json(withHtml(levelOrder.publicLevel(shown)));
+  }));
+
+  // Admin or course owner: a level including its quiz questions or
+  // exercise tests
+  router.get('/api/admin/levels/:id(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const level = await store.getLevel(parseInt(req.params.id, 10));
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return;
+    res.json(withHtml(level));
+  }));
+
+  // Add a level to a course { courseId, title, description, content, type,
+  // quiz, exercise, status, position, knowledgeIds }. Without a position
+  // the level is added at the end; without a status it is a draft.
+  router.post('/api/admin/levels', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const courseId = parseInt(req.body.courseId, 10);
+    if (!(await findManagedCourse(store, req, res, courseId))) return;
+    const invalid = levelOrder.validateLevel(req.body) || await invalidKnowledgeIds(req.body.knowledgeIds);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const {
+      title, description = '', content = '', type = levelOrder.DEFAULT_LEVEL_TYPE, status = publishing.DEFAULT_STATUS, position,
+    } = req.body;
+    const level = await store.createLevel({
+      courseId,
+      title: title.trim(),
+      description,
+      content,
+      type,
+      status,
+      ...levelOrder.definitionChanges(req.body, type),
+    }, position);
+    if (req.body.knowledgeIds !== undefined) {
+      await store.setLevelKnowledge(level.id, req.body.knowledgeIds);
+    }
+    await revisions.recordRevision(store, {
+      courseId, levelId: level.id, after: level, action: 'create', authorId: req.user.id,
+    });
+    res.status(201).json(withHtml(level));
+  }));
+
+  // Update a level. A new position moves it within its course; a level
+  // that changes type loses its quiz or exercise.
+  const updateLevel = asyncHandler(async (req, res) => {
+    const levelId = parseInt(req.params.id, 10);
+    const level = await store.getLevel(levelId);
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return;
+    const invalid = levelOrder.validateLevel(req.body, { partial: true, current: level })
+      || await invalidKnowledgeIds(req.body.knowledgeIds);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const {
+      title, description, content, type, status, position,
+    } = req.body;
+    const changes = {
+      title: title !== undefined ? title.trim() : undefined,
+      description,
+      content,
+      type,
+      status,
+      ...levelOrder.definitionChanges(req.body, type || level.type),
+    };
+    const updated = await store.updateLevel(levelId, changes, position);
+    if (req.body.knowledgeIds !== undefined) {
+      await store.setLevelKnowledge(levelId, req.body.knowledgeIds);
+    }
+    await revisions.recordRevision(store, {
+      courseId: level.courseId, levelId, before: level, after: updated, action: 'edit', authorId: req.user.id,
+    });
+    res.json(withHtml(updated));
+  });
+  router.put('/api/admin/levels/:id(\\d+)', authenticate, requireStaff, updateLevel);
+  router.patch('/api/admin/levels/:id(\\d+)', authenticate, requireStaff, updateLevel);
+
+  // Delete a level and close the gap in its course's positions
+  router.delete('/api/admin/levels/:id(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const levelId = parseInt(req.params.id, 10);
+    const level = await store.getLevel(levelId);
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return;
+    const files = await store.listSubmissionFiles({ levelId });
+    await store.deleteLevel(levelId);
+    await fileStore.remove(files.map((f) => f.storageKey));
+    res.json({ success: true });
+  }));
+
+  // Reorder all levels of a course { levelIds: [3, 1, 2] }
+  router.put('/api/admin/courses/:id(\\d+)/levels/order', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const courseId = parseInt(req.params.id, 10);
+    if (!(await findManagedCourse(store, req, res, courseId))) return;
+    const levelIds = Array.isArray(req.body.levelIds) ? req.body.levelIds.map((id) => parseInt(id, 10)) : null;
+    const levels = await store.reorderLevels(courseId, levelIds);
+    if (!levels) {
+      return res.status(400).json({ error: 'levelIds must list every level of the course exactly once.' });
+    }
+    res.json(levels.map(withHtml));
+  }));
+
+  return router;
+};
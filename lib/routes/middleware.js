@@ -0,0 +1,195 @@
+const auth = require('../auth');
+const roles = require('../roles');
+const unlocking = require('../unlocking');
+const publishing = require('../publishing');
+const revisions = require('../revisions');
+const listing = require('../listing');
+const { avatarUrls } = require('../avatars');
+
+/*
+ * Middleware and helpers shared by the route modules
+ */
+
+// Wrap an async handler so rejected promises reach the error handler
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+// Strip password fields before a user is sent to a client, and give the
+// URL of each size of their profile picture
+function sanitizeUser(user) {
+  const { password, passwordHash, ...rest } = user;
+  return { ...rest, avatars: avatarUrls(rest.profilePicture) };
+}
+
+// Load the user behind the bearer token into req.user, and the id of
+// its session into req.sessionId, or answer 401
+function createAuthenticate(store) {
+  return asyncHandler(async (req, res, next) => {
+    const session = auth.verifyToken(auth.getBearerToken(req));
+    const user = session && await store.getUser(session.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    req.user = user;
+    req.sessionId = session.sid;
+    next();
+  });
+}
+
+// Like authenticate, but lets anonymous requests through without req.user
+function createOptionalAuthenticate(store) {
+  return asyncHandler(async (req, res, next) => {
+    const session = auth.verifyToken(auth.getBearerToken(req));
+    const user = session && await store.getUser(session.userId);
+    if (user) req.user = user;
+    next();
+  });
+}
+
+// Role checks, used after authenticate
+function requireAdmin(req, res, next) {
+  if (!roles.isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required.' });
+  }
+  next();
+}
+
+function requireStaff(req, res, next) {
+  if (!roles.isStaff(req.user)) {
+    return res.status(403).json({ error: 'Admin or instructor access required.' });
+  }
+  next();
+}
+
+// /api/user/:id routes serve only that user, or an admin
+function requireSelfOrAdmin(req, res, next) {
+  if (req.user.id !== parseInt(req.params.id, 10) && !roles.isAdmin(req.user)) {
+    return res.status(403).json({ error: 'You can only access your own account.' });
+  }
+  next();
+}
+
+// Read the list options of a request (see lib/listing.js) as `spec`
+// allows, or answer 400 and return null
+function readListQuery(req, res, spec) {
+  const { error, options } = listing.parseListQuery(req.query, spec);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return options;
+}
+
+// Send one page of a list: its records, passed through `map`, and the
+// number of matches in all as X-Total-Count
+function sendPage(res, { items, total }, map = (item) => item) {
+  res.set('X-Total-Count', String(total));
+  res.json(items.map(map));
+}
+
+// Load a course the caller may manage. Sends 404/403 and returns null
+// when the course is missing or belongs to another instructor.
+async function findManagedCourse(store, req, res, courseId) {
+  const course = await store.getCourse(courseId);
+  if (!course) {
+    res.status(404).json({ error: 'Course not found.' });
+    return null;
+  }
+  if (!roles.canManageCourse(req.user, course.ownerId)) {
+    res.status(403).json({ error: 'You can only manage your own courses.' });
+    return null;
+  }
+  return course;
+}
+
+// Whether `user` (null when anonymous) may see a course: published
+// courses are public, archived ones stay visible to their learners and
+// drafts only to those who manage them (see lib/publishing.js)
+async function canViewCourse(store, user, course) {
+  if (course.status === 'published') return true;
+  if (user && roles.canManageCourse(user, course.ownerId)) return true;
+  return course.status === 'archived' && !!user && !!(await store.getCourseProgress(user.id, course.id));
+}
+
+// Revisions of a course and its levels a learner with this progress
+// reads instead of the current text, or null when they read the current
+// text: they are not enrolled or have completed the course (see
+// lib/revisions.js)
+async function enrolledRevisions(store, progress, course) {
+  if (!progress || progress.completedAt) return null;
+  return store.listRevisions({ courseId: course.id });
+}
+
+// A course with the text `user` reads
+async function courseAsRead(store, user, course) {
+  if (!user || roles.canManageCourse(user, course.ownerId)) return course;
+  const progress = await store.getCourseProgress(user.id, course.id);
+  const pinned = await enrolledRevisions(store, progress, course);
+  return pinned ? revisions.asEnrolled(course, null, pinned, progress.enrolledAt) : course;
+}
+
+// Whether `user` may read the levels of a course they may see. The levels
+// of invite-only courses are for their learners and those who manage
+// them (see lib/enrollment.js).
+function canReadLevels(user, course, enrolled) {
+  if (course.enrollmentPolicy !== 'invite' || enrolled) return true;
+  return !!user && roles.canManageCourse(user, course.ownerId);
+}
+
+// The levels of a course `user` may see, in order, with their lock state
+// (see lib/unlocking.js) and the text they read. Learners only see
+// published levels of courses they may see, and of invite-only courses
+// only once enrolled; anonymous callers are treated as learners who have
+// completed nothing. Those who manage the course see every level as it
+// is now, and nothing is locked for them.
+async function lockLevels(store, user, course, levels) {
+  if (user && roles.canManageCourse(user, course.ownerId)) {
+    return levels.map((level) => ({ ...level, locked: false, lockedReason: null }));
+  }
+  if (!(await canViewCourse(store, user, course))) return [];
+  const progress = user && await store.getCourseProgress(user.id, course.id);
+  if (!canReadLevels(user, course, !!progress)) return [];
+  levels = levels.filter(publishing.isPublished);
+  const pinned = await enrolledRevisions(store, progress, course);
+  if (pinned) levels = levels.map((level) => revisions.asEnrolled(level, level.id, pinned, progress.enrolledAt));
+  const userCourses = (user && await store.listUserCourses(user.id)) || [];
+  return unlocking.lockLevels(
+    course,
+    levels,
+    new Set(progress ? progress.completedLevels.map((c) => c.levelId) : []),
+    new Set(userCourses.filter((c) => c.completedAt).map((c) => c.id))
+  );
+}
+
+// A level with its lock state for `user`, or null when they may not see it
+async function lockLevel(store, user, level) {
+  const course = await store.getCourse(level.courseId);
+  const levels = await lockLevels(store, user, course, await store.listCourseLevels(course.id));
+  return levels.find((l) => l.id === level.id) || null;
+}
+
+// Whether `user` may work on a level: see it, and find it unlocked
+async function isLevelOpen(store, user, level) {
+  const shown = await lockLevel(store, user, level);
+  return !!shown && !shown.locked;
+}
+
+module.exports = {
+  asyncHandler,
+  sanitizeUser,
+  createAuthenticate,
+  createOptionalAuthenticate,
+  requireAdmin,
+  requireStaff,
+  requireSelfOrAdmin,
+  readListQuery,
+  sendPage,
+  findManagedCourse,
+  canViewCourse,
+  canReadLevels,
+  courseAsRead,
+  lockLevels,
+  lockLevel,
+  isLevelOpen,
+};
@@ -0,0 +1,88 @@
+const Busboy = require('busboy');
+
+/*
+ * multipart/form-data request bodies with file uploads
+ *
+ * readMultipart streams every file part into a file store (see
+ * lib/fileStore.js) while the request arrives, so uploads never sit in
+ * memory as a whole. If any part is refused, files already stored for
+ * the request are deleted again.
+ */
+
+function badRequest(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  err.expose = true;
+  return err;
+}
+
+function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+// Resolves to { fields, files } with `files` as returned by
+// fileStore.save, or rejects with an exposed error
+function readMultipart(req, { fileStore, maxFiles }) {
+  return new Promise((resolve, reject) => {
+    let busboy;
+    try {
+      busboy = Busboy({
+        headers: req.headers,
+        limits: { files: maxFiles, fileSize: fileStore.maxBytes, fields: 20, fieldSize: 1024 * 1024 },
+      });
+    } catch (err) {
+      reject(badRequest(400, 'Invalid upload.'));
+      return;
+    }
+    const fields = {};
+    const saves = [];
+    let failure = null;
+    let settled = false;
+
+    async function finish() {
+      if (settled) return;
+      settled = true;
+      const files = (await Promise.all(saves)).filter(Boolean);
+      if (failure) {
+        await fileStore.remove(files.map((f) => f.storageKey));
+        // Stop reading the rest of a refused upload
+        req.unpipe(busboy);
+        req.resume();
+        reject(failure);
+      } else {
+        resolve({ fields, files });
+      }
+    }
+    const fail = (err) => {
+      failure = failure || err;
+    };
+
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
+    busboy.on('file', (name, stream, info) => {
+      if (failure) {
+        stream.resume();
+        return;
+      }
+      saves.push(fileStore.save(stream, { fileName: info.filename, declaredType: info.mimeType })
+        .catch((err) => {
+          fail(err);
+          return null;
+        }));
+    });
+    busboy.on('filesLimit', () => fail(badRequest(400, `At most ${maxFiles} files can be uploaded at once.`)));
+    busboy.on('error', () => {
+      fail(badRequest(400, 'Invalid upload.'));
+      finish();
+    });
+    busboy.on('close', finish);
+    req.on('aborted', () => {
+      fail(badRequest(400, 'Upload was interrupted.'));
+      finish();
+    });
+    req.pipe(busboy);
+  });
+}
+
+module.exports = { isMultipart, readMultipart };
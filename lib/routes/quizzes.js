@@ -0,0 +1,130 @@
+const express = require('express');
+const quizzes = require('../quizzes');
+const { recordEvent, completeLevel } = require('../events');
+const {
+  asyncHandler, requireStaff, findManagedCourse, isLevelOpen,
+} = require('./middleware');
+
+/*
+ * Quiz routes. Enrolled learners start attempts at a quiz level, get
+ * the drawn questions without their answers and submit answers to be
+ * graded here, as long as they are still enrolled and the level still
+ * open to them. Passing completes the level like an approved submission.
+ * Admins and course owners can see every attempt at their levels.
+ */
+
+module.exports = function quizRoutes({ store, authenticate }) {
+  const router = express.Router();
+
+  // Load a quiz level, or answer 404
+  async function findQuizLevel(req, res) {
+    const level = await store.getLevel(parseInt(req.params.id, 10));
+    if (!level || level.type !== 'quiz' || !level.quiz) {
+      res.status(404).json({ error: 'Quiz not found.' });
+      return null;
+    }
+    return level;
+  }
+
+  // Whether the caller may work on a quiz level: enrolled in its course
+  // and finding it open. Answers 403 if not.
+  async function checkCanAttempt(req, res, level) {
+    if (!(await store.getCourseProgress(req.user.id, level.courseId))) {
+      res.status(403).json({ error: 'User is not enrolled in this course.' });
+      return false;
+    }
+    if (!(await isLevelOpen(store, req.user, level))) {
+      res.status(403).json({ error: 'This level is locked.' });
+      return false;
+    }
+    return true;
+  }
+
+  // The quiz rules with the caller's attempts and how many are left
+  router.get('/api/levels/:id(\\d+)/quiz', authenticate, asyncHandler(async (req, res) => {
+    const level = await findQuizLevel(req, res);
+    if (!level) return;
+    const attempts = await store.listQuizAttempts({ userId: req.user.id, levelId: level.id });
+    res.json({
+      ...quizzes.quizSummary(level.quiz),
+      attemptsLeft: quizzes.attemptsLeft(level.quiz, attempts),
+      passed: attempts.some((a) => a.passed),
+      attempts: attempts.map(quizzes.publicAttempt),
+    });
+  }));
+
+  // Start an attempt, or continue the one still open. Answers with the
+  // attempt's questions.
+  router.post('/api/levels/:id(\\d+)/quiz/attempts', authenticate, asyncHandler(async (req, res) => {
+    const level = await findQuizLevel(req, res);
+    if (!level || !(await checkCanAttempt(req, res, level))) return;
+    const attempts = await store.listQuizAttempts({ userId: req.user.id, levelId: level.id });
+    const open = attempts.find((a) => !a.submittedAt);
+    if (open) {
+      return res.json(quizzes.publicAttempt(open));
+    }
+    if (quizzes.attemptsLeft(level.quiz, attempts) === 0) {
+      return res.status(403).json({ error: 'No attempts left for this quiz.' });
+    }
+    const attempt = await store.createQuizAttempt({
+      userId: req.user.id,
+      levelId: level.id,
+      questions: quizzes.drawQuestions(level.quiz),
+    });
+    if (!attempt) {
+      return res.status(409).json({ error: 'An attempt at this quiz is already in progress.' });
+    }
+    res.status(201).json(quizzes.publicAttempt(attempt));
+  }));
+
+  // Submit the answers of an open attempt { answers: { questionId: answer } }.
+  // Answers with the graded attempt and, if it passed, the course progress.
+  // Attempts started before the level was archived or locked, or before
+  // the learner left the course, are not graded.
+  router.post('/api/levels/:id(\\d+)/quiz/attempts/:attemptId(\\d+)/submit', authenticate, asyncHandler(async (req, res) => {
+    const level = await findQuizLevel(req, res);
+    if (!level) return;
+    const attempt = await store.getQuizAttempt(parseInt(req.params.attemptId, 10));
+    if (!attempt || attempt.levelId !== level.id || attempt.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Attempt not found.' });
+    }
+    if (!(await checkCanAttempt(req, res, level))) return;
+    const { answers } = req.body;
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({ error: 'Answers must be an object keyed by question id.' });
+    }
+    const { score } = quizzes.gradeAnswers(attempt.questions, answers);
+    const passed = score >= level.quiz.passMark;
+    const submitted = attempt.submittedAt ? null : await store.submitQuizAttempt(attempt.id, { answers, score, passed });
+    if (!submitted) {
+      return res.status(409).json({ error: 'This attempt has already been submitted.' });
+    }
+    await recordEvent(store, {
+      userId: req.user.id,
+      type: 'submission',
+      courseId: level.courseId,
+      levelId: level.id,
+      data: { quizAttemptId: submitted.id, score, passed },
+    });
+    const progress = passed ? await completeLevel(store, req.user.id, level) : null;
+    res.json({ ...quizzes.publicAttempt(submitted), progress });
+  }));
+
+  // Admin or course owner: every attempt at a quiz, optionally ?userId=
+  router.get('/api/admin/levels/:id(\\d+)/quiz/attempts', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const level = await findQuizLevel(req, res);
+    if (!level) return;
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return;
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId, 10) : undefined;
+    if (Number.isNaN(userId)) {
+      return res.status(400).json({ error: 'userId must be a number.' });
+    }
+    const attempts = await store.listQuizAttempts({ userId, levelId: level.id });
+    res.json(attempts.map((attempt) => ({
+      ...attempt,
+      results: attempt.submittedAt ? quizzes.gradeAnswers(attempt.questions, attempt.answers).results : null,
+    })));
+  }));
+
+  return router;
+};
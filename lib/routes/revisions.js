@@ -0,0 +1,107 @@
+const express = require('express');
+const revisions = require('../revisions');
+const { withHtml } = require('../markdown');
+const {
+  asyncHandler, sanitizeUser, requireStaff, findManagedCourse,
+} = require('./middleware');
+
+/*
+ * Revision routes. Admins and course owners can list the revisions of a
+ * course's or level's text, compare two of them, or one with the current
+ * text, and restore an older one, which is saved as a new revision (see
+ * lib/revisions.js).
+ */
+
+module.exports = function revisionRoutes({ store, authenticate }) {
+  const router = express.Router();
+
+  // Load a revision of a course the caller may manage, or answer 404/403
+  async function findManagedRevision(req, res, revisionId) {
+    const revision = await store.getRevision(revisionId);
+    if (!revision) {
+      res.status(404).json({ error: 'Revision not found.' });
+      return null;
+    }
+    if (!(await findManagedCourse(store, req, res, revision.courseId))) return null;
+    return revision;
+  }
+
+  // The course or level a revision belongs to, as it is now
+  async function currentRecord(revision) {
+    return revision.levelId === null ? store.getCourse(revision.courseId) : store.getLevel(revision.levelId);
+  }
+
+  // Revisions, newest first, with their authors
+  async function withAuthors(list) {
+    const users = new Map((await store.listUsers()).map((u) => [u.id, u]));
+    return list.map((r) => ({ ...r, author: users.has(r.authorId) ? sanitizeUser(users.get(r.authorId)) : null }));
+  }
+
+  // Revisions of a course's own text
+  router.get('/api/admin/courses/:id(\\d+)/revisions', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const course = await findManagedCourse(store, req, res, parseInt(req.params.id, 10));
+    if (!course) return;
+    res.json(await withAuthors(await store.listRevisions({ courseId: course.id, levelId: null })));
+  }));
+
+  // Revisions of a level's text
+  router.get('/api/admin/levels/:id(\\d+)/revisions', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const level = await store.getLevel(parseInt(req.params.id, 10));
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return;
+    res.json(await withAuthors(await store.listRevisions({ courseId: level.courseId, levelId: level.id })));
+  }));
+
+  // One revision, with its content rendered for a preview
+  router.get('/api/admin/revisions/:id(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const revision = await findManagedRevision(req, res, parseInt(req.params.id, 10));
+    if (!revision) return;
+    res.json(withHtml((await withAuthors([revision]))[0]));
+  }));
+
+  // What changed from one revision to another of the same course or
+  // level, or to the current text when no second revision is given
+  router.get('/api/admin/revisions/:id(\\d+)/diff/:otherId(\\d+)?', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const revision = await findManagedRevision(req, res, parseInt(req.params.id, 10));
+    if (!revision) return;
+    if (req.params.otherId === undefined) {
+      const current = await currentRecord(revision);
+      return res.json(revisions.diffRevisions(revision, { ...revisions.snapshot(current), id: null }));
+    }
+    const other = await store.getRevision(parseInt(req.params.otherId, 10));
+    if (!other) {
+      return res.status(404).json({ error: 'Revision not found.' });
+    }
+    if (other.courseId !== revision.courseId || other.levelId !== revision.levelId) {
+      return res.status(400).json({ error: 'Both revisions must belong to the same course or level.' });
+    }
+    res.json(revisions.diffRevisions(revision, other));
+  }));
+
+  // Put the text of an older revision back. The restored text is saved
+  // as a new revision; learners partway through the course keep the text
+  // they are reading.
+  router.post('/api/admin/revisions/:id(\\d+)/restore', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const revision = await findManagedRevision(req, res, parseInt(req.params.id, 10));
+    if (!revision) return;
+    const before = await currentRecord(revision);
+    const text = revisions.snapshot(revision);
+    const after = revision.levelId === null
+      ? await store.updateCourse(revision.courseId, text)
+      : await store.updateLevel(revision.levelId, text);
+    await revisions.recordRevision(store, {
+      courseId: revision.courseId,
+      levelId: revision.levelId,
+      before,
+      after,
+      action: 'restore',
+      authorId: req.user.id,
+      restoredFrom: revision.id,
+    });
+    res.json(withHtml(after));
+  }));
+
+  return router;
+};
@@ -0,0 +1,229 @@
+const express = require('express');
+const roles = require('../roles');
+const submissionStates = require('../submissions');
+const exercises = require('../exercises');
+const { runTests } = require('../sandbox');
+const { recordEvent, completeLevel } = require('../events');
+const {
+  asyncHandler, requireStaff, requireSelfOrAdmin, readListQuery, sendPage, findManagedCourse, isLevelOpen,
+} = require('./middleware');
+const { isMultipart, readMultipart } = require('./multipart');
+
+/*
+ * Level submission routes: learners submit work and see their history,
+ * admins and course owners list and review submissions. Approving a
+ * submission marks the level as completed for the learner.
+ *
+ * Work is submitted as text, or as files in a multipart/form-data
+ * upload that go to the file store (lib/fileStore.js). Files are only
+ * handed out through the download route, to the learner who submitted
+ * them and to those who may manage the course.
+ *
+ * Code submitted to an exercise level is run against the exercise's
+ * tests in the sandbox (lib/sandbox.js) straight away and reviewed
+ * automatically: approved when every test passes, rejected otherwise.
+ */
+
+// Files accepted with one submission
+const MAX_FILES_PER_SUBMISSION = 5;
+
+// Filters of the submission lists besides ?q= and paging (see
+// lib/listing.js)
+const SUBMISSION_FILTERS = {
+  levelId: 'id', courseId: 'id', userId: 'id', status: submissionStates.STATUSES,
+};
+
+module.exports = function submissionRoutes({ store, authenticate, fileStore }) {
+  const router = express.Router();
+
+  // Turn ?q=, the filters in `names` and paging into store options,
+  // newest first unless sorted otherwise, or answer 400
+  function readFilters(req, res, names) {
+    const filters = {};
+    for (const name of names) filters[name] = SUBMISSION_FILTERS[name];
+    const options = readListQuery(req, res, {
+      sorts: ['createdAt', 'status'], defaultSort: 'createdAt', defaultOrder: 'desc', filters,
+    });
+    if (!options) return null;
+    if (options.courseId !== undefined) {
+      options.courseIds = [options.courseId];
+      delete options.courseId;
+    }
+    return options;
+  }
+
+  // Load a submission whose course the caller may manage, or answer 404/403
+  async function findManagedSubmission(req, res) {
+    const submission = await store.getSubmission(parseInt(req.params.id, 10));
+    const level = submission && await store.getLevel(submission.levelId);
+    if (!level) {
+      res.status(404).json({ error: 'Submission not found.' });
+      return null;
+    }
+    if (!(await findManagedCourse(store, req, res, level.courseId))) return null;
+    return submission;
+  }
+
+  // Log a submission, or its review, in the learner's activity log
+  function logSubmission(submission, level) {
+    return recordEvent(store, {
+      userId: submission.userId, type: 'submission', courseId: level.courseId, levelId: level.id, submissionId: submission.id,
+    });
+  }
+
+  function logReview(submission, level) {
+    return recordEvent(store, {
+      userId: submission.userId,
+      type: 'review',
+      courseId: level.courseId,
+      levelId: level.id,
+      submissionId: submission.id,
+      data: { status: submission.status, grade: submission.grade, reviewerId: submission.reviewerId },
+    });
+  }
+
+  // Run code submitted to an exercise level and record the submission
+  // with its test results, graded by the share of passed tests
+  async function submitSolution(userId, level, code) {
+    const { tests, timeoutMs } = level.exercise;
+    const testResults = await runTests(code, tests, { timeoutMs });
+    const { grade, passed } = exercises.summarizeResults(testResults);
+    const submission = await store.createSubmission({ userId, levelId: level.id, content: code, testResults });
+    await logSubmission(submission, level);
+    const reviewed = await store.reviewSubmission(submission.id, {
+      status: passed ? 'approved' : 'rejected',
+      grade,
+      feedback: `${testResults.filter((r) => r.passed).length} of ${testResults.length} tests passed.`,
+      reviewerId: null,
+    });
+    await logReview(reviewed, level);
+    if (passed) await completeLevel(store, userId, level);
+    return reviewed;
+  }
+
+  // Submit work for a level as the logged in user: JSON { levelId, content }
+  // or multipart/form-data with a levelId field, an optional content field
+  // and up to MAX_FILES_PER_SUBMISSION files, to a level of a course the
+  // user is enrolled in. Exercise levels take code as `content` and answer
+  // with the test results.
+  router.post('/api/submissions', authenticate, asyncHandler(async (req, res) => {
+    let body = req.body || {};
+    let files = [];
+    if (isMultipart(req)) {
+      ({ fields: body, files } = await readMultipart(req, { fileStore, maxFiles: MAX_FILES_PER_SUBMISSION }));
+    }
+    const levelId = parseInt(body.levelId, 10);
+    const content = typeof body.content === 'string' && body.content !== '' ? body.content : null;
+    let error = null;
+    const level = Number.isNaN(levelId) ? null : await store.getLevel(levelId);
+    if (Number.isNaN(levelId) || (!content && files.length === 0)) {
+      error = [400, 'Invalid level ID or content missing.'];
+    } else if (!level) {
+      error = [404, 'Level not found.'];
+    } else if (level.type === 'quiz') {
+      error = [400, 'Quiz levels are completed by passing the quiz.'];
+    } else if (!(await isLevelOpen(store, req.user, level))) {
+      error = [403, 'This level is locked.'];
+    } else if (!(await store.getCourseProgress(req.user.id, level.courseId))) {
+      error = [403, 'User is not enrolled in this course.'];
+    } else if (level.type === 'exercise') {
+      const invalid = files.length > 0 ? 'Exercise levels take code, not files.' : exercises.validateSolution(content);
+      if (invalid) {
+        error = [400, invalid];
+      }
+    }
+    if (error) {
+      await fileStore.remove(files.map((f) => f.storageKey));
+      return res.status(error[0]).json({ error: error[1] });
+    }
+    if (level.type === 'exercise') {
+      return res.status(201).json(await submitSolution(req.user.id, level, content));
+    }
+    const submission = await store.createSubmission({ userId: req.user.id, levelId, content, files });
+    await logSubmission(submission, level);
+    res.status(201).json(submission);
+  }));
+
+  // Download a submitted file: the submitter, admins and the course owner
+  router.get('/api/submissions/:id(\\d+)/files/:fileId(\\d+)', authenticate, asyncHandler(async (req, res) => {
+    const submission = await store.getSubmission(parseInt(req.params.id, 10));
+    const file = submission && await store.getSubmissionFile(submission.id, parseInt(req.params.fileId, 10));
+    if (!file) {
+      return res.status(404).json({ error: 'File not found.' });
+    }
+    if (submission.userId !== req.user.id) {
+      const level = await store.getLevel(submission.levelId);
+      const course = level && await store.getCourse(level.courseId);
+      if (!course || !roles.canManageCourse(req.user, course.ownerId)) {
+        return res.status(403).json({ error: 'You cannot access this file.' });
+      }
+    }
+    const stream = fileStore.createReadStream(file.storageKey);
+    stream.on('error', (err) => {
+      if (err.code !== 'ENOENT') console.error(`Error reading submission file ${file.id}`, err);
+      if (!res.headersSent) res.status(404).json({ error: 'File not found.' });
+      else res.destroy();
+    });
+    stream.once('open', () => {
+      res.set({
+        'Content-Type': file.mimeType,
+        'Content-Length': file.size,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, no-store',
+      });
+      res.attachment(file.name);
+      stream.pipe(res);
+    });
+  }));
+
+  // A user's own submission history, optionally filtered by
+  // ?levelId=, ?courseId= or ?status=, searched with ?q= and paged
+  router.get('/api/user/:id(\\d+)/submissions', authenticate, requireSelfOrAdmin, asyncHandler(async (req, res) => {
+    const filters = readFilters(req, res, ['levelId', 'courseId', 'status']);
+    if (!filters) return;
+    sendPage(res, await store.findSubmissions({ ...filters, userId: parseInt(req.params.id, 10) }));
+  }));
+
+  // Admin or instructor: list submissions filtered by ?levelId=, ?courseId=,
+  // ?userId= or ?status=, searched with ?q= and paged. Instructors only
+  // see their own courses.
+  router.get('/api/admin/submissions', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const filters = readFilters(req, res, ['levelId', 'courseId', 'userId', 'status']);
+    if (!filters) return;
+    if (filters.courseIds) {
+      if (!(await findManagedCourse(store, req, res, filters.courseIds[0]))) return;
+    } else if (!roles.isAdmin(req.user)) {
+      const courses = await store.listCourses();
+      filters.courseIds = courses.filter((c) => roles.canManageCourse(req.user, c.ownerId)).map((c) => c.id);
+    }
+    sendPage(res, await store.findSubmissions(filters));
+  }));
+
+  // Admin or course owner: get a single submission
+  router.get('/api/admin/submissions/:id(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const submission = await findManagedSubmission(req, res);
+    if (!submission) return;
+    res.json(submission);
+  }));
+
+  // Admin or course owner: review a submission { status, grade, feedback }
+  router.put('/api/admin/submissions/:id(\\d+)/review', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const submission = await findManagedSubmission(req, res);
+    if (!submission) return;
+    const invalid = submissionStates.validateReview(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    const { status, grade = null, feedback = null } = req.body;
+    const reviewed = await store.reviewSubmission(submission.id, { status, grade, feedback, reviewerId: req.user.id });
+    const level = await store.getLevel(submission.levelId);
+    await logReview(reviewed, level);
+    if (status === 'approved') {
+      // Does nothing if the learner has left the course since
+      await completeLevel(store, submission.userId, level);
+    }
+    res.json(reviewed);
+  }));
+
+  return router;
+};
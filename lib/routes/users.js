@@ -0,0 +1,248 @@
+const express = require('express');
+const auth = require('../auth');
+const passwords = require('../password');
+const roles = require('../roles');
+const enrollment = require('../enrollment');
+const { avatarUrls } = require('../avatars');
+const { completeLevel } = require('../events');
+const {
+  asyncHandler,
+  sanitizeUser,
+  requireAdmin,
+  requireStaff,
+  requireSelfOrAdmin,
+  readListQuery,
+  sendPage,
+  findManagedCourse,
+  isLevelOpen,
+} = require('./middleware');
+
+/*
+ * Profile, progress and user administration routes
+ */
+
+module.exports = function userRoutes({
+  store, authenticate, avatarStore, fileStore, accountMailer,
+}) {
+  const router = express.Router();
+  const self = [authenticate, requireSelfOrAdmin];
+
+  // Get a user profile (without password)
+  router.get('/api/user/:id(\\d+)', self, asyncHandler(async (req, res) => {
+    const user = await store.getUser(parseInt(req.params.id, 10));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    res.json(sanitizeUser(user));
+  }));
+
+  // Update a user's profile (name, email, password). Accept partial updates.
+  // Changing the email or password needs the { currentPassword } of
+  // whoever is logged in, so a session left open is not enough to take
+  // over the account. A new email must be verified again; a new password
+  // ends the account's other sessions.
+  const updateProfile = asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const { name, email, password, currentPassword } = req.body;
+    const previous = await store.getUser(userId);
+    if (!previous) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({ error: 'Name must be text.' });
+    }
+    if (email !== undefined && (typeof email !== 'string' || email === '')) {
+      return res.status(400).json({ error: 'Email must be non-empty text.' });
+    }
+    if (password !== undefined) {
+      const invalid = passwords.validatePassword(password);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+    const emailChanged = email !== undefined && email !== previous.email;
+    if (emailChanged || password !== undefined) {
+      if (typeof currentPassword !== 'string' || currentPassword === '') {
+        return res.status(400).json({ error: 'Enter your current password to change your email or password.' });
+      }
+      // Not 401, which would log the client out
+      if (!(await passwords.verifyUserPassword(currentPassword, req.user)).valid) {
+        return res.status(403).json({ error: 'Current password is incorrect.' });
+      }
+    }
+    // If email is being updated, ensure it's not taken by another user
+    if (email !== undefined) {
+      const other = await store.findUserByEmail(email);
+      if (other && other.id !== userId) {
+        return res.status(409).json({ error: 'Email is already in use by another account.' });
+      }
+    }
+    const changes = { name, email };
+    if (emailChanged) {
+      changes.emailVerifiedAt = null;
+    }
+    if (password !== undefined) {
+      changes.passwordHash = await passwords.hashPassword(password);
+    }
+    const user = await store.updateUser(userId, changes);
+    if (password !== undefined) {
+      auth.destroyUserSessions(userId, req.user.id === userId ? req.sessionId : null);
+    }
+    if (emailChanged) {
+      try {
+        await accountMailer.sendVerification(user);
+      } catch (err) {
+        console.error(`Could not send the verification mail to user ${userId}`, err);
+      }
+    }
+    res.json(sanitizeUser(user));
+  });
+  router.put('/api/user/:id(\\d+)', self, updateProfile);
+  router.patch('/api/user/:id(\\d+)', self, updateProfile);
+
+  // Get list of courses with progress for a specific user
+  router.get('/api/user/:id(\\d+)/courses', self, asyncHandler(async (req, res) => {
+    const courses = await store.listUserCourses(parseInt(req.params.id, 10));
+    if (!courses) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    res.json(courses);
+  }));
+
+  // Progress of a user in a specific course, derived from completed levels
+  router.get('/api/user/:id(\\d+)/course/:courseId(\\d+)/progress', self, asyncHandler(async (req, res) => {
+    const progress = await store.getCourseProgress(parseInt(req.params.id, 10), parseInt(req.params.courseId, 10));
+    if (!progress) {
+      return res.status(404).json({ error: 'Course not found for this user.' });
+    }
+    res.json(progress);
+  }));
+
+  // Progress used to be a percentage set by the client
+  router.put('/api/user/:id(\\d+)/course/:courseId(\\d+)/progress', (req, res) => {
+    res.status(410).json({ error: 'Progress is computed from completed levels; complete a level instead.' });
+  });
+
+  // Mark a level as completed by the user. Answers with the progress in
+  // the level's course. Quiz and exercise levels are completed by passing
+  // the quiz or the tests; only admins may mark them directly, or mark
+  // levels that are still locked for the learner.
+  router.post('/api/user/:id(\\d+)/levels/:levelId(\\d+)/complete', self, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const level = await store.getLevel(parseInt(req.params.levelId, 10));
+    if (!level) {
+      return res.status(404).json({ error: 'Level not found.' });
+    }
+    if (level.type !== 'assignment' && !roles.isAdmin(req.user)) {
+      const error = level.type === 'quiz' ? 'Pass the quiz to complete this level.' : 'Pass the tests to complete this level.';
+      return res.status(403).json({ error });
+    }
+    if (!roles.isAdmin(req.user) && !(await isLevelOpen(store, req.user, level))) {
+      return res.status(403).json({ error: 'This level is locked.' });
+    }
+    const progress = await completeLevel(store, userId, level);
+    if (!progress) {
+      return res.status(403).json({ error: 'User is not enrolled in this course.' });
+    }
+    res.json(progress);
+  }));
+
+  // Upload a profile picture as base64 data URI { imageData: 'data:image/png;base64,...' }.
+  // The type the data URI claims is ignored: the picture is checked and
+  // re-encoded in each avatar size (see lib/avatars.js), and replaces the
+  // previous one.
+  router.post('/api/user/:id(\\d+)/profile-picture', self, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const previous = await store.getUser(userId);
+    if (!previous) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    const { imageData } = req.body;
+    const matches = typeof imageData === 'string' && imageData.match(/^data:image\/[^;,]*;base64,(.+)$/);
+    if (!matches) {
+      return res.status(400).json({ error: 'Invalid image data.' });
+    }
+    const url = await avatarStore.save(Buffer.from(matches[1], 'base64'));
+    const user = await store.updateUser(userId, { profilePicture: url });
+    if (!user) {
+      await avatarStore.remove(url);
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    await avatarStore.remove(previous.profilePicture);
+    res.json({ success: true, url, avatars: avatarUrls(url) });
+  }));
+
+  // Admin: list users, with ?q= (name or email), ?role= and paging (see
+  // lib/listing.js)
+  router.get('/api/admin/users', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const options = readListQuery(req, res, {
+      sorts: ['id', 'name', 'email'], defaultSort: 'id', filters: { role: roles.ROLES },
+    });
+    if (!options) return;
+    sendPage(res, await store.findUsers(options), sanitizeUser);
+  }));
+
+  // Admin: get a single user by id (without password)
+  router.get('/api/admin/users/:id(\\d+)', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const user = await store.getUser(parseInt(req.params.id, 10));
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    res.json(sanitizeUser(user));
+  }));
+
+  // Admin: change a user's role { role: 'admin' | 'instructor' | 'learner' }
+  router.put('/api/admin/users/:id(\\d+)/role', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const { role } = req.body;
+    if (!roles.isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${roles.ROLES.join(', ')}.` });
+    }
+    const user = await store.getUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    // Never demote the last admin, or nobody could manage roles again
+    if (user.role === 'admin' && role !== 'admin' && (await store.countUsers('admin')) === 1) {
+      return res.status(409).json({ error: 'Cannot demote the last admin.' });
+    }
+    res.json(sanitizeUser(await store.updateUser(userId, { role })));
+  }));
+
+  // Admin: delete a user by id and end their sessions
+  router.delete('/api/admin/users/:id(\\d+)', authenticate, requireAdmin, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const user = await store.getUser(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (user.role === 'admin' && (await store.countUsers('admin')) === 1) {
+      return res.status(409).json({ error: 'Cannot delete the last admin.' });
+    }
+    const files = await store.listSubmissionFiles({ userId });
+    const courses = await store.listUserCourses(userId);
+    await store.deleteUser(userId);
+    await fileStore.remove(files.map((f) => f.storageKey));
+    await avatarStore.remove(user.profilePicture);
+    auth.destroyUserSessions(userId);
+    // Their seats go to the waitlists
+    for (const course of courses) {
+      await enrollment.fillSeats(store, course.id);
+    }
+    res.json({ success: true });
+  }));
+
+  // Admin or course owner: remove a user from a specific course
+  router.delete('/api/admin/users/:id(\\d+)/courses/:courseId(\\d+)', authenticate, requireStaff, asyncHandler(async (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const courseId = parseInt(req.params.courseId, 10);
+    if (!(await findManagedCourse(store, req, res, courseId))) return;
+    if (!(await store.unenrollUser(userId, courseId))) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    await enrollment.fillSeats(store, courseId);
+    res.json({ success: true });
+  }));
+
+  return router;
+};
@@ -0,0 +1,115 @@
+const { fork } = require('child_process');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Running learner code against test cases
+ *
+ * runTests(code, tests, { timeoutMs }) starts a fresh Node process for
+ * every run (./sandboxChild.js), which evaluates the code and each test
+ * in its own `vm` context. The process is locked down by Node's
+ * permission model: it can read nothing but its own script and can
+ * neither write files nor start processes. It gets an empty
+ * environment, a small heap and is killed when the whole run takes
+ * longer than the tests are allowed to. Within it, each test is limited
+ * to `timeoutMs` of execution.
+ *
+ * Only MAX_CONCURRENT_RUNS processes run at once; further runs wait.
+ * Everything happens on this machine, so no network access is needed.
+ */
+
+const CHILD_SCRIPT = path.join(__dirname, 'sandboxChild.js');
+
+// Heap limit of a run, in MB
+const MEMORY_LIMIT_MB = parseInt(process.env.SANDBOX_MEMORY_MB, 10) || 64;
+
+const MAX_CONCURRENT_RUNS = parseInt(process.env.SANDBOX_CONCURRENCY, 10) || 2;
+
+// Allowance for starting the process, on top of the test time limits
+const STARTUP_MS = 3000;
+
+// Longest error message kept per test
+const MAX_MESSAGE_LENGTH = 500;
+
+// The permission model is still behind --experimental-permission on Node 20
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission')
+  ? '--permission'
+  : '--experimental-permission';
+
+let running = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (running < MAX_CONCURRENT_RUNS) {
+    running++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => waiting.push(resolve));
+}
+
+// Hand the slot to the next waiting run, if any
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else running--;
+}
+
+// Results as [{ testId, name, passed, message }] in test order. The
+// child's answer is not trusted beyond its shape: learner code runs in
+// that process too.
+function toResults(tests, answer, failure) {
+  return tests.map((test, i) => {
+    const result = Array.isArray(answer) ? answer[i] : null;
+    if (!result || typeof result !== 'object') {
+      return { testId: test.id, name: test.name, passed: false, message: failure };
+    }
+    const passed = result.passed === true;
+    const message = passed || typeof result.message !== 'string' ? null : result.message.slice(0, MAX_MESSAGE_LENGTH);
+    return { testId: test.id, name: test.name, passed, message: passed ? null : message || 'Test failed.' };
+  });
+}
+
+function runInChild(code, tests, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = fork(CHILD_SCRIPT, [], {
+      execArgv: [PERMISSION_FLAG, `--allow-fs-read=${CHILD_SCRIPT}`, `--max-old-space-size=${MEMORY_LIMIT_MB}`, '--no-warnings'],
+      env: {},
+      cwd: os.tmpdir(),
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+      serialization: 'json',
+    });
+    let answer = null;
+    let failure = 'The code crashed or ran out of memory.';
+    // Every test runs the solution and the test code
+    const timer = setTimeout(() => {
+      failure = 'Time limit exceeded.';
+      child.kill('SIGKILL');
+    }, timeoutMs * 2 * tests.length + STARTUP_MS);
+
+    child.on('message', (message) => {
+      answer = message;
+    });
+    child.on('error', (err) => {
+      console.error('Error running sandbox', err);
+    });
+    child.on('exit', () => {
+      clearTimeout(timer);
+      resolve(toResults(tests, answer, failure));
+    });
+    child.send({ code, tests: tests.map((t) => ({ id: t.id, code: t.code })), timeoutMs });
+  });
+}
+
+// Run `code` against `tests` [{ id, name, code }]. Resolves to per-test
+// results [{ testId, name, passed, message }]; never rejects because of
+// the code under test.
+async function runTests(code, tests, { timeoutMs }) {
+  await acquireSlot();
+  try {
+    return await runInChild(code, tests, timeoutMs);
+  } finally {
+    releaseSlot();
+  }
+}
+
+module.exports = { MEMORY_LIMIT_MB, runTests };
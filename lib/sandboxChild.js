@@ -0,0 +1,82 @@
+const vm = require('vm');
+
+/*
+ * The process started by lib/sandbox.js for one run
+ *
+ * Receives { code, tests, timeoutMs } over IPC, runs the code and then
+ * one test in a new `vm` context per test, answers with
+ * [{ passed, message }] in test order and exits. Contexts get no host
+ * objects: only the language built-ins and the `assert` helper defined
+ * by PRELUDE inside the context, so nothing outside is reachable from
+ * the code under test.
+ */
+
+// The code under test runs in the same context and may replace any
+// built-in, so the helpers only use functions taken before it runs and
+// call no methods of the values they compare.
+const PRELUDE = `
+const assert = (() => {
+  const { keys, freeze, getPrototypeOf, hasOwn } = Object;
+  const { isArray } = Array;
+  class AssertionError extends Error {}
+  AssertionError.prototype.name = 'AssertionError';
+  const fail = (message, fallback) => { throw new AssertionError(message || fallback); };
+  const deepEqual = (a, b) => {
+    if (a === b || (a !== a && b !== b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (isArray(a) !== isArray(b) || getPrototypeOf(a) !== getPrototypeOf(b)) return false;
+    const aKeys = keys(a);
+    if (aKeys.length !== keys(b).length) return false;
+    for (let i = 0; i < aKeys.length; i++) {
+      const key = aKeys[i];
+      if (!hasOwn(b, key) || !deepEqual(a[key], b[key])) return false;
+    }
+    return true;
+  };
+  const assert = (value, message) => { if (!value) fail(message, 'Assertion failed.'); };
+  assert.equal = (actual, expected, message) => {
+    if (actual !== expected) fail(message, 'Values are not equal.');
+  };
+  assert.deepEqual = (actual, expected, message) => {
+    if (!deepEqual(actual, expected)) fail(message, 'Values are not deeply equal.');
+  };
+  assert.throws = (fn, message) => {
+    try { fn(); } catch (err) { return; }
+    fail(message, 'Expected the function to throw.');
+  };
+  return freeze(assert);
+})();
+`;
+
+// Describe what a failing script threw. Thrown values come from the code
+// under test, so reading them may itself throw.
+function describe(err) {
+  try {
+    if (err && typeof err === 'object' && typeof err.message === 'string') {
+      return `${String(err.name || 'Error')}: ${err.message}`;
+    }
+    return `Threw ${String(err)}`;
+  } catch (describeErr) {
+    return 'Threw an error.';
+  }
+}
+
+function runTest(code, test, timeoutMs) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate',
+  });
+  try {
+    new vm.Script(PRELUDE, { filename: 'prelude.js' }).runInContext(context);
+    new vm.Script(code, { filename: 'solution.js' }).runInContext(context, { timeout: timeoutMs });
+    new vm.Script(test.code, { filename: `test-${test.id}.js` }).runInContext(context, { timeout: timeoutMs });
+    return { passed: true, message: null };
+  } catch (err) {
+    return { passed: false, message: describe(err) };
+  }
+}
+
+process.once('message', ({ code, tests, timeoutMs }) => {
+  const results = tests.map((test) => runTest(code, test, timeoutMs));
+  process.send(results, () => process.exit(0));
+});
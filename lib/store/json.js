@@ -0,0 +1,1200 @@
+const fs = require('fs');
+const path = require('path');
+const roles = require('../roles');
+const levelOrder = require('../levels');
+const enrollment = require('../enrollment');
+const publishing = require('../publishing');
+const { createSearchIndex } = require('../knowledge');
+const { pageOf } = require('../listing');
+const { sortActivity } = require('../analytics');
+const { newCertificateId, certificateStatus } = require('../certificates');
+const { summarizeProgress, isCourseComplete, completeLegacyProgress } = require('../progress');
+const { createJsonFile, createJsonLog } = require('./jsonFile');
+
+/*
+ * JSON file implementation of the storage interface
+ *
+ * Data is kept in JSON files in a data directory:
+ *
+ *   users.json        users, each with a `courses` array of
+ *                     { id, enrolledAt, completedAt } enrollment
+ *                     entries; users created before createdAt was kept
+ *                     have none
+ *   courses.json      course definitions with their status (see
+ *                     lib/publishing.js), tags (see lib/tags.js),
+ *                     prerequisite course ids (see lib/unlocking.js)
+ *                     and enrollment settings (see lib/enrollment.js)
+ *   enrollment_requests.json
+ *                     invitations, requests to join and waitlist
+ *                     places, as { userId, courseId, status, createdAt }
+ *   levels.json       levels of all courses, quiz and exercise levels
+ *                     with their quiz or exercise (see lib/levels.js)
+ *   revisions.json    revisions of the text of courses and levels (see
+ *                     lib/revisions.js)
+ *   completions.json  levels completed by users, as
+ *                     { userId, levelId, completedAt }
+ *   submissions.json  level submissions with their reviews and, for
+ *                     code exercises, test results
+ *   submission_files.json
+ *                     files uploaded with submissions, as
+ *                     { id, submissionId, name, mimeType, size,
+ *                     storageKey, createdAt }; the files themselves are
+ *                     in the file store (see lib/fileStore.js)
+ *   quiz_attempts.json
+ *                     quiz attempts, as { id, userId, levelId,
+ *                     questions, answers, score, passed, startedAt,
+ *                     submittedAt }
+ *   knowledge.json    knowledge base articles with their tags, linked
+ *                     level and course ids and owner (see
+ *                     lib/knowledge.js); they are searched through an
+ *                     in-memory index built on the first search
+ *   certificates.json course completion certificates (see
+ *                     lib/certificates.js)
+ *   account_tokens.json
+ *                     password reset and email verification tokens (see
+ *                     lib/accountTokens.js), as { tokenHash, userId,
+ *                     purpose, email, createdAt, expiresAt, usedAt }
+ *   events.jsonl      the activity event log (see lib/events.js), one
+ *                     { id, userId, type, courseId, levelId,
+ *                     submissionId, data, createdAt } per line; logs
+ *                     older than this are converted from events.json
+ *
+ * Every method is async so the route layer can use this store and the
+ * Postgres store (./pg.js) interchangeably. Records are returned with
+ * the same camelCase fields in both stores.
+ *
+ * Files are read and written through ./jsonFile.js: changes are queued
+ * per file and written atomically, and corrupt files are restored from
+ * their backup when the store is created. Events are appended to their
+ * log instead, as there is one for nearly every request.
+ */
+
+// Course definitions written when there is no courses.json yet
+const DEFAULT_COURSES = [
+  { id: 1, title: 'Introduction to the Platform', description: 'Learn about the basics of this learning platform.', content: 'Welcome to the introduction course.' },
+  { id: 2, title: 'Advanced Concepts', description: 'Dive deeper into advanced topics.', content: 'This course covers advanced concepts.' },
+  { id: 3, title: 'Practical Exercises', description: 'Hands‑on exercises to practice what you have learned.', content: 'Here you will find practical exercises.' }
+];
+
+function createJsonStore({ dataDir }) {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  const file = (name, options) => createJsonFile(path.join(dataDir, name), options);
+  const usersFile = file('users.json');
+  const coursesFile = file('courses.json', { defaultRecords: DEFAULT_COURSES });
+  const levelsFile = file('levels.json');
+  const completionsFile = file('completions.json');
+  const submissionsFile = file('submissions.json');
+  const submissionFilesFile = file('submission_files.json');
+  const quizAttemptsFile = file('quiz_attempts.json');
+  const knowledgeFile = file('knowledge.json');
+  const enrollmentRequestsFile = file('enrollment_requests.json');
+  const revisionsFile = file('revisions.json');
+  const certificatesFile = file('certificates.json');
+  const accountTokensFile = file('account_tokens.json');
+  const eventsLog = createJsonLog(path.join(dataDir, 'events.jsonl'));
+
+  // Give users created before roles existed a role (see lib/roles.js)
+  function migrateUserRoles(records) {
+    const missing = records.filter((u) => !u.role);
+    if (missing.length === 0) return;
+    missing.forEach((u) => {
+      u.role = roles.legacyRole(u);
+    });
+    usersFile.replaceSync(records);
+  }
+
+  // Move the event log out of events.json, where it was kept as one
+  // array before it was a log
+  function migrateEventsFile() {
+    const oldFile = file('events.json');
+    if (fs.existsSync(eventsLog.file) || !fs.existsSync(oldFile.file)) return;
+    eventsLog.replaceSync(oldFile.check());
+    fs.rmSync(oldFile.file);
+    fs.rmSync(`${oldFile.file}.bak`, { force: true });
+  }
+
+  // Convert enrollments from before level completions (see
+  // lib/progress.js)
+  function migrateLegacyProgress(users, levels, completions) {
+    if (!completeLegacyProgress(users, levels, completions)) return;
+    completionsFile.replaceSync(completions);
+    usersFile.replaceSync(users);
+  }
+
+  function nextId(records) {
+    return records.length > 0 ? Math.max(...records.map((r) => r.id)) + 1 : 1;
+  }
+
+  // Remove matching records in place, as update() writes back the array
+  // it handed out
+  function removeWhere(records, predicate) {
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (predicate(records[i])) records.splice(i, 1);
+    }
+  }
+
+  // Users are stored with their enrollments; callers get the user alone
+  function toUser(user) {
+    if (!user) return null;
+    const { courses, ...rest } = user;
+    return {
+      name: '', profilePicture: null, emailVerifiedAt: null, createdAt: null, ...rest,
+    };
+  }
+
+  // Courses from before statuses, tags, prerequisites and enrollment
+  // settings existed are published, have no tags or prerequisites, are
+  // not sequential and are open to everyone
+  function toCourse(course) {
+    if (!course) return null;
+    return {
+      ...course,
+      status: course.status || publishing.LEGACY_STATUS,
+      tags: course.tags || [],
+      sequential: course.sequential || false,
+      prerequisiteIds: course.prerequisiteIds || [],
+      enrollmentPolicy: course.enrollmentPolicy || enrollment.DEFAULT_ENROLLMENT_POLICY,
+      seatLimit: course.seatLimit || null,
+    };
+  }
+
+  // Levels from before level types existed are assignments, and from
+  // before statuses existed published
+  function toLevel(level) {
+    if (!level) return null;
+    return {
+      ...level,
+      status: level.status || publishing.LEGACY_STATUS,
+      type: level.type || levelOrder.DEFAULT_LEVEL_TYPE,
+      quiz: level.quiz || null,
+      exercise: level.exercise || null,
+    };
+  }
+
+  // Knowledge base entries from before articles had tags, links and
+  // owners have none
+  function toKnowledge(article) {
+    if (!article) return null;
+    return {
+      ...article,
+      content: article.content || '',
+      tags: article.tags || [],
+      levelIds: article.levelIds || [],
+      courseIds: article.courseIds || [],
+      ownerId: article.ownerId || null,
+    };
+  }
+
+  // Search index of the knowledge base, built on the first search and
+  // then kept up to date by the writes below. A build that a write
+  // overtook is thrown away and redone.
+  let knowledgeIndex = null;
+  let knowledgeWrites = 0;
+
+  async function searchIndex() {
+    while (!knowledgeIndex) {
+      const writes = knowledgeWrites;
+      const index = createSearchIndex();
+      for (const article of await knowledgeFile.read()) index.add(toKnowledge(article));
+      if (writes === knowledgeWrites) knowledgeIndex = index;
+    }
+    return knowledgeIndex;
+  }
+
+  function indexArticle(article) {
+    knowledgeWrites++;
+    if (knowledgeIndex) knowledgeIndex.add(article);
+  }
+
+  function unindexArticle(id) {
+    knowledgeWrites++;
+    if (knowledgeIndex) knowledgeIndex.remove(id);
+  }
+
+  // Drop links to a deleted level or course from knowledge articles
+  async function unlinkKnowledge(field, id) {
+    await knowledgeFile.update((articles) => {
+      articles.filter((a) => (a[field] || []).includes(id)).forEach((a) => {
+        a[field] = a[field].filter((linked) => linked !== id);
+      });
+    });
+  }
+
+  // Submissions from before reviews existed have no review fields
+  function toSubmission(submission) {
+    if (!submission) return null;
+    const {
+      status = 'pending', reviewerId = null, grade = null, feedback = null, reviewedAt = null, testResults = null, ...rest
+    } = submission;
+    return { ...rest, status, reviewerId, grade, feedback, reviewedAt, testResults };
+  }
+
+  // Add the `files` list, without storage keys, to submissions
+  async function withFiles(submissions) {
+    const files = await submissionFilesFile.read();
+    return submissions.map((s) => ({
+      ...s,
+      files: files
+        .filter((f) => f.submissionId === s.id)
+        .map(({ id, name, mimeType, size }) => ({ id, name, mimeType, size })),
+    }));
+  }
+
+  // Remove submissions matching predicate, with their file records
+  async function removeSubmissions(predicate) {
+    const removedIds = await submissionsFile.update((submissions) => {
+      const ids = submissions.filter(predicate).map((s) => s.id);
+      removeWhere(submissions, predicate);
+      return new Set(ids);
+    });
+    await submissionFilesFile.update((files) => removeWhere(files, (f) => removedIds.has(f.submissionId)));
+  }
+
+  // Levels of one course in display order
+  function levelsOfCourse(levels, courseId) {
+    return levels
+      .filter((l) => l.courseId === courseId)
+      .sort((a, b) => a.position - b.position || a.id - b.id);
+  }
+
+  // Number a course's levels 1..n following the given id order
+  function applyLevelOrder(levels, orderedIds) {
+    orderedIds.forEach((id, index) => {
+      levels.find((l) => l.id === id).position = index + 1;
+    });
+  }
+
+  // Progress of a user in a course, from records already read. Only
+  // published levels count.
+  function courseProgress(levels, completions, userId, courseId, entry) {
+    return summarizeProgress(
+      courseId,
+      levelsOfCourse(levels, courseId).filter(publishing.isPublished).map((l) => l.id),
+      completions
+        .filter((c) => c.userId === userId)
+        .map((c) => ({ levelId: c.levelId, completedAt: c.completedAt })),
+      entry.completedAt,
+      entry.enrolledAt
+    );
+  }
+
+  // Check every file before serving anything, restoring backups of
+  // corrupt files
+  const userRecords = usersFile.check();
+  const levelRecords = levelsFile.check();
+  const completionRecords = completionsFile.check();
+  const otherFiles = [coursesFile, submissionsFile, submissionFilesFile, quizAttemptsFile, knowledgeFile,
+    enrollmentRequestsFile, revisionsFile, certificatesFile, accountTokensFile];
+  for (const other of otherFiles) {
+    other.check();
+  }
+  migrateEventsFile();
+  eventsLog.check();
+  migrateUserRoles(userRecords);
+  migrateLegacyProgress(userRecords, levelRecords, completionRecords);
+
+  return {
+    name: 'json',
+
+    // Users
+
+    async listUsers() {
+      return (await usersFile.read()).map(toUser);
+    },
+
+    // A page of users (see lib/listing.js) with { role }, searched by
+    // name and email
+    async findUsers(options = {}) {
+      const users = (await usersFile.read())
+        .map(toUser)
+        .filter((u) => options.role === undefined || u.role === options.role);
+      return pageOf(users, options, {
+        textOf: (u) => [u.name, u.email],
+        sortFields: { id: (u) => u.id, name: (u) => u.name, email: (u) => u.email },
+      });
+    },
+
+    async getUser(id) {
+      return toUser((await usersFile.read()).find((u) => u.id === id));
+    },
+
+    async findUserByEmail(email) {
+      return toUser((await usersFile.read()).find((u) => u.email.toLowerCase() === email.toLowerCase()));
+    },
+
+    async countUsers(role) {
+      return (await usersFile.read()).filter((u) => !role || u.role === role).length;
+    },
+
+    async createUser({ name, email, passwordHash, role }) {
+      return usersFile.update((users) => {
+        const user = {
+          id: nextId(users), name, email, passwordHash, role, courses: [], profilePicture: null, createdAt: new Date().toISOString(),
+        };
+        users.push(user);
+        return toUser(user);
+      });
+    },
+
+    // Update name, email, passwordHash, role, profilePicture or
+    // emailVerifiedAt
+    async updateUser(id, changes) {
+      return usersFile.update((users) => {
+        const user = users.find((u) => u.id === id);
+        if (!user) return null;
+        for (const field of ['name', 'email', 'passwordHash', 'role', 'profilePicture', 'emailVerifiedAt']) {
+          if (changes[field] !== undefined) user[field] = changes[field];
+        }
+        // Accounts from before password hashing kept the plaintext here
+        if (changes.passwordHash !== undefined) delete user.password;
+        return toUser(user);
+      });
+    },
+
+    async deleteUser(id) {
+      const deleted = await usersFile.update((users) => {
+        const index = users.findIndex((u) => u.id === id);
+        if (index === -1) return false;
+        users.splice(index, 1);
+        return true;
+      });
+      if (deleted) {
+        await completionsFile.update((completions) => removeWhere(completions, (c) => c.userId === id));
+        await removeSubmissions((s) => s.userId === id);
+        await quizAttemptsFile.update((attempts) => removeWhere(attempts, (a) => a.userId === id));
+        await enrollmentRequestsFile.update((requests) => removeWhere(requests, (r) => r.userId === id));
+        await eventsLog.update((events) => removeWhere(events, (e) => e.userId === id));
+        await accountTokensFile.update((tokens) => removeWhere(tokens, (t) => t.userId === id));
+        await certificatesFile.update((certificates) => {
+          removeWhere(certificates, (c) => c.userId === id);
+          certificates.filter((c) => c.revokedBy === id).forEach((c) => { c.revokedBy = null; });
+        });
+        await submissionsFile.update((submissions) => {
+          submissions.filter((s) => s.reviewerId === id).forEach((s) => { s.reviewerId = null; });
+        });
+        await revisionsFile.update((records) => {
+          records.filter((r) => r.authorId === id).forEach((r) => { r.authorId = null; });
+        });
+      }
+      return deleted;
+    },
+
+    // Account tokens (see lib/accountTokens.js)
+
+    // Store a token { tokenHash, userId, purpose, email, expiresAt } in
+    // place of the user's other tokens of the same purpose. Expired and
+    // used tokens of everyone are dropped on the way.
+    async createAccountToken({ tokenHash, userId, purpose, email, expiresAt }) {
+      return accountTokensFile.update((tokens) => {
+        const now = new Date();
+        removeWhere(tokens, (t) => (t.userId === userId && t.purpose === purpose) || t.usedAt || new Date(t.expiresAt) <= now);
+        const token = {
+          tokenHash, userId, purpose, email, createdAt: now.toISOString(), expiresAt: new Date(expiresAt).toISOString(), usedAt: null,
+        };
+        tokens.push(token);
+        return token;
+      });
+    },
+
+    // Mark a token of `purpose` used. Returns it, or null when it is
+    // unknown, used already or expired.
+    async consumeAccountToken(purpose, tokenHash) {
+      return accountTokensFile.update((tokens) => {
+        const token = tokens.find((t) => t.tokenHash === tokenHash && t.purpose === purpose);
+        if (!token || token.usedAt || new Date(token.expiresAt) <= new Date()) return null;
+        token.usedAt = new Date().toISOString();
+        return token;
+      });
+    },
+
+    // Courses
+
+    async listCourses() {
+      return (await coursesFile.read()).map(toCourse);
+    },
+
+    // A page of courses (see lib/listing.js) matching { tag, status,
+    // ownerId }, searched by title and description
+    async findCourses(options = {}) {
+      const { tag, status, ownerId } = options;
+      const courses = (await coursesFile.read())
+        .map(toCourse)
+        .filter((c) => (tag === undefined || c.tags.includes(tag))
+          && (status === undefined || c.status === status)
+          && (ownerId === undefined || c.ownerId === ownerId));
+      return pageOf(courses, options, {
+        textOf: (c) => [c.title, c.description],
+        sortFields: { id: (c) => c.id, title: (c) => c.title },
+      });
+    },
+
+    async getCourse(id) {
+      return toCourse((await coursesFile.read()).find((c) => c.id === id));
+    },
+
+    async createCourse({
+      title, description = '', content = '', image = null, ownerId = null, status = publishing.DEFAULT_STATUS, tags = [],
+      sequential = false, prerequisiteIds = [], enrollmentPolicy = enrollment.DEFAULT_ENROLLMENT_POLICY, seatLimit = null,
+    }) {
+      return coursesFile.update((courses) => {
+        const course = {
+          id: nextId(courses),
+          title,
+          description,
+          content,
+          image,
+          ownerId,
+          status,
+          tags,
+          sequential,
+          prerequisiteIds,
+          enrollmentPolicy,
+          seatLimit,
+        };
+        courses.push(course);
+        return toCourse(course);
+      });
+    },
+
+    // Update title, description, content, image, ownerId, status, tags,
+    // sequential, prerequisiteIds, enrollmentPolicy or seatLimit
+    async updateCourse(id, changes) {
+      const fields = [
+        'title', 'description', 'content', 'image', 'ownerId', 'status', 'tags', 'sequential', 'prerequisiteIds',
+        'enrollmentPolicy', 'seatLimit',
+      ];
+      return coursesFile.update((courses) => {
+        const course = courses.find((c) => c.id === id);
+        if (!course) return null;
+        for (const field of fields) {
+          if (changes[field] !== undefined) course[field] = changes[field];
+        }
+        return toCourse(course);
+      });
+    },
+
+    // Delete a course with its levels and everything recorded about
+    // them: completions, submissions, quiz attempts, enrollments,
+    // enrollment requests and revisions. Other courses stop requiring it
+    // and knowledge articles stop linking to it.
+    async deleteCourse(id) {
+      const deleted = await coursesFile.update((courses) => {
+        const index = courses.findIndex((c) => c.id === id);
+        if (index === -1) return false;
+        courses.splice(index, 1);
+        courses.filter((c) => (c.prerequisiteIds || []).includes(id)).forEach((c) => {
+          c.prerequisiteIds = c.prerequisiteIds.filter((p) => p !== id);
+        });
+        return true;
+      });
+      if (deleted) {
+        const levelIds = await levelsFile.update((levels) => {
+          const ids = new Set(levels.filter((l) => l.courseId === id).map((l) => l.id));
+          removeWhere(levels, (l) => ids.has(l.id));
+          return ids;
+        });
+        await completionsFile.update((completions) => removeWhere(completions, (c) => levelIds.has(c.levelId)));
+        await removeSubmissions((s) => levelIds.has(s.levelId));
+        await quizAttemptsFile.update((attempts) => removeWhere(attempts, (a) => levelIds.has(a.levelId)));
+        await enrollmentRequestsFile.update((requests) => removeWhere(requests, (r) => r.courseId === id));
+        await revisionsFile.update((records) => removeWhere(records, (r) => r.courseId === id));
+        await unlinkKnowledge('courseIds', id);
+        for (const levelId of levelIds) await unlinkKnowledge('levelIds', levelId);
+        await usersFile.update((users) => {
+          users.filter((u) => (u.courses || []).some((c) => c.id === id)).forEach((u) => {
+            u.courses = u.courses.filter((c) => c.id !== id);
+          });
+        });
+        // Certificates stay verifiable without their course
+        await certificatesFile.update((certificates) => {
+          certificates.filter((c) => c.courseId === id).forEach((c) => { c.courseId = null; });
+        });
+      }
+      return deleted;
+    },
+
+    // Enrollment and progress
+
+    // Courses a user is enrolled in, with title, progress and completion
+    async listUserCourses(userId) {
+      const user = (await usersFile.read()).find((u) => u.id === userId);
+      if (!user) return null;
+      const courses = await coursesFile.read();
+      const levels = await levelsFile.read();
+      const completions = await completionsFile.read();
+      return (user.courses || []).map((entry) => {
+        const course = courses.find((c) => c.id === entry.id);
+        const { progress, completedAt } = courseProgress(levels, completions, userId, entry.id, entry);
+        return { id: entry.id, title: course ? course.title : '', progress, completedAt };
+      });
+    },
+
+    async enrollUser(userId, courseId) {
+      return usersFile.update((users) => {
+        const user = users.find((u) => u.id === userId);
+        if (!user) return false;
+        user.courses = user.courses || [];
+        if (!user.courses.some((c) => c.id === courseId)) {
+          user.courses.push({ id: courseId, enrolledAt: new Date().toISOString(), completedAt: null });
+        }
+        return true;
+      });
+    },
+
+    async unenrollUser(userId, courseId) {
+      return usersFile.update((users) => {
+        const user = users.find((u) => u.id === userId);
+        if (!user) return false;
+        user.courses = (user.courses || []).filter((c) => c.id !== courseId);
+        return true;
+      });
+    },
+
+    // Enroll a user unless the course's seat limit is reached. Returns
+    // 'enrolled', 'already_enrolled', 'full', or null when the user or
+    // course does not exist.
+    async takeSeat(userId, courseId) {
+      const course = await this.getCourse(courseId);
+      if (!course) return null;
+      return usersFile.update((users) => {
+        const user = users.find((u) => u.id === userId);
+        if (!user) return null;
+        user.courses = user.courses || [];
+        if (user.courses.some((c) => c.id === courseId)) return 'already_enrolled';
+        const taken = users.filter((u) => (u.courses || []).some((c) => c.id === courseId)).length;
+        if (course.seatLimit && taken >= course.seatLimit) return 'full';
+        user.courses.push({ id: courseId, enrolledAt: new Date().toISOString(), completedAt: null });
+        return 'enrolled';
+      });
+    },
+
+    // Enrollment requests (see lib/enrollment.js) matching all given
+    // filters { courseId, userId, status }, oldest first
+    async listEnrollmentRequests({ courseId, userId, status } = {}) {
+      return (await enrollmentRequestsFile.read())
+        .filter((r) => (courseId === undefined || r.courseId === courseId)
+          && (userId === undefined || r.userId === userId)
+          && (status === undefined || r.status === status))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async getEnrollmentRequest(userId, courseId) {
+      return (await enrollmentRequestsFile.read()).find((r) => r.userId === userId && r.courseId === courseId) || null;
+    },
+
+    // Create or update the request of a user for a course. A request
+    // that changes status goes to the back of the queue.
+    async saveEnrollmentRequest(userId, courseId, status) {
+      return enrollmentRequestsFile.update((requests) => {
+        let request = requests.find((r) => r.userId === userId && r.courseId === courseId);
+        if (!request) {
+          request = { userId, courseId, status, createdAt: new Date().toISOString() };
+          requests.push(request);
+        } else if (request.status !== status) {
+          request.status = status;
+          request.createdAt = new Date().toISOString();
+        }
+        return request;
+      });
+    },
+
+    async deleteEnrollmentRequest(userId, courseId) {
+      return enrollmentRequestsFile.update((requests) => {
+        const index = requests.findIndex((r) => r.userId === userId && r.courseId === courseId);
+        if (index === -1) return false;
+        requests.splice(index, 1);
+        return true;
+      });
+    },
+
+    // Progress of a user in a course (see lib/progress.js), or null when
+    // the user is not enrolled
+    async getCourseProgress(userId, courseId) {
+      const user = (await usersFile.read()).find((u) => u.id === userId);
+      const entry = user && (user.courses || []).find((c) => c.id === courseId);
+      if (!entry) return null;
+      return courseProgress(await levelsFile.read(), await completionsFile.read(), userId, courseId, entry);
+    },
+
+    // Record that a user completed a level and, once every level is done,
+    // the course. Returns the course progress, or null when the level
+    // does not exist or the user is not enrolled in its course.
+    async completeLevel(userId, levelId) {
+      const level = (await levelsFile.read()).find((l) => l.id === levelId);
+      if (!level || !(await this.getCourseProgress(userId, level.courseId))) return null;
+      await completionsFile.update((completions) => {
+        if (!completions.some((c) => c.userId === userId && c.levelId === levelId)) {
+          completions.push({ userId, levelId, completedAt: new Date().toISOString() });
+        }
+      });
+      const summary = await this.getCourseProgress(userId, level.courseId);
+      if (summary && isCourseComplete(summary) && !summary.completedAt) {
+        summary.completedAt = await usersFile.update((users) => {
+          const user = users.find((u) => u.id === userId);
+          const entry = user && (user.courses || []).find((c) => c.id === level.courseId);
+          if (!entry) return null;
+          entry.completedAt = entry.completedAt || new Date().toISOString();
+          return entry.completedAt;
+        });
+        if (summary.completedAt) await this.issueCertificate(userId, level.courseId);
+      }
+      return summary;
+    },
+
+    // Users enrolled in a course
+    async listCourseUsers(courseId) {
+      return (await usersFile.read())
+        .filter((u) => Array.isArray(u.courses) && u.courses.some((c) => c.id === courseId))
+        .map(toUser);
+    },
+
+    // Levels
+
+    async listLevels() {
+      return (await levelsFile.read())
+        .sort((a, b) => a.courseId - b.courseId || a.position - b.position || a.id - b.id)
+        .map(toLevel);
+    },
+
+    // A page of levels (see lib/listing.js) matching { courseId, courseIds,
+    // type, status, courseStatus }, searched by title and description
+    async findLevels(options = {}) {
+      const {
+        courseId, courseIds, type, status, courseStatus,
+      } = options;
+      const courseStatuses = new Map((await coursesFile.read()).map(toCourse).map((c) => [c.id, c.status]));
+      const levels = (await levelsFile.read())
+        .map(toLevel)
+        .filter((l) => (courseId === undefined || l.courseId === courseId)
+          && (!courseIds || courseIds.includes(l.courseId))
+          && (type === undefined || l.type === type)
+          && (status === undefined || l.status === status)
+          && (courseStatus === undefined || courseStatuses.get(l.courseId) === courseStatus));
+      return pageOf(levels, options, {
+        textOf: (l) => [l.title, l.description],
+        sortFields: { position: (l) => [l.courseId, l.position], title: (l) => l.title },
+      });
+    },
+
+    async listCourseLevels(courseId) {
+      return levelsOfCourse(await levelsFile.read(), courseId).map(toLevel);
+    },
+
+    async getLevel(id) {
+      return toLevel((await levelsFile.read()).find((l) => l.id === id));
+    },
+
+    // Add a level at a 1-based position, or at the end without one
+    async createLevel({
+      courseId, title, description = '', content = '', type = levelOrder.DEFAULT_LEVEL_TYPE, quiz = null, exercise = null,
+      status = publishing.DEFAULT_STATUS,
+    }, position) {
+      return levelsFile.update((levels) => {
+        const level = {
+          id: nextId(levels), courseId, title, description, content, type, quiz, exercise, status, position: 0,
+        };
+        const order = levelsOfCourse(levels, courseId).map((l) => l.id);
+        levels.push(level);
+        applyLevelOrder(levels, levelOrder.moveToPosition(order, level.id, position));
+        return toLevel(level);
+      });
+    },
+
+    // Update title, description, content, type, quiz, exercise or status;
+    // a position moves the level
+    async updateLevel(id, changes, position) {
+      return levelsFile.update((levels) => {
+        const level = levels.find((l) => l.id === id);
+        if (!level) return null;
+        for (const field of ['title', 'description', 'content', 'type', 'quiz', 'exercise', 'status']) {
+          if (changes[field] !== undefined) level[field] = changes[field];
+        }
+        if (position !== undefined) {
+          const order = levelsOfCourse(levels, level.courseId).map((l) => l.id);
+          applyLevelOrder(levels, levelOrder.moveToPosition(order, id, position));
+        }
+        return toLevel(level);
+      });
+    },
+
+    // Delete a level and close the gap in its course's positions.
+    // Knowledge articles stop linking to it.
+    async deleteLevel(id) {
+      const deleted = await levelsFile.update((levels) => {
+        const level = levels.find((l) => l.id === id);
+        if (!level) return false;
+        removeWhere(levels, (l) => l.id === id);
+        applyLevelOrder(levels, levelsOfCourse(levels, level.courseId).map((l) => l.id));
+        return true;
+      });
+      if (deleted) {
+        await completionsFile.update((completions) => removeWhere(completions, (c) => c.levelId === id));
+        await removeSubmissions((s) => s.levelId === id);
+        await quizAttemptsFile.update((attempts) => removeWhere(attempts, (a) => a.levelId === id));
+        await revisionsFile.update((records) => removeWhere(records, (r) => r.levelId === id));
+        await unlinkKnowledge('levelIds', id);
+      }
+      return deleted;
+    },
+
+    // Put all levels of a course in the given order. Returns null unless
+    // levelIds lists every level of the course exactly once.
+    async reorderLevels(courseId, levelIds) {
+      return levelsFile.update((levels) => {
+        const currentIds = levelsOfCourse(levels, courseId).map((l) => l.id);
+        if (!levelOrder.isCompleteOrder(currentIds, levelIds)) return null;
+        applyLevelOrder(levels, levelIds);
+        return levelsOfCourse(levels, courseId).map(toLevel);
+      });
+    },
+
+    // Revisions
+
+    // Revisions of a course and its levels, newest first. A levelId
+    // narrows them to that level's, and levelId null to the course's own.
+    async listRevisions({ courseId, levelId }) {
+      return (await revisionsFile.read())
+        .filter((r) => r.courseId === courseId && (levelId === undefined || r.levelId === levelId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+    },
+
+    async getRevision(id) {
+      return (await revisionsFile.read()).find((r) => r.id === id) || null;
+    },
+
+    async createRevision({
+      courseId, levelId = null, title, description = '', content = '', action, authorId = null, restoredFrom = null,
+    }) {
+      return revisionsFile.update((records) => {
+        const revision = {
+          id: nextId(records),
+          courseId,
+          levelId,
+          title,
+          description,
+          content,
+          action,
+          authorId,
+          restoredFrom,
+          createdAt: new Date().toISOString(),
+        };
+        records.push(revision);
+        return revision;
+      });
+    },
+
+    // Submissions
+
+    // Create a submission with text content and/or uploaded files
+    // [{ name, mimeType, size, storageKey }], or code with its test
+    // results [{ testId, name, passed, message }]
+    async createSubmission({ userId, levelId, content = null, files = [], testResults = null }) {
+      const createdAt = new Date().toISOString();
+      const submission = await submissionsFile.update((submissions) => {
+        const created = toSubmission({ id: nextId(submissions), userId, levelId, content, testResults, createdAt });
+        submissions.push(created);
+        return created;
+      });
+      if (files.length > 0) {
+        await submissionFilesFile.update((records) => {
+          for (const { name, mimeType, size, storageKey } of files) {
+            records.push({ id: nextId(records), submissionId: submission.id, name, mimeType, size, storageKey, createdAt });
+          }
+        });
+      }
+      return (await withFiles([submission]))[0];
+    },
+
+    async getSubmission(id) {
+      const submission = (await submissionsFile.read()).find((s) => s.id === id);
+      return submission ? (await withFiles([toSubmission(submission)]))[0] : null;
+    },
+
+    // A file of a submission including its storage key
+    async getSubmissionFile(submissionId, fileId) {
+      return (await submissionFilesFile.read()).find((f) => f.id === fileId && f.submissionId === submissionId) || null;
+    },
+
+    // Files of the submissions of a user, a level or a course, including
+    // storage keys
+    async listSubmissionFiles({ userId, levelId, courseId }) {
+      const courseLevelIds = courseId === undefined
+        ? null
+        : new Set((await levelsFile.read()).filter((l) => l.courseId === courseId).map((l) => l.id));
+      const submissionIds = new Set((await submissionsFile.read())
+        .filter((s) => (userId === undefined || s.userId === userId) && (levelId === undefined || s.levelId === levelId)
+          && (!courseLevelIds || courseLevelIds.has(s.levelId)))
+        .map((s) => s.id));
+      return (await submissionFilesFile.read()).filter((f) => submissionIds.has(f.submissionId));
+    },
+
+    // Submissions matching all given filters { userId, levelId, courseIds,
+    // status }, newest first
+    async listSubmissions({ userId, levelId, courseIds, status } = {}) {
+      let submissions = (await submissionsFile.read()).map(toSubmission);
+      if (courseIds) {
+        const levelIds = new Set((await levelsFile.read()).filter((l) => courseIds.includes(l.courseId)).map((l) => l.id));
+        submissions = submissions.filter((s) => levelIds.has(s.levelId));
+      }
+      return withFiles(submissions
+        .filter((s) => (userId === undefined || s.userId === userId)
+          && (levelId === undefined || s.levelId === levelId)
+          && (status === undefined || s.status === status))
+        .sort((a, b) => b.id - a.id));
+    },
+
+    // A page of submissions (see lib/listing.js) matching the filters of
+    // listSubmissions, searched by content, the learner's name and email
+    // and the level's title
+    async findSubmissions(options = {}) {
+      const {
+        userId, levelId, courseIds, status,
+      } = options;
+      const users = new Map((await usersFile.read()).map((u) => [u.id, toUser(u)]));
+      const levels = new Map((await levelsFile.read()).map((l) => [l.id, l]));
+      const submissions = (await submissionsFile.read())
+        .map(toSubmission)
+        .filter((s) => (userId === undefined || s.userId === userId)
+          && (levelId === undefined || s.levelId === levelId)
+          && (!courseIds || (levels.has(s.levelId) && courseIds.includes(levels.get(s.levelId).courseId)))
+          && (status === undefined || s.status === status));
+      const page = pageOf(submissions, options, {
+        textOf: (s) => {
+          const user = users.get(s.userId) || {};
+          const level = levels.get(s.levelId) || {};
+          return [s.content, user.name, user.email, level.title];
+        },
+        sortFields: { createdAt: (s) => s.createdAt, status: (s) => s.status },
+      });
+      return { items: await withFiles(page.items), total: page.total };
+    },
+
+    // Record a review { status, grade, feedback, reviewerId }
+    async reviewSubmission(id, { status, grade = null, feedback = null, reviewerId }) {
+      const reviewed = await submissionsFile.update((submissions) => {
+        const index = submissions.findIndex((s) => s.id === id);
+        if (index === -1) return null;
+        submissions[index] = toSubmission({
+          ...submissions[index],
+          status,
+          grade,
+          feedback,
+          reviewerId,
+          reviewedAt: new Date().toISOString(),
+        });
+        return submissions[index];
+      });
+      return reviewed ? (await withFiles([reviewed]))[0] : null;
+    },
+
+    // Quiz attempts
+
+    // Start an attempt with the questions drawn for it. Returns null when
+    // the user already has an open attempt at the level.
+    async createQuizAttempt({ userId, levelId, questions }) {
+      return quizAttemptsFile.update((attempts) => {
+        if (attempts.some((a) => a.userId === userId && a.levelId === levelId && !a.submittedAt)) return null;
+        const attempt = {
+          id: nextId(attempts),
+          userId,
+          levelId,
+          questions,
+          answers: null,
+          score: null,
+          passed: null,
+          startedAt: new Date().toISOString(),
+          submittedAt: null,
+        };
+        attempts.push(attempt);
+        return attempt;
+      });
+    },
+
+    async getQuizAttempt(id) {
+      return (await quizAttemptsFile.read()).find((a) => a.id === id) || null;
+    },
+
+    // Attempts of a user and/or at a level, oldest first
+    async listQuizAttempts({ userId, levelId } = {}) {
+      return (await quizAttemptsFile.read())
+        .filter((a) => (userId === undefined || a.userId === userId) && (levelId === undefined || a.levelId === levelId))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    // Record the answers and result of an open attempt. Returns null when
+    // the attempt does not exist or was already submitted.
+    async submitQuizAttempt(id, { answers, score, passed }) {
+      return quizAttemptsFile.update((attempts) => {
+        const attempt = attempts.find((a) => a.id === id);
+        if (!attempt || attempt.submittedAt) return null;
+        Object.assign(attempt, { answers, score, passed, submittedAt: new Date().toISOString() });
+        return attempt;
+      });
+    },
+
+    // Analytics (see lib/analytics.js)
+
+    // What happened in a course: enrollments, completions, where
+    // unfinished learners are stuck and submissions per status
+    async getCourseStats(courseId) {
+      const enrollments = (await usersFile.read())
+        .map((u) => ({ userId: u.id, entry: (u.courses || []).find((c) => c.id === courseId) }))
+        .filter((e) => e.entry);
+      const learners = new Set(enrollments.map((e) => e.userId));
+      const courseLevels = levelsOfCourse(await levelsFile.read(), courseId);
+      const levels = courseLevels.filter(publishing.isPublished);
+      const completedBy = new Map(levels.map((l) => [l.id, new Set()]));
+      for (const c of await completionsFile.read()) {
+        if (learners.has(c.userId) && completedBy.has(c.levelId)) completedBy.get(c.levelId).add(c.userId);
+      }
+      const stops = new Map();
+      for (const { userId, entry } of enrollments) {
+        if (entry.completedAt) continue;
+        const stop = levels.find((l) => !completedBy.get(l.id).has(userId));
+        if (stop) stops.set(stop.id, (stops.get(stop.id) || 0) + 1);
+      }
+      const courseLevelIds = new Set(courseLevels.map((l) => l.id));
+      const submissions = new Map();
+      for (const submission of (await submissionsFile.read()).map(toSubmission)) {
+        if (!courseLevelIds.has(submission.levelId)) continue;
+        const key = `${submission.levelId} ${submission.status}`;
+        if (!submissions.has(key)) submissions.set(key, { levelId: submission.levelId, status: submission.status, count: 0 });
+        submissions.get(key).count += 1;
+      }
+      const finished = enrollments.filter((e) => e.entry.completedAt);
+      return {
+        enrolled: enrollments.length,
+        completed: finished.length,
+        finishSeconds: finished
+          .filter((e) => e.entry.enrolledAt)
+          .map((e) => (new Date(e.entry.completedAt) - new Date(e.entry.enrolledAt)) / 1000),
+        levels: levels.map((l) => ({
+          id: l.id, title: l.title, position: l.position, completed: completedBy.get(l.id).size,
+        })),
+        stops: [...stops].map(([levelId, count]) => ({ levelId, learners: count })),
+        submissions: [...submissions.values()],
+      };
+    },
+
+    // Everything a user did that left a timestamp, oldest first (see
+    // sortActivity in lib/analytics.js). Returns null for an unknown
+    // user.
+    async listUserActivity(userId) {
+      const user = (await usersFile.read()).find((u) => u.id === userId);
+      if (!user) return null;
+      const courses = new Map((await coursesFile.read()).map((c) => [c.id, c]));
+      const levels = new Map((await levelsFile.read()).map((l) => [l.id, l]));
+      const event = (type, at, { courseId = null, levelId = null, ...rest } = {}) => {
+        const level = levels.get(levelId);
+        const course = courses.get(level ? level.courseId : courseId);
+        return {
+          type,
+          at,
+          courseId: course ? course.id : courseId,
+          courseTitle: course ? course.title : null,
+          levelId,
+          levelTitle: level ? level.title : null,
+          submissionId: null,
+          status: null,
+          score: null,
+          ...rest,
+        };
+      };
+      const events = [];
+      for (const entry of user.courses || []) {
+        if (entry.enrolledAt) events.push(event('enrolled', entry.enrolledAt, { courseId: entry.id }));
+        if (entry.completedAt) events.push(event('course_completed', entry.completedAt, { courseId: entry.id }));
+      }
+      for (const c of await completionsFile.read()) {
+        if (c.userId === userId) events.push(event('level_completed', c.completedAt, { levelId: c.levelId }));
+      }
+      for (const submission of (await submissionsFile.read()).map(toSubmission)) {
+        if (submission.userId !== userId) continue;
+        const ids = { levelId: submission.levelId, submissionId: submission.id };
+        events.push(event('submitted', submission.createdAt, ids));
+        if (submission.reviewedAt) {
+          events.push(event('reviewed', submission.reviewedAt, { ...ids, status: submission.status, score: submission.grade }));
+        }
+      }
+      for (const attempt of await quizAttemptsFile.read()) {
+        if (attempt.userId !== userId || !attempt.submittedAt) continue;
+        events.push(event('quiz_submitted', attempt.submittedAt, {
+          levelId: attempt.levelId, status: attempt.passed ? 'passed' : 'failed', score: attempt.score,
+        }));
+      }
+      return sortActivity(events.filter((e) => e.at));
+    },
+
+    // Certificates (see lib/certificates.js)
+
+    // Issue the certificate of a user who completed a course, unless they
+    // have one already, e.g. for courses completed before certificates
+    // existed. Returns the certificate, or null when the user has not
+    // completed the course.
+    async issueCertificate(userId, courseId) {
+      const user = (await usersFile.read()).find((u) => u.id === userId);
+      const entry = user && (user.courses || []).find((c) => c.id === courseId && c.completedAt);
+      const course = entry && (await coursesFile.read()).find((c) => c.id === courseId);
+      if (!course) return null;
+      return certificatesFile.update((certificates) => {
+        let certificate = certificates.find((c) => c.userId === userId && c.courseId === courseId);
+        if (!certificate) {
+          certificate = {
+            id: newCertificateId(),
+            userId,
+            courseId,
+            userName: user.name || user.email,
+            courseTitle: course.title,
+            completedAt: entry.completedAt,
+            issuedAt: new Date().toISOString(),
+            revokedAt: null,
+            revokedBy: null,
+            revokeReason: null,
+          };
+          certificates.push(certificate);
+        }
+        return certificate;
+      });
+    },
+
+    async getCertificate(id) {
+      return (await certificatesFile.read()).find((c) => c.id === id) || null;
+    },
+
+    // A page of certificates (see lib/listing.js) matching all given
+    // filters { userId, courseId, status }, searched by name and course
+    // title
+    async findCertificates(options = {}) {
+      const certificates = (await certificatesFile.read()).filter((c) => (options.userId === undefined || c.userId === options.userId)
+        && (options.courseId === undefined || c.courseId === options.courseId)
+        && (options.status === undefined || certificateStatus(c) === options.status));
+      return pageOf(certificates, options, {
+        textOf: (c) => [c.userName, c.courseTitle, c.id],
+        sortFields: { issuedAt: (c) => [c.issuedAt, c.id] },
+      });
+    },
+
+    // Revoke a certificate { reason, revokedBy }. Returns null when it
+    // does not exist or is revoked already.
+    async revokeCertificate(id, { reason = null, revokedBy }) {
+      return certificatesFile.update((certificates) => {
+        const certificate = certificates.find((c) => c.id === id);
+        if (!certificate || certificate.revokedAt) return null;
+        Object.assign(certificate, { revokedAt: new Date().toISOString(), revokedBy, revokeReason: reason });
+        return certificate;
+      });
+    },
+
+    // Activity events (see lib/events.js)
+
+    // Append an event { userId, type, courseId, levelId, submissionId,
+    // data } to the log
+    async appendEvent({
+      userId, type, courseId = null, levelId = null, submissionId = null, data = null,
+    }) {
+      return eventsLog.append((id) => ({
+        id,
+        userId,
+        type,
+        courseId,
+        levelId,
+        submissionId,
+        data,
+        createdAt: new Date().toISOString(),
+      }));
+    },
+
+    // A page of events (see lib/listing.js) matching all given filters
+    // { userId, type, courseId, since, until }; since and until are ISO
+    // times, since inclusive and until exclusive
+    async findEvents(options = {}) {
+      const events = (await eventsLog.read()).filter((e) => (options.userId === undefined || e.userId === options.userId)
+        && (options.type === undefined || e.type === options.type)
+        && (options.courseId === undefined || e.courseId === options.courseId)
+        && (options.since === undefined || new Date(e.createdAt) >= new Date(options.since))
+        && (options.until === undefined || new Date(e.createdAt) < new Date(options.until)));
+      return pageOf(events, options, { textOf: () => [], sortFields: { createdAt: (e) => e.createdAt } });
+    },
+
+    // Knowledge base
+
+    // Knowledge articles matching all given filters { levelId, courseId,
+    // tag }, in id order
+    async listKnowledge({ levelId, courseId, tag } = {}) {
+      return (await knowledgeFile.read())
+        .map(toKnowledge)
+        .filter((a) => (levelId === undefined || a.levelIds.includes(levelId))
+          && (courseId === undefined || a.courseIds.includes(courseId))
+          && (tag === undefined || a.tags.includes(tag)))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async getKnowledge(id) {
+      return toKnowledge((await knowledgeFile.read()).find((a) => a.id === id));
+    },
+
+    async createKnowledge({
+      title, content = '', tags = [], levelIds = [], courseIds = [], ownerId = null,
+    }) {
+      const article = await knowledgeFile.update((articles) => {
+        const created = {
+          id: nextId(articles), title, content, tags, levelIds, courseIds, ownerId,
+        };
+        articles.push(created);
+        return toKnowledge(created);
+      });
+      indexArticle(article);
+      return article;
+    },
+
+    // Update title, content, tags, levelIds or courseIds
+    async updateKnowledge(id, changes) {
+      const article = await knowledgeFile.update((articles) => {
+        const found = articles.find((a) => a.id === id);
+        if (!found) return null;
+        for (const field of ['title', 'content', 'tags', 'levelIds', 'courseIds']) {
+          if (changes[field] !== undefined) found[field] = changes[field];
+        }
+        return toKnowledge(found);
+      });
+      if (article) indexArticle(article);
+      return article;
+    },
+
+    async deleteKnowledge(id) {
+      const deleted = await knowledgeFile.update((articles) => {
+        const index = articles.findIndex((a) => a.id === id);
+        if (index === -1) return false;
+        articles.splice(index, 1);
+        return true;
+      });
+      if (deleted) unindexArticle(id);
+      return deleted;
+    },
+
+    // Link a level to exactly the given knowledge articles
+    async setLevelKnowledge(levelId, knowledgeIds) {
+      const wanted = new Set(knowledgeIds);
+      await knowledgeFile.update((articles) => {
+        for (const article of articles) {
+          const linked = (article.levelIds || []).filter((id) => id !== levelId);
+          article.levelIds = wanted.has(article.id) ? [...linked, levelId] : linked;
+        }
+      });
+    },
+
+    // Articles matching a search query (see lib/knowledge.js), best
+    // first, each with its `rank`
+    async searchKnowledge(query, { limit = 20 } = {}) {
+      const matches = (await searchIndex()).search(query).slice(0, limit);
+      const articles = new Map((await knowledgeFile.read()).map((a) => [a.id, a]));
+      return matches
+        .filter((m) => articles.has(m.id))
+        .map((m) => ({ ...toKnowledge(articles.get(m.id)), rank: m.rank }));
+    },
+  };
+}
+
+module.exports = { createJsonStore };
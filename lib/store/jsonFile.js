@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * One JSON data file of the JSON store
+ *
+ * Writes never leave a half written file behind: the new contents go to
+ * a temporary file in the same directory, are flushed to disk and then
+ * renamed over the old file. Before every replace the current file is
+ * kept as `<file>.bak`, the last version known to be good.
+ *
+ * Changes go through update(), which runs read-modify-write steps for a
+ * file one at a time, so two requests changing the same file can no
+ * longer overwrite each other's changes.
+ *
+ * check() runs at startup. A file that does not parse is moved aside to
+ * `<file>.corrupt-<timestamp>` and restored from its backup; without a
+ * usable backup it throws rather than starting with empty data.
+ *
+ * Logs, which only ever grow, are kept with createJsonLog() instead, one
+ * JSON record per line. Adding a record appends its line, so writing
+ * costs the same however long the log is; appends are not flushed one by
+ * one, so a crash may lose the last few. Removing records rewrites the
+ * file as above, without a backup. At startup lines that do not parse,
+ * such as one cut short by a crash, are dropped with a warning and the
+ * file as it was is kept as `<file>.corrupt-<timestamp>`.
+ */
+
+let tempCounter = 0;
+
+function parseRecords(text, file) {
+  const records = JSON.parse(text);
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} does not contain a JSON array`);
+  }
+  return records;
+}
+
+function serialize(records) {
+  return JSON.stringify(records, null, 2);
+}
+
+// The records of a log, one per line. Throws on a line that is not a
+// JSON object.
+function parseLines(text, file) {
+  const records = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    const record = JSON.parse(line);
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`line ${index + 1} of ${file} is not a JSON object`);
+    }
+    records.push(record);
+  });
+  return records;
+}
+
+function serializeLines(records) {
+  return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+}
+
+function tempPath(file) {
+  tempCounter += 1;
+  return path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${tempCounter}.tmp`);
+}
+
+// Write data to a temporary file, flush it and rename it over `file`
+async function writeAtomic(file, data) {
+  const temp = tempPath(file);
+  try {
+    const handle = await fs.promises.open(temp, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temp, file);
+  } catch (err) {
+    await fs.promises.rm(temp, { force: true });
+    throw err;
+  }
+}
+
+function writeAtomicSync(file, data) {
+  const temp = tempPath(file);
+  try {
+    const fd = fs.openSync(temp, 'w');
+    try {
+      fs.writeFileSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temp, file);
+  } catch (err) {
+    fs.rmSync(temp, { force: true });
+    throw err;
+  }
+}
+
+// Temporary files of `file` left behind by a crash in the middle of a
+// write
+function removeStaleTempFiles(file) {
+  const dir = path.dirname(file);
+  const prefixes = [`.${path.basename(file)}.`, `.${path.basename(file)}.bak.`];
+  for (const name of fs.readdirSync(dir)) {
+    if (name.endsWith('.tmp') && prefixes.some((prefix) => name.startsWith(prefix))) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  }
+}
+
+function createJsonFile(file, { defaultRecords = [] } = {}) {
+  const backupFile = `${file}.bak`;
+  // Tail of the chain of pending updates
+  let queue = Promise.resolve();
+
+  // Keep the current file as the backup. The file was written by this
+  // module, so it is complete; a hard link avoids copying it.
+  async function backupCurrent() {
+    const temp = tempPath(backupFile);
+    try {
+      await fs.promises.link(file, temp);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      await fs.promises.copyFile(file, temp);
+    }
+    await fs.promises.rename(temp, backupFile);
+  }
+
+  async function read() {
+    return parseRecords(await fs.promises.readFile(file, 'utf8'), file);
+  }
+
+  // Run fn(records) with the file's current records and write them back
+  // once fn returns. Resolves to fn's result; nothing is written if fn
+  // throws.
+  function update(fn) {
+    const run = queue.then(async () => {
+      const records = await read();
+      const result = await fn(records);
+      await backupCurrent();
+      await writeAtomic(file, serialize(records));
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  function readBackupSync() {
+    try {
+      return parseRecords(fs.readFileSync(backupFile, 'utf8'), backupFile);
+    } catch {
+      return null;
+    }
+  }
+
+  // Make sure the file exists and parses, restoring the backup if not.
+  // Returns the records.
+  function check() {
+    removeStaleTempFiles(file);
+    if (!fs.existsSync(file)) {
+      writeAtomicSync(file, serialize(defaultRecords));
+      return defaultRecords;
+    }
+    let records;
+    try {
+      records = parseRecords(fs.readFileSync(file, 'utf8'), file);
+    } catch (err) {
+      const backup = readBackupSync();
+      if (!backup) {
+        throw new Error(`${file} is corrupt and there is no usable backup in ${backupFile}: ${err.message}`);
+      }
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, corruptFile);
+      writeAtomicSync(file, serialize(backup));
+      console.warn(`${file} was corrupt (${err.message}); restored ${backupFile}, kept the corrupt file as ${corruptFile}`);
+      return backup;
+    }
+    fs.copyFileSync(file, backupFile);
+    return records;
+  }
+
+  // Replace the records outright; only for use before the server starts
+  function replaceSync(records) {
+    writeAtomicSync(file, serialize(records));
+  }
+
+  return { file, read, update, check, replaceSync };
+}
+
+function createJsonLog(file) {
+  // Tail of the chain of pending appends and updates
+  let queue = Promise.resolve();
+  // Highest id given out so far
+  let lastId = 0;
+
+  function enqueue(step) {
+    const run = queue.then(step);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // The records, leaving out a line that is still being appended
+  async function read() {
+    const text = await fs.promises.readFile(file, 'utf8');
+    return parseLines(text.slice(0, text.lastIndexOf('\n') + 1), file);
+  }
+
+  // Append the record fn(id) returns for the next id. Resolves to the
+  // record.
+  function append(fn) {
+    return enqueue(async () => {
+      const record = await fn(lastId + 1);
+      await fs.promises.appendFile(file, serializeLines([record]));
+      lastId = Math.max(lastId, record.id);
+      return record;
+    });
+  }
+
+  // Run fn(records) and write them back once it returns, as
+  // createJsonFile's update() does
+  function update(fn) {
+    return enqueue(async () => {
+      const records = await read();
+      const result = await fn(records);
+      await writeAtomic(file, serializeLines(records));
+      return result;
+    });
+  }
+
+  // Make sure the file exists, dropping lines that do not parse. Returns
+  // the records.
+  function check() {
+    removeStaleTempFiles(file);
+    if (!fs.existsSync(file)) {
+      replaceSync([]);
+      return [];
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    const records = [];
+    let dropped = 0;
+    for (const line of text.split('\n').filter((l) => l.trim())) {
+      try {
+        records.push(...parseLines(line, file));
+      } catch {
+        dropped += 1;
+      }
+    }
+    if (dropped > 0) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      fs.renameSync(file, corruptFile);
+      console.warn(`${file} had ${dropped} unreadable line(s), which were dropped; kept the file as it was as ${corruptFile}`);
+    }
+    if (dropped > 0 || (text && !text.endsWith('\n'))) {
+      replaceSync(records);
+    }
+    lastId = records.reduce((max, r) => Math.max(max, r.id), 0);
+    return records;
+  }
+
+  // Replace the records outright; only for use before the server starts
+  function replaceSync(records) {
+    writeAtomicSync(file, serializeLines(records));
+    lastId = records.reduce((max, r) => Math.max(max, r.id), 0);
+  }
+
+  return { file, read, append, update, check, replaceSync };
+}
+
+module.exports = { createJsonFile, createJsonLog, parseLines };
@@ -0,0 +1,1291 @@
+const levelOrder = require('../levels');
+const enrollment = require('../enrollment');
+const publishing = require('../publishing');
+const { summarizeProgress, isCourseComplete } = require('../progress');
+const { likePattern } = require('../listing');
+const { sortActivity } = require('../analytics');
+const { newCertificateId } = require('../certificates');
+
+/*
+ * PostgreSQL implementation of the storage interface
+ *
+ * Mirrors ./json.js method for method on top of the tables created by
+ * database/migrations. Rows are mapped to the same camelCase records
+ * the JSON store returns, so the route layer never sees column names.
+ */
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name || '',
+    email: row.email,
+    passwordHash: row.password_hash,
+    role: row.role,
+    profilePicture: row.profile_picture || null,
+    emailVerifiedAt: row.email_verified_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+function toAccountToken(row) {
+  if (!row) return null;
+  return {
+    tokenHash: row.token_hash,
+    userId: row.user_id,
+    purpose: row.purpose,
+    email: row.email,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    usedAt: row.used_at,
+  };
+}
+
+// `prerequisiteIds` come from course_prerequisites (see withPrerequisites)
+function toCourse(row, prerequisiteIds = []) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description || '',
+    content: row.content || '',
+    image: row.image || null,
+    ownerId: row.owner_id,
+    status: row.status,
+    tags: row.tags || [],
+    sequential: row.sequential,
+    prerequisiteIds,
+    enrollmentPolicy: row.enrollment_policy,
+    seatLimit: row.seat_limit,
+  };
+}
+
+function toEnrollmentRequest(row) {
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    courseId: row.course_id,
+    status: row.status,
+    createdAt: row.created_at,
+  };
+}
+
+function toLevel(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    courseId: row.course_id,
+    title: row.title,
+    description: row.description || '',
+    content: row.content || '',
+    type: row.type,
+    quiz: row.quiz || null,
+    exercise: row.exercise || null,
+    status: row.status,
+    position: row.position,
+  };
+}
+
+function toRevision(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    courseId: row.course_id,
+    levelId: row.level_id,
+    title: row.title,
+    description: row.description || '',
+    content: row.content || '',
+    action: row.action,
+    authorId: row.author_id,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at,
+  };
+}
+
+// `levelIds` and `courseIds` come from knowledge_levels and
+// knowledge_courses (see withKnowledgeLinks)
+function toKnowledge(row, levelIds = [], courseIds = []) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content || '',
+    tags: row.tags || [],
+    levelIds,
+    courseIds,
+    ownerId: row.owner_id,
+  };
+}
+
+// Search document of a knowledge_base row: title, tags and content
+// weighted A, B and C (see lib/knowledge.js)
+const KNOWLEDGE_SEARCH_VECTOR = `setweight(to_tsvector('english', COALESCE(title, '')), 'A')
+  || setweight(to_tsvector('english', array_to_string(tags, ' ')), 'B')
+  || setweight(to_tsvector('english', COALESCE(content, '')), 'C')`;
+
+function toQuizAttempt(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    levelId: row.level_id,
+    questions: row.questions,
+    answers: row.answers,
+    score: row.score,
+    passed: row.passed,
+    startedAt: row.started_at,
+    submittedAt: row.submitted_at,
+  };
+}
+
+function toSubmission(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    levelId: row.level_id,
+    content: row.content,
+    status: row.status,
+    reviewerId: row.reviewer_id,
+    grade: row.grade,
+    feedback: row.feedback,
+    reviewedAt: row.reviewed_at,
+    testResults: row.test_results,
+    createdAt: row.created_at,
+  };
+}
+
+function toSubmissionFile(row) {
+  return {
+    id: row.id,
+    submissionId: row.submission_id,
+    name: row.name,
+    mimeType: row.mime_type,
+    size: row.size,
+    storageKey: row.storage_key,
+    createdAt: row.created_at,
+  };
+}
+
+function toCertificate(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.user_id,
+    courseId: row.course_id,
+    userName: row.user_name,
+    courseTitle: row.course_title,
+    completedAt: row.completed_at,
+    issuedAt: row.issued_at,
+    revokedAt: row.revoked_at,
+    revokedBy: row.revoked_by,
+    revokeReason: row.revoke_reason,
+  };
+}
+
+// Event ids are BIGSERIAL, which pg returns as text
+function toEvent(row) {
+  return {
+    id: Number(row.id),
+    userId: row.user_id,
+    type: row.type,
+    courseId: row.course_id,
+    levelId: row.level_id,
+    submissionId: row.submission_id,
+    data: row.data,
+    createdAt: row.created_at,
+  };
+}
+
+// Stand-in for a missing pool: every query fails with a message the API
+// passes on to the client
+const UNCONFIGURED_POOL = {
+  query: notConfigured,
+  connect: notConfigured,
+};
+
+async function notConfigured() {
+  const err = new Error('Database not configured');
+  err.status = 500;
+  err.expose = true;
+  throw err;
+}
+
+function createPgStore(pool) {
+  pool = pool || UNCONFIGURED_POOL;
+
+  // Run fn(client) inside a transaction
+  async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Course records for course rows, with their prerequisite ids
+  async function withPrerequisites(client, rows) {
+    if (rows.length === 0) return [];
+    const result = rows.length === 1
+      ? await client.query('SELECT * FROM course_prerequisites WHERE course_id = $1', [rows[0].id])
+      : await client.query('SELECT * FROM course_prerequisites');
+    return rows.map((row) => toCourse(
+      row,
+      result.rows.filter((p) => p.course_id === row.id).map((p) => p.prerequisite_id).sort((a, b) => a - b)
+    ));
+  }
+
+  // Replace the prerequisites of a course
+  async function writePrerequisites(client, courseId, prerequisiteIds) {
+    await client.query('DELETE FROM course_prerequisites WHERE course_id = $1', [courseId]);
+    for (const prerequisiteId of prerequisiteIds) {
+      await client.query(
+        'INSERT INTO course_prerequisites (course_id, prerequisite_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [courseId, prerequisiteId]
+      );
+    }
+  }
+
+  // Knowledge records for knowledge_base rows, with their linked level
+  // and course ids
+  async function withKnowledgeLinks(client, rows) {
+    if (rows.length === 0) return [];
+    const links = (table, column) => (rows.length === 1
+      ? client.query(`SELECT * FROM ${table} WHERE knowledge_id = $1 ORDER BY ${column}`, [rows[0].id])
+      : client.query(`SELECT * FROM ${table} ORDER BY ${column}`));
+    const levels = await links('knowledge_levels', 'level_id');
+    const courses = await links('knowledge_courses', 'course_id');
+    return rows.map((row) => toKnowledge(
+      row,
+      levels.rows.filter((l) => l.knowledge_id === row.id).map((l) => l.level_id),
+      courses.rows.filter((c) => c.knowledge_id === row.id).map((c) => c.course_id)
+    ));
+  }
+
+  // Replace the levels or courses a knowledge article is linked to
+  async function writeKnowledgeLinks(client, table, column, knowledgeId, ids) {
+    await client.query(`DELETE FROM ${table} WHERE knowledge_id = $1`, [knowledgeId]);
+    for (const id of ids) {
+      await client.query(
+        `INSERT INTO ${table} (knowledge_id, ${column}) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+        [knowledgeId, id]
+      );
+    }
+  }
+
+  // Ids of a course's levels in their current order
+  async function levelIdsOfCourse(client, courseId) {
+    const result = await client.query('SELECT id FROM levels WHERE course_id = $1 ORDER BY position, id', [courseId]);
+    return result.rows.map((row) => row.id);
+  }
+
+  // Number levels 1..n following the given id order
+  async function writeLevelOrder(client, orderedIds) {
+    for (let i = 0; i < orderedIds.length; i++) {
+      await client.query('UPDATE levels SET position = $1 WHERE id = $2', [i + 1, orderedIds[i]]);
+    }
+  }
+
+  // Add the `files` list, without storage keys, to submissions
+  async function withFiles(client, submissions) {
+    if (submissions.length === 0) return submissions;
+    const result = await client.query(
+      'SELECT id, submission_id, name, mime_type, size FROM submission_files WHERE submission_id = ANY($1::int[]) ORDER BY id',
+      [submissions.map((s) => s.id)]
+    );
+    return submissions.map((s) => ({
+      ...s,
+      files: result.rows
+        .filter((row) => row.submission_id === s.id)
+        .map((row) => ({ id: row.id, name: row.name, mimeType: row.mime_type, size: row.size })),
+    }));
+  }
+
+  // A user's level completions as [{ levelId, completedAt }]
+  async function completionsOf(client, userId) {
+    const result = await client.query(
+      'SELECT level_id, completed_at FROM level_completions WHERE user_id = $1 ORDER BY completed_at, level_id',
+      [userId]
+    );
+    return result.rows.map((row) => ({ levelId: row.level_id, completedAt: row.completed_at }));
+  }
+
+  // Progress of a user in a course, or null when not enrolled. Only
+  // published levels count.
+  async function courseProgress(client, userId, courseId) {
+    const enrolled = await client.query(
+      'SELECT enrolled_at, completed_at FROM user_courses WHERE user_id = $1 AND course_id = $2',
+      [userId, courseId]
+    );
+    if (enrolled.rows.length === 0) return null;
+    const levels = await client.query(
+      "SELECT id FROM levels WHERE course_id = $1 AND status = 'published' ORDER BY position, id",
+      [courseId]
+    );
+    return summarizeProgress(
+      courseId,
+      levels.rows.map((row) => row.id),
+      await completionsOf(client, userId),
+      enrolled.rows[0].completed_at,
+      enrolled.rows[0].enrolled_at
+    );
+  }
+
+  // Issue the certificate of a user who completed a course, unless they
+  // have one already. Returns the certificate, or null when the user has
+  // not completed the course.
+  async function issueCertificate(client, userId, courseId) {
+    await client.query(
+      `INSERT INTO certificates (id, user_id, course_id, user_name, course_title, completed_at)
+       SELECT $1, uc.user_id, uc.course_id, CASE WHEN u.name IS NULL OR u.name = '' THEN u.email ELSE u.name END, c.title, uc.completed_at
+         FROM user_courses uc JOIN users u ON u.id = uc.user_id JOIN courses c ON c.id = uc.course_id
+        WHERE uc.user_id = $2 AND uc.course_id = $3 AND uc.completed_at IS NOT NULL
+       ON CONFLICT (user_id, course_id) DO NOTHING`,
+      [newCertificateId(), userId, courseId]
+    );
+    const result = await client.query('SELECT * FROM certificates WHERE user_id = $1 AND course_id = $2', [userId, courseId]);
+    return toCertificate(result.rows[0]);
+  }
+
+  // JSONB parameters are sent as text, as node-postgres would turn arrays
+  // into Postgres arrays
+  const json = (value) => (value === undefined || value === null ? value : JSON.stringify(value));
+
+  // Build "SET a = $1, b = $2" from the defined entries of a column map
+  function setClause(columns) {
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    return {
+      sql: entries.map(([column], i) => `${column} = $${i + 1}`).join(', '),
+      values: entries.map(([, value]) => value),
+    };
+  }
+
+  // One page of the rows of `from` with the total number of matches
+  // (see lib/listing.js)
+  //   filters  [condition, value] pairs, with ? for the value; pairs
+  //            whose value is undefined are left out
+  //   search   columns searched by options.q
+  //   sorts    sort name => the SQL expressions it sorts by
+  async function findPage({
+    select, from, idColumn, search, sorts,
+  }, filters, options) {
+    const values = [];
+    const conditions = [];
+    for (const [condition, value] of filters) {
+      if (value === undefined) continue;
+      values.push(value);
+      conditions.push(condition.replace('?', `$${values.length}`));
+    }
+    if (options.q) {
+      values.push(likePattern(options.q));
+      conditions.push(`(${search.map((column) => `${column} ILIKE $${values.length}`).join(' OR ')})`);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await pool.query(`SELECT COUNT(*) AS total FROM ${from} ${where}`, values);
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+    const orderBy = [...sorts[options.sort].map((expression) => `${expression} ${direction}`), idColumn].join(', ');
+    let page = '';
+    if (options.limit !== undefined) {
+      values.push(options.limit);
+      page += ` LIMIT $${values.length}`;
+    }
+    if (options.offset) {
+      values.push(options.offset);
+      page += ` OFFSET $${values.length}`;
+    }
+    const result = await pool.query(`SELECT ${select} FROM ${from} ${where} ORDER BY ${orderBy}${page}`, values);
+    return { rows: result.rows, total: Number(count.rows[0].total) };
+  }
+
+  return {
+    name: 'pg',
+
+    // Users
+
+    async listUsers() {
+      const result = await pool.query('SELECT * FROM users ORDER BY id');
+      return result.rows.map(toUser);
+    },
+
+    // A page of users (see lib/listing.js) with { role }, searched by
+    // name and email
+    async findUsers(options = {}) {
+      const { rows, total } = await findPage({
+        select: '*',
+        from: 'users',
+        idColumn: 'id',
+        search: ['name', 'email'],
+        sorts: { id: ['id'], name: ["LOWER(COALESCE(name, ''))"], email: ['LOWER(email)'] },
+      }, [['role = ?', options.role]], options);
+      return { items: rows.map(toUser), total };
+    },
+
+    async getUser(id) {
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+      return toUser(result.rows[0]);
+    },
+
+    async findUserByEmail(email) {
+      const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+      return toUser(result.rows[0]);
+    },
+
+    async countUsers(role) {
+      const result = role
+        ? await pool.query('SELECT COUNT(*)::int AS count FROM users WHERE role = $1', [role])
+        : await pool.query('SELECT COUNT(*)::int AS count FROM users');
+      return result.rows[0].count;
+    },
+
+    async createUser({ name, email, passwordHash, role }) {
+      const result = await pool.query(
+        'INSERT INTO users (name, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING *',
+        [name, email, passwordHash, role]
+      );
+      return toUser(result.rows[0]);
+    },
+
+    async updateUser(id, changes) {
+      const { sql, values } = setClause({
+        name: changes.name,
+        email: changes.email,
+        password_hash: changes.passwordHash,
+        role: changes.role,
+        profile_picture: changes.profilePicture,
+        email_verified_at: changes.emailVerifiedAt,
+      });
+      if (!sql) return this.getUser(id);
+      const result = await pool.query(
+        `UPDATE users SET ${sql} WHERE id = $${values.length + 1} RETURNING *`,
+        [...values, id]
+      );
+      return toUser(result.rows[0]);
+    },
+
+    async deleteUser(id) {
+      const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    },
+
+    // Account tokens (see lib/accountTokens.js)
+
+    // Store a token { tokenHash, userId, purpose, email, expiresAt } in
+    // place of the user's other tokens of the same purpose. Expired and
+    // used tokens of everyone are dropped on the way.
+    async createAccountToken({ tokenHash, userId, purpose, email, expiresAt }) {
+      return withTransaction(async (client) => {
+        await client.query(
+          `DELETE FROM account_tokens
+            WHERE (user_id = $1 AND purpose = $2) OR used_at IS NOT NULL OR expires_at <= $3`,
+          [userId, purpose, new Date()]
+        );
+        const result = await client.query(
+          `INSERT INTO account_tokens (token_hash, user_id, purpose, email, expires_at)
+           VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+          [tokenHash, userId, purpose, email, expiresAt]
+        );
+        return toAccountToken(result.rows[0]);
+      });
+    },
+
+    // Mark a token of `purpose` used. Returns it, or null when it is
+    // unknown, used already or expired. Expiry is checked against the
+    // clock it was computed with, the application's.
+    async consumeAccountToken(purpose, tokenHash) {
+      const result = await pool.query(
+        `UPDATE account_tokens SET used_at = $3
+          WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > $3 RETURNING *`,
+        [tokenHash, purpose, new Date()]
+      );
+      return toAccountToken(result.rows[0]);
+    },
+
+    // Courses
+
+    async listCourses() {
+      const result = await pool.query('SELECT * FROM courses ORDER BY id');
+      return withPrerequisites(pool, result.rows);
+    },
+
+    // A page of courses (see lib/listing.js) matching { tag, status,
+    // ownerId }, searched by title and description
+    async findCourses(options = {}) {
+      const { rows, total } = await findPage({
+        select: '*',
+        from: 'courses',
+        idColumn: 'id',
+        search: ['title', 'description'],
+        sorts: { id: ['id'], title: ['LOWER(title)'] },
+      }, [
+        ['? = ANY(tags)', options.tag],
+        ['status = ?', options.status],
+        ['owner_id = ?', options.ownerId],
+      ], options);
+      return { items: await withPrerequisites(pool, rows), total };
+    },
+
+    async getCourse(id) {
+      const result = await pool.query('SELECT * FROM courses WHERE id = $1', [id]);
+      return (await withPrerequisites(pool, result.rows))[0] || null;
+    },
+
+    async createCourse({
+      title, description = null, content = null, image = null, ownerId = null, status = publishing.DEFAULT_STATUS, tags = [],
+      sequential = false, prerequisiteIds = [], enrollmentPolicy = enrollment.DEFAULT_ENROLLMENT_POLICY, seatLimit = null,
+    }) {
+      return withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO courses (title, description, content, image, owner_id, status, tags, sequential, enrollment_policy, seat_limit)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          [title, description, content, image, ownerId, status, tags, sequential, enrollmentPolicy, seatLimit]
+        );
+        await writePrerequisites(client, result.rows[0].id, prerequisiteIds);
+        return (await withPrerequisites(client, result.rows))[0];
+      });
+    },
+
+    async updateCourse(id, changes) {
+      const { sql, values } = setClause({
+        title: changes.title,
+        description: changes.description,
+        content: changes.content,
+        image: changes.image,
+        owner_id: changes.ownerId,
+        status: changes.status,
+        tags: changes.tags,
+        sequential: changes.sequential,
+        enrollment_policy: changes.enrollmentPolicy,
+        seat_limit: changes.seatLimit,
+      });
+      return withTransaction(async (client) => {
+        const result = sql
+          ? await client.query(`UPDATE courses SET ${sql} WHERE id = $${values.length + 1} RETURNING *`, [...values, id])
+          : await client.query('SELECT * FROM courses WHERE id = $1', [id]);
+        if (result.rows.length === 0) return null;
+        if (changes.prerequisiteIds !== undefined) {
+          await writePrerequisites(client, id, changes.prerequisiteIds);
+        }
+        return (await withPrerequisites(client, result.rows))[0];
+      });
+    },
+
+    // Delete a course. Its levels, with their completions, submissions
+    // and quiz attempts, its enrollments, enrollment requests,
+    // prerequisite links, revisions and knowledge links go with it (ON
+    // DELETE CASCADE).
+    async deleteCourse(id) {
+      const result = await pool.query('DELETE FROM courses WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    },
+
+    // Enrollment and progress
+
+    // Courses a user is enrolled in, with title, progress and completion
+    async listUserCourses(userId) {
+      if (!(await this.getUser(userId))) return null;
+      const enrollments = await pool.query(
+        `SELECT c.id, c.title, uc.completed_at
+           FROM user_courses uc JOIN courses c ON c.id = uc.course_id
+          WHERE uc.user_id = $1 ORDER BY c.id`,
+        [userId]
+      );
+      const levels = await pool.query(
+        `SELECT l.id, l.course_id FROM levels l JOIN user_courses uc ON uc.course_id = l.course_id
+          WHERE uc.user_id = $1 AND l.status = 'published'`,
+        [userId]
+      );
+      const completions = await completionsOf(pool, userId);
+      return enrollments.rows.map((row) => {
+        const levelIds = levels.rows.filter((l) => l.course_id === row.id).map((l) => l.id);
+        const { progress, completedAt } = summarizeProgress(row.id, levelIds, completions, row.completed_at);
+        return { id: row.id, title: row.title, progress, completedAt };
+      });
+    },
+
+    async enrollUser(userId, courseId) {
+      if (!(await this.getUser(userId))) return false;
+      await pool.query(
+        'INSERT INTO user_courses (user_id, course_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+        [userId, courseId]
+      );
+      return true;
+    },
+
+    async unenrollUser(userId, courseId) {
+      if (!(await this.getUser(userId))) return false;
+      await pool.query('DELETE FROM user_courses WHERE user_id = $1 AND course_id = $2', [userId, courseId]);
+      return true;
+    },
+
+    // Enroll a user unless the course's seat limit is reached. Returns
+    // 'enrolled', 'already_enrolled', 'full', or null when the user or
+    // course does not exist.
+    async takeSeat(userId, courseId) {
+      return withTransaction(async (client) => {
+        // Locking the course row makes concurrent enrollments take turns
+        const course = await client.query('SELECT seat_limit FROM courses WHERE id = $1 FOR UPDATE', [courseId]);
+        const user = await client.query('SELECT id FROM users WHERE id = $1', [userId]);
+        if (course.rows.length === 0 || user.rows.length === 0) return null;
+        const enrolled = await client.query(
+          'SELECT user_id FROM user_courses WHERE user_id = $1 AND course_id = $2',
+          [userId, courseId]
+        );
+        if (enrolled.rows.length > 0) return 'already_enrolled';
+        const seatLimit = course.rows[0].seat_limit;
+        if (seatLimit) {
+          const taken = await client.query('SELECT COUNT(*)::int AS count FROM user_courses WHERE course_id = $1', [courseId]);
+          if (taken.rows[0].count >= seatLimit) return 'full';
+        }
+        await client.query('INSERT INTO user_courses (user_id, course_id) VALUES ($1, $2)', [userId, courseId]);
+        return 'enrolled';
+      });
+    },
+
+    // Enrollment requests (see lib/enrollment.js) matching all given
+    // filters { courseId, userId, status }, oldest first
+    async listEnrollmentRequests({ courseId, userId, status } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM enrollment_requests
+          WHERE ($1::int IS NULL OR course_id = $1) AND ($2::int IS NULL OR user_id = $2)
+            AND ($3::text IS NULL OR status = $3)
+          ORDER BY created_at, user_id`,
+        [courseId === undefined ? null : courseId, userId === undefined ? null : userId, status === undefined ? null : status]
+      );
+      return result.rows.map(toEnrollmentRequest);
+    },
+
+    async getEnrollmentRequest(userId, courseId) {
+      const result = await pool.query(
+        'SELECT * FROM enrollment_requests WHERE user_id = $1 AND course_id = $2',
+        [userId, courseId]
+      );
+      return toEnrollmentRequest(result.rows[0]);
+    },
+
+    // Create or update the request of a user for a course. A request
+    // that changes status goes to the back of the queue.
+    async saveEnrollmentRequest(userId, courseId, status) {
+      const result = await pool.query(
+        `INSERT INTO enrollment_requests (user_id, course_id, status) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, course_id) DO UPDATE SET status = EXCLUDED.status,
+           created_at = CASE WHEN enrollment_requests.status = EXCLUDED.status THEN enrollment_requests.created_at ELSE LOCALTIMESTAMP END
+         RETURNING *`,
+        [userId, courseId, status]
+      );
+      return toEnrollmentRequest(result.rows[0]);
+    },
+
+    async deleteEnrollmentRequest(userId, courseId) {
+      const result = await pool.query(
+        'DELETE FROM enrollment_requests WHERE user_id = $1 AND course_id = $2 RETURNING user_id',
+        [userId, courseId]
+      );
+      return result.rows.length > 0;
+    },
+
+    // Progress of a user in a course (see lib/progress.js), or null when
+    // the user is not enrolled
+    async getCourseProgress(userId, courseId) {
+      return courseProgress(pool, userId, courseId);
+    },
+
+    // Record that a user completed a level and, once every level is done,
+    // the course. Returns the course progress, or null when the level
+    // does not exist or the user is not enrolled in its course.
+    async completeLevel(userId, levelId) {
+      return withTransaction(async (client) => {
+        const level = await client.query('SELECT course_id FROM levels WHERE id = $1', [levelId]);
+        if (level.rows.length === 0) return null;
+        const courseId = level.rows[0].course_id;
+        if (!(await courseProgress(client, userId, courseId))) return null;
+        await client.query(
+          'INSERT INTO level_completions (user_id, level_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [userId, levelId]
+        );
+        const summary = await courseProgress(client, userId, courseId);
+        if (isCourseComplete(summary) && !summary.completedAt) {
+          const result = await client.query(
+            `UPDATE user_courses SET completed_at = NOW()
+              WHERE user_id = $1 AND course_id = $2 AND completed_at IS NULL RETURNING completed_at`,
+            [userId, courseId]
+          );
+          if (result.rows.length > 0) {
+            summary.completedAt = result.rows[0].completed_at;
+            await issueCertificate(client, userId, courseId);
+          }
+        }
+        return summary;
+      });
+    },
+
+    async listCourseUsers(courseId) {
+      const result = await pool.query(
+        `SELECT u.* FROM users u JOIN user_courses uc ON uc.user_id = u.id
+          WHERE uc.course_id = $1 ORDER BY u.id`,
+        [courseId]
+      );
+      return result.rows.map(toUser);
+    },
+
+    // Levels
+
+    async listLevels() {
+      const result = await pool.query('SELECT * FROM levels ORDER BY course_id, position, id');
+      return result.rows.map(toLevel);
+    },
+
+    // A page of levels (see lib/listing.js) matching { courseId, courseIds,
+    // type, status, courseStatus }, searched by title and description
+    async findLevels(options = {}) {
+      const { rows, total } = await findPage({
+        select: 'l.*',
+        from: 'levels l JOIN courses c ON c.id = l.course_id',
+        idColumn: 'l.id',
+        search: ['l.title', 'l.description'],
+        sorts: { position: ['l.course_id', 'l.position'], title: ['LOWER(l.title)'] },
+      }, [
+        ['l.course_id = ?', options.courseId],
+        ['l.course_id = ANY(?::int[])', options.courseIds],
+        ['l.type = ?', options.type],
+        ['l.status = ?', options.status],
+        ['c.status = ?', options.courseStatus],
+      ], options);
+      return { items: rows.map(toLevel), total };
+    },
+
+    async listCourseLevels(courseId) {
+      const result = await pool.query('SELECT * FROM levels WHERE course_id = $1 ORDER BY position, id', [courseId]);
+      return result.rows.map(toLevel);
+    },
+
+    async getLevel(id) {
+      const result = await pool.query('SELECT * FROM levels WHERE id = $1', [id]);
+      return toLevel(result.rows[0]);
+    },
+
+    async createLevel({
+      courseId, title, description = null, content = null, type = levelOrder.DEFAULT_LEVEL_TYPE, quiz = null, exercise = null,
+      status = publishing.DEFAULT_STATUS,
+    }, position) {
+      return withTransaction(async (client) => {
+        const order = await levelIdsOfCourse(client, courseId);
+        const insert = await client.query(
+          `INSERT INTO levels (title, description, content, type, quiz, exercise, status, course_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+          [title, description, content, type, json(quiz), json(exercise), status, courseId]
+        );
+        const levelId = insert.rows[0].id;
+        await writeLevelOrder(client, levelOrder.moveToPosition(order, levelId, position));
+        const result = await client.query('SELECT * FROM levels WHERE id = $1', [levelId]);
+        return toLevel(result.rows[0]);
+      });
+    },
+
+    async updateLevel(id, changes, position) {
+      return withTransaction(async (client) => {
+        const existing = await client.query('SELECT course_id FROM levels WHERE id = $1', [id]);
+        if (existing.rows.length === 0) return null;
+        const { sql, values } = setClause({
+          title: changes.title,
+          description: changes.description,
+          content: changes.content,
+          type: changes.type,
+          quiz: json(changes.quiz),
+          exercise: json(changes.exercise),
+          status: changes.status,
+        });
+        if (sql) {
+          await client.query(`UPDATE levels SET ${sql} WHERE id = $${values.length + 1}`, [...values, id]);
+        }
+        if (position !== undefined) {
+          const order = await levelIdsOfCourse(client, existing.rows[0].course_id);
+          await writeLevelOrder(client, levelOrder.moveToPosition(order, id, position));
+        }
+        const result = await client.query('SELECT * FROM levels WHERE id = $1', [id]);
+        return toLevel(result.rows[0]);
+      });
+    },
+
+    async deleteLevel(id) {
+      return withTransaction(async (client) => {
+        const existing = await client.query('DELETE FROM levels WHERE id = $1 RETURNING course_id', [id]);
+        if (existing.rows.length === 0) return false;
+        await writeLevelOrder(client, await levelIdsOfCourse(client, existing.rows[0].course_id));
+        return true;
+      });
+    },
+
+    async reorderLevels(courseId, levelIds) {
+      return withTransaction(async (client) => {
+        if (!levelOrder.isCompleteOrder(await levelIdsOfCourse(client, courseId), levelIds)) return null;
+        await writeLevelOrder(client, levelIds);
+        const result = await client.query('SELECT * FROM levels WHERE course_id = $1 ORDER BY position, id', [courseId]);
+        return result.rows.map(toLevel);
+      });
+    },
+
+    // Revisions
+
+    // Revisions of a course and its levels, newest first. A levelId
+    // narrows them to that level's, and levelId null to the course's own.
+    async listRevisions({ courseId, levelId }) {
+      const values = [courseId];
+      let levelCondition = '';
+      if (levelId === null) {
+        levelCondition = 'AND level_id IS NULL';
+      } else if (levelId !== undefined) {
+        values.push(levelId);
+        levelCondition = 'AND level_id = $2';
+      }
+      const result = await pool.query(
+        `SELECT * FROM content_revisions WHERE course_id = $1 ${levelCondition} ORDER BY created_at DESC, id DESC`,
+        values
+      );
+      return result.rows.map(toRevision);
+    },
+
+    async getRevision(id) {
+      const result = await pool.query('SELECT * FROM content_revisions WHERE id = $1', [id]);
+      return toRevision(result.rows[0]);
+    },
+
+    async createRevision({
+      courseId, levelId = null, title, description = '', content = '', action, authorId = null, restoredFrom = null,
+    }) {
+      const result = await pool.query(
+        `INSERT INTO content_revisions (course_id, level_id, title, description, content, action, author_id, restored_from)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [courseId, levelId, title, description, content, action, authorId, restoredFrom]
+      );
+      return toRevision(result.rows[0]);
+    },
+
+    // Submissions
+
+    // Create a submission with text content and/or uploaded files
+    // [{ name, mimeType, size, storageKey }], or code with its test
+    // results [{ testId, name, passed, message }]
+    async createSubmission({ userId, levelId, content = null, files = [], testResults = null }) {
+      return withTransaction(async (client) => {
+        const result = await client.query(
+          'INSERT INTO submissions (user_id, level_id, content, test_results) VALUES ($1, $2, $3, $4) RETURNING *',
+          [userId, levelId, content, json(testResults)]
+        );
+        const submission = toSubmission(result.rows[0]);
+        for (const { name, mimeType, size, storageKey } of files) {
+          await client.query(
+            'INSERT INTO submission_files (submission_id, name, mime_type, size, storage_key) VALUES ($1, $2, $3, $4, $5)',
+            [submission.id, name, mimeType, size, storageKey]
+          );
+        }
+        return (await withFiles(client, [submission]))[0];
+      });
+    },
+
+    async getSubmission(id) {
+      const result = await pool.query('SELECT * FROM submissions WHERE id = $1', [id]);
+      return result.rows.length > 0 ? (await withFiles(pool, [toSubmission(result.rows[0])]))[0] : null;
+    },
+
+    // A file of a submission including its storage key
+    async getSubmissionFile(submissionId, fileId) {
+      const result = await pool.query(
+        'SELECT * FROM submission_files WHERE id = $1 AND submission_id = $2',
+        [fileId, submissionId]
+      );
+      return result.rows.length > 0 ? toSubmissionFile(result.rows[0]) : null;
+    },
+
+    // Files of the submissions of a user, a level or a course, including
+    // storage keys
+    async listSubmissionFiles({ userId, levelId, courseId }) {
+      const result = await pool.query(
+        `SELECT f.* FROM submission_files f
+           JOIN submissions s ON s.id = f.submission_id JOIN levels l ON l.id = s.level_id
+          WHERE ($1::int IS NULL OR s.user_id = $1) AND ($2::int IS NULL OR s.level_id = $2)
+            AND ($3::int IS NULL OR l.course_id = $3)
+          ORDER BY f.id`,
+        [userId === undefined ? null : userId, levelId === undefined ? null : levelId, courseId === undefined ? null : courseId]
+      );
+      return result.rows.map(toSubmissionFile);
+    },
+
+    // Submissions matching all given filters { userId, levelId, courseIds,
+    // status }, newest first
+    async listSubmissions({ userId, levelId, courseIds, status } = {}) {
+      const conditions = [];
+      const values = [];
+      const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replace('?', `$${values.length}`));
+      };
+      if (userId !== undefined) add('s.user_id = ?', userId);
+      if (levelId !== undefined) add('s.level_id = ?', levelId);
+      if (courseIds) add('l.course_id = ANY(?::int[])', courseIds);
+      if (status !== undefined) add('s.status = ?', status);
+      const result = await pool.query(
+        `SELECT s.* FROM submissions s JOIN levels l ON l.id = s.level_id
+          ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+          ORDER BY s.id DESC`,
+        values
+      );
+      return withFiles(pool, result.rows.map(toSubmission));
+    },
+
+    // A page of submissions (see lib/listing.js) matching the filters of
+    // listSubmissions, searched by content, the learner's name and email
+    // and the level's title
+    async findSubmissions(options = {}) {
+      const { rows, total } = await findPage({
+        select: 's.*',
+        from: 'submissions s JOIN levels l ON l.id = s.level_id JOIN users u ON u.id = s.user_id',
+        idColumn: 's.id',
+        search: ['s.content', 'u.name', 'u.email', 'l.title'],
+        sorts: { createdAt: ['s.created_at'], status: ['s.status'] },
+      }, [
+        ['s.user_id = ?', options.userId],
+        ['s.level_id = ?', options.levelId],
+        ['l.course_id = ANY(?::int[])', options.courseIds],
+        ['s.status = ?', options.status],
+      ], options);
+      return { items: await withFiles(pool, rows.map(toSubmission)), total };
+    },
+
+    // Record a review { status, grade, feedback, reviewerId }
+    async reviewSubmission(id, { status, grade = null, feedback = null, reviewerId }) {
+      const result = await pool.query(
+        `UPDATE submissions SET status = $1, grade = $2, feedback = $3, reviewer_id = $4, reviewed_at = NOW()
+          WHERE id = $5 RETURNING *`,
+        [status, grade, feedback, reviewerId, id]
+      );
+      return result.rows.length > 0 ? (await withFiles(pool, [toSubmission(result.rows[0])]))[0] : null;
+    },
+
+    // Quiz attempts
+
+    // Start an attempt with the questions drawn for it. Returns null when
+    // the user already has an open attempt at the level.
+    async createQuizAttempt({ userId, levelId, questions }) {
+      const result = await pool.query(
+        `INSERT INTO quiz_attempts (user_id, level_id, questions) VALUES ($1, $2, $3)
+         ON CONFLICT DO NOTHING RETURNING *`,
+        [userId, levelId, json(questions)]
+      );
+      return toQuizAttempt(result.rows[0]);
+    },
+
+    async getQuizAttempt(id) {
+      const result = await pool.query('SELECT * FROM quiz_attempts WHERE id = $1', [id]);
+      return toQuizAttempt(result.rows[0]);
+    },
+
+    // Attempts of a user and/or at a level, oldest first
+    async listQuizAttempts({ userId, levelId } = {}) {
+      const result = await pool.query(
+        `SELECT * FROM quiz_attempts
+          WHERE ($1::int IS NULL OR user_id = $1) AND ($2::int IS NULL OR level_id = $2)
+          ORDER BY id`,
+        [userId === undefined ? null : userId, levelId === undefined ? null : levelId]
+      );
+      return result.rows.map(toQuizAttempt);
+    },
+
+    // Record the answers and result of an open attempt. Returns null when
+    // the attempt does not exist or was already submitted.
+    async submitQuizAttempt(id, { answers, score, passed }) {
+      const result = await pool.query(
+        `UPDATE quiz_attempts SET answers = $1, score = $2, passed = $3, submitted_at = NOW()
+          WHERE id = $4 AND submitted_at IS NULL RETURNING *`,
+        [json(answers), score, passed, id]
+      );
+      return toQuizAttempt(result.rows[0]);
+    },
+
+    // Analytics (see lib/analytics.js)
+
+    // What happened in a course: enrollments, completions, where
+    // unfinished learners are stuck and submissions per status
+    async getCourseStats(courseId) {
+      const enrollments = await pool.query(
+        'SELECT COUNT(*)::int AS enrolled, COUNT(completed_at)::int AS completed FROM user_courses WHERE course_id = $1',
+        [courseId]
+      );
+      // One row per learner who finished, for the median
+      const finished = await pool.query(
+        `SELECT enrolled_at, completed_at FROM user_courses
+          WHERE course_id = $1 AND completed_at IS NOT NULL AND enrolled_at IS NOT NULL`,
+        [courseId]
+      );
+      const levels = await pool.query(
+        `SELECT l.id, l.title, l.position, COUNT(uc.user_id)::int AS completed
+           FROM levels l
+           LEFT JOIN level_completions lc ON lc.level_id = l.id
+           LEFT JOIN user_courses uc ON uc.user_id = lc.user_id AND uc.course_id = l.course_id
+          WHERE l.course_id = $1 AND l.status = 'published'
+          GROUP BY l.id, l.title, l.position
+          ORDER BY l.position, l.id`,
+        [courseId]
+      );
+      // The first published level each unfinished learner has not completed
+      const stops = await pool.query(
+        `SELECT level_id, COUNT(*)::int AS learners FROM (
+           SELECT DISTINCT ON (uc.user_id) uc.user_id, l.id AS level_id
+             FROM user_courses uc
+             JOIN levels l ON l.course_id = uc.course_id AND l.status = 'published'
+             LEFT JOIN level_completions lc ON lc.level_id = l.id AND lc.user_id = uc.user_id
+            WHERE uc.course_id = $1 AND uc.completed_at IS NULL AND lc.user_id IS NULL
+            ORDER BY uc.user_id, l.position, l.id
+         ) stops
+         GROUP BY level_id`,
+        [courseId]
+      );
+      const submissions = await pool.query(
+        `SELECT s.level_id, s.status, COUNT(*)::int AS count
+           FROM submissions s JOIN levels l ON l.id = s.level_id
+          WHERE l.course_id = $1
+          GROUP BY s.level_id, s.status`,
+        [courseId]
+      );
+      return {
+        ...enrollments.rows[0],
+        finishSeconds: finished.rows.map((row) => (row.completed_at - row.enrolled_at) / 1000),
+        levels: levels.rows,
+        stops: stops.rows.map((row) => ({ levelId: row.level_id, learners: row.learners })),
+        submissions: submissions.rows.map((row) => ({ levelId: row.level_id, status: row.status, count: row.count })),
+      };
+    },
+
+    // Everything a user did that left a timestamp, oldest first (see
+    // sortActivity in lib/analytics.js). Returns null for an unknown
+    // user.
+    async listUserActivity(userId) {
+      if (!(await this.getUser(userId))) return null;
+      const result = await pool.query(
+        `SELECT e.*, c.title AS course_title, l.title AS level_title FROM (
+           SELECT 'enrolled' AS type, uc.enrolled_at AS at, uc.course_id, NULL::int AS level_id,
+                  NULL::int AS submission_id, NULL::text AS status, NULL::int AS score
+             FROM user_courses uc WHERE uc.user_id = $1
+           UNION ALL
+           SELECT 'course_completed', uc.completed_at, uc.course_id, NULL::int, NULL::int, NULL::text, NULL::int
+             FROM user_courses uc WHERE uc.user_id = $1
+           UNION ALL
+           SELECT 'level_completed', lc.completed_at, l.course_id, lc.level_id, NULL::int, NULL::text, NULL::int
+             FROM level_completions lc JOIN levels l ON l.id = lc.level_id WHERE lc.user_id = $1
+           UNION ALL
+           SELECT 'submitted', s.created_at, l.course_id, s.level_id, s.id, NULL::text, NULL::int
+             FROM submissions s JOIN levels l ON l.id = s.level_id WHERE s.user_id = $1
+           UNION ALL
+           SELECT 'reviewed', s.reviewed_at, l.course_id, s.level_id, s.id, s.status, s.grade
+             FROM submissions s JOIN levels l ON l.id = s.level_id WHERE s.user_id = $1
+           UNION ALL
+           SELECT 'quiz_submitted', a.submitted_at, l.course_id, a.level_id, NULL::int,
+                  CASE WHEN a.passed THEN 'passed' ELSE 'failed' END, a.score
+             FROM quiz_attempts a JOIN levels l ON l.id = a.level_id WHERE a.user_id = $1
+         ) e
+         LEFT JOIN courses c ON c.id = e.course_id
+         LEFT JOIN levels l ON l.id = e.level_id
+         WHERE e.at IS NOT NULL`,
+        [userId]
+      );
+      return sortActivity(result.rows.map((row) => ({
+        type: row.type,
+        at: row.at,
+        courseId: row.course_id,
+        courseTitle: row.course_title,
+        levelId: row.level_id,
+        levelTitle: row.level_title,
+        submissionId: row.submission_id,
+        status: row.status,
+        score: row.score,
+      })));
+    },
+
+    // Certificates (see lib/certificates.js)
+
+    // Issue the certificate of a user who completed a course, unless they
+    // have one already, e.g. for courses completed before certificates
+    // existed. Returns the certificate, or null when the user has not
+    // completed the course.
+    async issueCertificate(userId, courseId) {
+      return issueCertificate(pool, userId, courseId);
+    },
+
+    async getCertificate(id) {
+      const result = await pool.query('SELECT * FROM certificates WHERE id = $1', [id]);
+      return toCertificate(result.rows[0]);
+    },
+
+    // A page of certificates (see lib/listing.js) matching all given
+    // filters { userId, courseId, status }, searched by name and course
+    // title
+    async findCertificates(options = {}) {
+      const { rows, total } = await findPage({
+        select: '*',
+        from: 'certificates',
+        idColumn: 'id',
+        search: ['user_name', 'course_title', 'id'],
+        sorts: { issuedAt: ['issued_at', 'id'] },
+      }, [
+        ['user_id = ?', options.userId],
+        ['course_id = ?', options.courseId],
+        ['(revoked_at IS NOT NULL) = ?', options.status === undefined ? undefined : options.status === 'revoked'],
+      ], options);
+      return { items: rows.map(toCertificate), total };
+    },
+
+    // Revoke a certificate { reason, revokedBy }. Returns null when it
+    // does not exist or is revoked already.
+    async revokeCertificate(id, { reason = null, revokedBy }) {
+      const result = await pool.query(
+        `UPDATE certificates SET revoked_at = NOW(), revoked_by = $1, revoke_reason = $2
+          WHERE id = $3 AND revoked_at IS NULL RETURNING *`,
+        [revokedBy, reason, id]
+      );
+      return toCertificate(result.rows[0]);
+    },
+
+    // Activity events (see lib/events.js)
+
+    // Append an event { userId, type, courseId, levelId, submissionId,
+    // data } to the log
+    async appendEvent({
+      userId, type, courseId = null, levelId = null, submissionId = null, data = null,
+    }) {
+      const result = await pool.query(
+        `INSERT INTO events (user_id, type, course_id, level_id, submission_id, data)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [userId, type, courseId, levelId, submissionId, json(data)]
+      );
+      return toEvent(result.rows[0]);
+    },
+
+    // A page of events (see lib/listing.js) matching all given filters
+    // { userId, type, courseId, since, until }; since and until are ISO
+    // times, since inclusive and until exclusive
+    async findEvents(options = {}) {
+      const { rows, total } = await findPage({
+        select: '*',
+        from: 'events',
+        idColumn: 'id',
+        search: [],
+        sorts: { createdAt: ['created_at'] },
+      }, [
+        ['user_id = ?', options.userId],
+        ['type = ?', options.type],
+        ['course_id = ?', options.courseId],
+        ['created_at >= ?', options.since],
+        ['created_at < ?', options.until],
+      ], options);
+      return { items: rows.map(toEvent), total };
+    },
+
+    // Knowledge base
+
+    // Knowledge articles matching all given filters { levelId, courseId,
+    // tag }, in id order
+    async listKnowledge({ levelId, courseId, tag } = {}) {
+      const conditions = [];
+      const values = [];
+      if (levelId !== undefined) {
+        values.push(levelId);
+        conditions.push(`id IN (SELECT knowledge_id FROM knowledge_levels WHERE level_id = $${values.length})`);
+      }
+      if (courseId !== undefined) {
+        values.push(courseId);
+        conditions.push(`id IN (SELECT knowledge_id FROM knowledge_courses WHERE course_id = $${values.length})`);
+      }
+      if (tag !== undefined) {
+        values.push(tag);
+        conditions.push(`$${values.length} = ANY(tags)`);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const result = await pool.query(`SELECT * FROM knowledge_base ${where} ORDER BY id`, values);
+      return withKnowledgeLinks(pool, result.rows);
+    },
+
+    async getKnowledge(id) {
+      const result = await pool.query('SELECT * FROM knowledge_base WHERE id = $1', [id]);
+      return (await withKnowledgeLinks(pool, result.rows))[0] || null;
+    },
+
+    async createKnowledge({
+      title, content = '', tags = [], levelIds = [], courseIds = [], ownerId = null,
+    }) {
+      return withTransaction(async (client) => {
+        const result = await client.query(
+          'INSERT INTO knowledge_base (title, content, tags, owner_id) VALUES ($1, $2, $3, $4) RETURNING *',
+          [title, content, tags, ownerId]
+        );
+        const { id } = result.rows[0];
+        await client.query(`UPDATE knowledge_base SET search_vector = ${KNOWLEDGE_SEARCH_VECTOR} WHERE id = $1`, [id]);
+        await writeKnowledgeLinks(client, 'knowledge_levels', 'level_id', id, levelIds);
+        await writeKnowledgeLinks(client, 'knowledge_courses', 'course_id', id, courseIds);
+        return (await withKnowledgeLinks(client, result.rows))[0];
+      });
+    },
+
+    async updateKnowledge(id, changes) {
+      const { sql, values } = setClause({ title: changes.title, content: changes.content, tags: changes.tags });
+      return withTransaction(async (client) => {
+        const result = sql
+          ? await client.query(`UPDATE knowledge_base SET ${sql} WHERE id = $${values.length + 1} RETURNING *`, [...values, id])
+          : await client.query('SELECT * FROM knowledge_base WHERE id = $1', [id]);
+        if (result.rows.length === 0) return null;
+        if (sql) {
+          await client.query(`UPDATE knowledge_base SET search_vector = ${KNOWLEDGE_SEARCH_VECTOR} WHERE id = $1`, [id]);
+        }
+        if (changes.levelIds !== undefined) {
+          await writeKnowledgeLinks(client, 'knowledge_levels', 'level_id', id, changes.levelIds);
+        }
+        if (changes.courseIds !== undefined) {
+          await writeKnowledgeLinks(client, 'knowledge_courses', 'course_id', id, changes.courseIds);
+        }
+        return (await withKnowledgeLinks(client, result.rows))[0];
+      });
+    },
+
+    // Delete an article with its links (ON DELETE CASCADE)
+    async deleteKnowledge(id) {
+      const result = await pool.query('DELETE FROM knowledge_base WHERE id = $1 RETURNING id', [id]);
+      return result.rows.length > 0;
+    },
+
+    // Link a level to exactly the given knowledge articles
+    async setLevelKnowledge(levelId, knowledgeIds) {
+      await withTransaction(async (client) => {
+        await client.query('DELETE FROM knowledge_levels WHERE level_id = $1', [levelId]);
+        for (const knowledgeId of knowledgeIds) {
+          await client.query(
+            'INSERT INTO knowledge_levels (knowledge_id, level_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+            [knowledgeId, levelId]
+          );
+        }
+      });
+    },
+
+    // Articles matching a search query, best first, each with its `rank`.
+    // websearch_to_tsquery reads the query like lib/knowledge.js does:
+    // every word must match and "-word" must not.
+    async searchKnowledge(query, { limit = 20 } = {}) {
+      const result = await pool.query(
+        `SELECT *, ts_rank(search_vector, websearch_to_tsquery('english', $1)) AS rank
+           FROM knowledge_base
+          WHERE search_vector @@ websearch_to_tsquery('english', $1)
+          ORDER BY rank DESC, id
+          LIMIT $2`,
+        [query, limit]
+      );
+      const articles = await withKnowledgeLinks(pool, result.rows);
+      return articles.map((article, i) => ({ ...article, rank: result.rows[i].rank }));
+    },
+  };
+}
+
+module.exports = { createPgStore, KNOWLEDGE_SEARCH_VECTOR };
@@ -0,0 +1,41 @@
+/*
+ * Submission review states
+ *
+ * New submissions are `pending`. Admins and the instructor owning the
+ * course review them:
+ *
+ * - approved: the work is accepted and the level counts as completed
+ * - rejected: the work is not accepted
+ * - resubmit_requested: the learner should improve it and submit again
+ *
+ * A review may carry a grade from 0 to 100 and feedback text.
+ */
+
+const STATUSES = ['pending', 'approved', 'rejected', 'resubmit_requested'];
+const REVIEW_STATUSES = ['approved', 'rejected', 'resubmit_requested'];
+
+function isValidStatus(status) {
+  return STATUSES.includes(status);
+}
+
+// Validate a review payload { status, grade, feedback }
+function validateReview(body) {
+  if (!REVIEW_STATUSES.includes(body.status)) {
+    return `Status must be one of: ${REVIEW_STATUSES.join(', ')}.`;
+  }
+  if (body.grade !== undefined && body.grade !== null
+      && !(Number.isInteger(body.grade) && body.grade >= 0 && body.grade <= 100)) {
+    return 'Grade must be a whole number from 0 to 100.';
+  }
+  if (body.feedback !== undefined && body.feedback !== null && typeof body.feedback !== 'string') {
+    return 'Feedback must be text.';
+  }
+  return null;
+}
+
+module.exports = {
+  STATUSES,
+  REVIEW_STATUSES,
+  isValidStatus,
+  validateReview,
+};
@@ -0,0 +1,33 @@
+/*
+ * Tags of courses and knowledge articles
+ *
+ * Tags are free-form words kept trimmed and lowercase, without repeats,
+ * so that ?tag= filters match however an author typed them.
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+// Tags trimmed, lowercased and without repeats or blanks
+function normalizeTags(tags) {
+  return [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Validate the `tags` of a payload. Returns an error message or null.
+function validateTags(tags) {
+  if (tags === undefined) return null;
+  if (!Array.isArray(tags) || !tags.every((t) => typeof t === 'string')) {
+    return 'Tags must be a list of words.';
+  }
+  const normalized = normalizeTags(tags);
+  if (normalized.length > MAX_TAGS) return `At most ${MAX_TAGS} tags are allowed.`;
+  if (normalized.some((t) => t.length > MAX_TAG_LENGTH)) return `Tags can be at most ${MAX_TAG_LENGTH} characters long.`;
+  return null;
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  normalizeTags,
+  validateTags,
+};
@@ -0,0 +1,628 @@
+const fs = require('fs');
+const path = require('path');
+const { hashPassword } = require('./password');
+const { legacyRole } = require('./roles');
+const { completeLegacyProgress } = require('./progress');
+const { createJsonFile, createJsonLog, parseLines } = require('./store/jsonFile');
+const { withTransaction } = require('./migrations');
+const { KNOWLEDGE_SEARCH_VECTOR } = require('./store/pg');
+
+/*
+ * Moving data between the JSON store and Postgres
+ *
+ * importJsonData copies the files of a JSON data directory (see
+ * lib/store/json.js) into a migrated database: users with their course
+ * enrollments and profile picture URLs, courses with their tags and
+ * prerequisites, levels, revisions of course and level text, completed
+ * levels, submissions with their file records, quiz attempts,
+ * enrollment requests, knowledge base articles with their tags and
+ * links, certificates and the activity event log. Ids are kept, so links
+ * between records and URLs such as /course.html?id=3 stay valid.
+ * Uploaded pictures and submission files stay where they are
+ * (public/uploads and the file store), which both servers share.
+ * Password reset and email verification links are not carried over;
+ * users ask for new ones.
+ *
+ * A record whose id is already taken by a different row, or a user
+ * whose email belongs to another account, is a conflict: it is reported
+ * and skipped along with everything that depends on it. Records already
+ * present unchanged are skipped quietly, so an import can be re-run.
+ * The import runs in one transaction.
+ *
+ * exportJsonData writes the database back out in the JSON store's
+ * format, for backups or for moving back to server.js.
+ */
+
+// Data file of each kind of record
+const FILES = {
+  users: 'users.json',
+  courses: 'courses.json',
+  levels: 'levels.json',
+  revisions: 'revisions.json',
+  completions: 'completions.json',
+  submissions: 'submissions.json',
+  submissionFiles: 'submission_files.json',
+  quizAttempts: 'quiz_attempts.json',
+  enrollmentRequests: 'enrollment_requests.json',
+  knowledge: 'knowledge.json',
+  certificates: 'certificates.json',
+  events: 'events.jsonl',
+};
+
+// Data directories from before the event log was a log keep it here
+const OLD_EVENTS_FILE = 'events.json';
+
+// The records of a data file, one JSON array or a log with one per line
+function readRecords(file) {
+  if (!fs.existsSync(file)) return [];
+  const text = fs.readFileSync(file, 'utf8');
+  const records = file.endsWith('.jsonl') ? parseLines(text, file) : JSON.parse(text);
+  if (!Array.isArray(records)) {
+    throw new Error(`${file} does not contain a JSON array`);
+  }
+  return records;
+}
+
+// Read the records of a JSON data directory. Missing files count as
+// empty; corrupt files are an error rather than silently empty. Progress
+// percentages from before level completions are converted as the JSON
+// store does (see lib/progress.js).
+function readJsonData(dataDir) {
+  const data = {};
+  for (const name of Object.keys(FILES)) {
+    data[name] = readRecords(path.join(dataDir, FILES[name]));
+  }
+  if (!fs.existsSync(path.join(dataDir, FILES.events))) {
+    data.events = readRecords(path.join(dataDir, OLD_EVENTS_FILE));
+  }
+  completeLegacyProgress(data.users, data.levels, data.completions);
+  return data;
+}
+
+async function rowsById(client, table) {
+  const result = await client.query(`SELECT * FROM ${table}`);
+  return new Map(result.rows.map((row) => [row.id, row]));
+}
+
+// Move a table's id sequence past the imported ids
+async function bumpSequence(client, table) {
+  await client.query(
+    `SELECT setval(pg_get_serial_sequence('${table}', 'id'), (SELECT COALESCE(MAX(id), 0) + 1 FROM ${table}), false)`
+  );
+}
+
+// Import the records returned by readJsonData. Returns a report of the
+// form { imported: { users: n, ... }, skipped: { ... }, conflicts: [...] }.
+async function importJsonData(client, data) {
+  const report = { imported: {}, skipped: {}, conflicts: [] };
+  for (const name of [...Object.keys(FILES), 'enrollments']) {
+    report.imported[name] = 0;
+    report.skipped[name] = 0;
+  }
+  const conflict = (kind, id, reason) => report.conflicts.push({ kind, id, reason });
+
+  await withTransaction(client, async () => {
+    // Ids present in the database once the import is done
+    const userIds = new Set();
+    const courseIds = new Set();
+    const levelIds = new Set();
+    const revisionIds = new Set();
+    const submissionIds = new Set();
+
+    const users = await rowsById(client, 'users');
+    const emails = new Map([...users.values()].map((row) => [row.email.toLowerCase(), row.id]));
+    for (const user of data.users) {
+      const existing = users.get(user.id);
+      if (existing) {
+        if (existing.email.toLowerCase() === user.email.toLowerCase()) {
+          userIds.add(user.id);
+          report.skipped.users++;
+        } else {
+          conflict('user', user.id, `id is taken by ${existing.email}`);
+        }
+        continue;
+      }
+      const owner = emails.get(user.email.toLowerCase());
+      if (owner !== undefined) {
+        conflict('user', user.id, `email ${user.email} belongs to user ${owner}`);
+        continue;
+      }
+      // Accounts from before password hashing only have a plaintext
+      // password, and those from before roles no role (see lib/roles.js)
+      const passwordHash = user.passwordHash || await hashPassword(String(user.password || ''));
+      await client.query(
+        `INSERT INTO users (id, name, email, password_hash, role, profile_picture, created_at, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamp, NOW()), $8::timestamp)`,
+        [user.id, user.name || null, user.email, passwordHash, user.role || legacyRole(user), user.profilePicture || null, user.createdAt || null,
+          user.emailVerifiedAt || null]
+      );
+      emails.set(user.email.toLowerCase(), user.id);
+      userIds.add(user.id);
+      report.imported.users++;
+    }
+
+    const courses = await rowsById(client, 'courses');
+    for (const course of data.courses) {
+      const existing = courses.get(course.id);
+      if (existing) {
+        if (existing.title === course.title) {
+          courseIds.add(course.id);
+          report.skipped.courses++;
+        } else {
+          conflict('course', course.id, `id is taken by "${existing.title}"`);
+        }
+        continue;
+      }
+      const ownerId = course.ownerId && userIds.has(course.ownerId) ? course.ownerId : null;
+      await client.query(
+        `INSERT INTO courses (id, title, description, content, image, owner_id, status, tags, sequential, enrollment_policy, seat_limit)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          course.id, course.title, course.description || null, course.content || null, course.image || null, ownerId,
+          course.status || 'published', course.tags || [], course.sequential || false, course.enrollmentPolicy || 'open',
+          course.seatLimit || null,
+        ]
+      );
+      courseIds.add(course.id);
+      report.imported.courses++;
+    }
+
+    // Prerequisites can point at courses later in the file
+    for (const course of data.courses) {
+      if (!courseIds.has(course.id)) continue;
+      for (const prerequisiteId of course.prerequisiteIds || []) {
+        if (!courseIds.has(prerequisiteId)) {
+          conflict('prerequisite', `${course.id}/${prerequisiteId}`, `course ${prerequisiteId} was not imported`);
+          continue;
+        }
+        await client.query(
+          'INSERT INTO course_prerequisites (course_id, prerequisite_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [course.id, prerequisiteId]
+        );
+      }
+    }
+
+    const levels = await rowsById(client, 'levels');
+    for (const level of data.levels) {
+      const existing = levels.get(level.id);
+      if (existing) {
+        if (existing.course_id === level.courseId && existing.title === level.title) {
+          levelIds.add(level.id);
+          report.skipped.levels++;
+        } else {
+          conflict('level', level.id, `id is taken by "${existing.title}"`);
+        }
+        continue;
+      }
+      if (!courseIds.has(level.courseId)) {
+        conflict('level', level.id, `course ${level.courseId} was not imported`);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO levels (id, course_id, title, description, content, type, quiz, exercise, status, position)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          level.id, level.courseId, level.title, level.description || null, level.content || null,
+          level.type || 'assignment', level.quiz ? JSON.stringify(level.quiz) : null,
+          level.exercise ? JSON.stringify(level.exercise) : null, level.status || 'published', level.position || 0,
+        ]
+      );
+      levelIds.add(level.id);
+      report.imported.levels++;
+    }
+
+    // Revisions can point at the revision they restored, which comes
+    // before them
+    const revisions = await rowsById(client, 'content_revisions');
+    for (const revision of [...data.revisions].sort((a, b) => a.id - b.id)) {
+      const existing = revisions.get(revision.id);
+      if (existing) {
+        if (existing.course_id === revision.courseId && existing.level_id === revision.levelId) {
+          revisionIds.add(revision.id);
+          report.skipped.revisions++;
+        } else {
+          conflict('revision', revision.id, 'id is taken by another revision');
+        }
+        continue;
+      }
+      if (!courseIds.has(revision.courseId) || (revision.levelId !== null && !levelIds.has(revision.levelId))) {
+        conflict('revision', revision.id, `course ${revision.courseId} or level ${revision.levelId} was not imported`);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO content_revisions
+           (id, course_id, level_id, title, description, content, action, author_id, restored_from, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::timestamp, NOW()))`,
+        [
+          revision.id, revision.courseId, revision.levelId, revision.title, revision.description || null,
+          revision.content || null, revision.action, userIds.has(revision.authorId) ? revision.authorId : null,
+          revisionIds.has(revision.restoredFrom) ? revision.restoredFrom : null, revision.createdAt || null,
+        ]
+      );
+      revisionIds.add(revision.id);
+      report.imported.revisions++;
+    }
+
+    // Enrollments live on the user records in JSON
+    for (const user of data.users) {
+      if (!userIds.has(user.id)) continue;
+      for (const entry of user.courses || []) {
+        if (!courseIds.has(entry.id)) {
+          conflict('enrollment', `${user.id}/${entry.id}`, `course ${entry.id} was not imported`);
+          continue;
+        }
+        const result = await client.query(
+          `INSERT INTO user_courses (user_id, course_id, enrolled_at, completed_at) VALUES ($1, $2, $3::timestamp, $4::timestamp)
+           ON CONFLICT (user_id, course_id) DO NOTHING RETURNING user_id`,
+          [user.id, entry.id, entry.enrolledAt || null, entry.completedAt || null]
+        );
+        if (result.rows.length > 0) report.imported.enrollments++;
+        else report.skipped.enrollments++;
+      }
+    }
+
+    for (const request of data.enrollmentRequests) {
+      if (!userIds.has(request.userId) || !courseIds.has(request.courseId)) {
+        conflict('enrollmentRequest', `${request.userId}/${request.courseId}`,
+          `user ${request.userId} or course ${request.courseId} was not imported`);
+        continue;
+      }
+      const result = await client.query(
+        `INSERT INTO enrollment_requests (user_id, course_id, status, created_at)
+         VALUES ($1, $2, $3, COALESCE($4::timestamp, NOW()))
+         ON CONFLICT (user_id, course_id) DO NOTHING RETURNING user_id`,
+        [request.userId, request.courseId, request.status, request.createdAt || null]
+      );
+      if (result.rows.length > 0) report.imported.enrollmentRequests++;
+      else report.skipped.enrollmentRequests++;
+    }
+
+    for (const completion of data.completions) {
+      if (!userIds.has(completion.userId) || !levelIds.has(completion.levelId)) {
+        conflict('completion', `${completion.userId}/${completion.levelId}`,
+          `user ${completion.userId} or level ${completion.levelId} was not imported`);
+        continue;
+      }
+      const result = await client.query(
+        `INSERT INTO level_completions (user_id, level_id, completed_at) VALUES ($1, $2, COALESCE($3::timestamp, NOW()))
+         ON CONFLICT (user_id, level_id) DO NOTHING RETURNING user_id`,
+        [completion.userId, completion.levelId, completion.completedAt || null]
+      );
+      if (result.rows.length > 0) report.imported.completions++;
+      else report.skipped.completions++;
+    }
+
+    const submissions = await rowsById(client, 'submissions');
+    for (const submission of data.submissions) {
+      const existing = submissions.get(submission.id);
+      if (existing) {
+        if (existing.user_id === submission.userId && existing.level_id === submission.levelId) {
+          submissionIds.add(submission.id);
+          report.skipped.submissions++;
+        } else {
+          conflict('submission', submission.id, 'id is taken by another submission');
+        }
+        continue;
+      }
+      if (!userIds.has(submission.userId) || !levelIds.has(submission.levelId)) {
+        conflict('submission', submission.id, `user ${submission.userId} or level ${submission.levelId} was not imported`);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO submissions
+           (id, user_id, level_id, content, status, reviewer_id, grade, feedback, reviewed_at, test_results, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::timestamp, $10, COALESCE($11::timestamp, NOW()))`,
+        [
+          submission.id, submission.userId, submission.levelId, submission.content,
+          submission.status || 'pending', userIds.has(submission.reviewerId) ? submission.reviewerId : null,
+          submission.grade ?? null, submission.feedback ?? null, submission.reviewedAt || null,
+          submission.testResults ? JSON.stringify(submission.testResults) : null, submission.createdAt || null,
+        ]
+      );
+      submissionIds.add(submission.id);
+      report.imported.submissions++;
+    }
+
+    const submissionFiles = await rowsById(client, 'submission_files');
+    for (const file of data.submissionFiles) {
+      const existing = submissionFiles.get(file.id);
+      if (existing) {
+        if (existing.storage_key === file.storageKey) {
+          report.skipped.submissionFiles++;
+        } else {
+          conflict('submission file', file.id, `id is taken by ${existing.name}`);
+        }
+        continue;
+      }
+      if (!submissionIds.has(file.submissionId)) {
+        conflict('submission file', file.id, `submission ${file.submissionId} was not imported`);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO submission_files (id, submission_id, name, mime_type, size, storage_key, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::timestamp, NOW()))`,
+        [file.id, file.submissionId, file.name, file.mimeType, file.size, file.storageKey, file.createdAt || null]
+      );
+      report.imported.submissionFiles++;
+    }
+
+    const quizAttempts = await rowsById(client, 'quiz_attempts');
+    for (const attempt of data.quizAttempts) {
+      const existing = quizAttempts.get(attempt.id);
+      if (existing) {
+        if (existing.user_id === attempt.userId && existing.level_id === attempt.levelId) {
+          report.skipped.quizAttempts++;
+        } else {
+          conflict('quiz attempt', attempt.id, 'id is taken by another attempt');
+        }
+        continue;
+      }
+      if (!userIds.has(attempt.userId) || !levelIds.has(attempt.levelId)) {
+        conflict('quiz attempt', attempt.id, `user ${attempt.userId} or level ${attempt.levelId} was not imported`);
+        continue;
+      }
+      await client.query(
+        `INSERT INTO quiz_attempts (id, user_id, level_id, questions, answers, score, passed, started_at, submitted_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamp, NOW()), $9::timestamp)`,
+        [
+          attempt.id, attempt.userId, attempt.levelId, JSON.stringify(attempt.questions),
+          attempt.answers ? JSON.stringify(attempt.answers) : null, attempt.score ?? null, attempt.passed ?? null,
+          attempt.startedAt || null, attempt.submittedAt || null,
+        ]
+      );
+      report.imported.quizAttempts++;
+    }
+
+    const knowledge = await rowsById(client, 'knowledge_base');
+    for (const entry of data.knowledge) {
+      const existing = knowledge.get(entry.id);
+      if (existing) {
+        if (existing.title === entry.title) {
+          report.skipped.knowledge++;
+        } else {
+          conflict('knowledge', entry.id, `id is taken by "${existing.title}"`);
+        }
+        continue;
+      }
+      const ownerId = entry.ownerId && userIds.has(entry.ownerId) ? entry.ownerId : null;
+      await client.query(
+        'INSERT INTO knowledge_base (id, title, content, tags, owner_id) VALUES ($1, $2, $3, $4, $5)',
+        [entry.id, entry.title, entry.content, entry.tags || [], ownerId]
+      );
+      // Links to levels and courses that were not imported are dropped
+      for (const levelId of (entry.levelIds || []).filter((id) => levelIds.has(id))) {
+        await client.query('INSERT INTO knowledge_levels (knowledge_id, level_id) VALUES ($1, $2)', [entry.id, levelId]);
+      }
+      for (const courseId of (entry.courseIds || []).filter((id) => courseIds.has(id))) {
+        await client.query('INSERT INTO knowledge_courses (knowledge_id, course_id) VALUES ($1, $2)', [entry.id, courseId]);
+      }
+      await client.query(`UPDATE knowledge_base SET search_vector = ${KNOWLEDGE_SEARCH_VECTOR} WHERE id = $1`, [entry.id]);
+      report.imported.knowledge++;
+    }
+
+    const certificates = await rowsById(client, 'certificates');
+    for (const certificate of data.certificates) {
+      const existing = certificates.get(certificate.id);
+      if (existing) {
+        if (existing.user_id === certificate.userId) {
+          report.skipped.certificates++;
+        } else {
+          conflict('certificate', certificate.id, 'id is taken by another certificate');
+        }
+        continue;
+      }
+      if (!userIds.has(certificate.userId)) {
+        conflict('certificate', certificate.id, `user ${certificate.userId} was not imported`);
+        continue;
+      }
+      // Certificates of courses that were not imported stay verifiable
+      await client.query(
+        `INSERT INTO certificates
+           (id, user_id, course_id, user_name, course_title, completed_at, issued_at, revoked_at, revoked_by, revoke_reason)
+         VALUES ($1, $2, $3, $4, $5, $6::timestamp, COALESCE($7::timestamp, NOW()), $8::timestamp, $9, $10)`,
+        [
+          certificate.id, certificate.userId, courseIds.has(certificate.courseId) ? certificate.courseId : null,
+          certificate.userName, certificate.courseTitle, certificate.completedAt || null, certificate.issuedAt || null,
+          certificate.revokedAt || null, userIds.has(certificate.revokedBy) ? certificate.revokedBy : null,
+          certificate.revokeReason || null,
+        ]
+      );
+      report.imported.certificates++;
+    }
+
+    // Event ids are BIGSERIAL, which pg returns as text
+    const events = new Map((await client.query('SELECT id, user_id, type FROM events')).rows.map((row) => [Number(row.id), row]));
+    for (const event of data.events) {
+      const existing = events.get(event.id);
+      if (existing) {
+        if (existing.user_id === event.userId && existing.type === event.type) {
+          report.skipped.events++;
+        } else {
+          conflict('event', event.id, 'id is taken by another event');
+        }
+        continue;
+      }
+      if (!userIds.has(event.userId)) {
+        conflict('event', event.id, `user ${event.userId} was not imported`);
+        continue;
+      }
+      // Course, level and submission ids are history and kept as they are
+      await client.query(
+        `INSERT INTO events (id, user_id, type, course_id, level_id, submission_id, data, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamp, NOW()))`,
+        [
+          event.id, event.userId, event.type, event.courseId ?? null, event.levelId ?? null, event.submissionId ?? null,
+          event.data ? JSON.stringify(event.data) : null, event.createdAt || null,
+        ]
+      );
+      report.imported.events++;
+    }
+
+    for (const table of ['users', 'courses', 'levels', 'content_revisions', 'submissions', 'submission_files', 'quiz_attempts', 'knowledge_base',
+      'events']) {
+      await bumpSequence(client, table);
+    }
+  });
+
+  return report;
+}
+
+const iso = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Read the database into records in the JSON store's format
+async function readPgData(client) {
+  const query = async (sql) => (await client.query(sql)).rows;
+  const enrollments = await query('SELECT * FROM user_courses ORDER BY user_id, course_id');
+  const prerequisites = await query('SELECT * FROM course_prerequisites ORDER BY course_id, prerequisite_id');
+  const knowledgeLevels = await query('SELECT * FROM knowledge_levels ORDER BY knowledge_id, level_id');
+  const knowledgeCourses = await query('SELECT * FROM knowledge_courses ORDER BY knowledge_id, course_id');
+
+  return {
+    users: (await query('SELECT * FROM users ORDER BY id')).map((row) => ({
+      id: row.id,
+      name: row.name || '',
+      email: row.email,
+      passwordHash: row.password_hash,
+      role: row.role,
+      courses: enrollments
+        .filter((entry) => entry.user_id === row.id)
+        .map((entry) => ({
+          id: entry.course_id,
+          enrolledAt: iso(entry.enrolled_at) || null,
+          completedAt: iso(entry.completed_at) || null,
+        })),
+      profilePicture: row.profile_picture || null,
+      createdAt: iso(row.created_at),
+      emailVerifiedAt: iso(row.email_verified_at) || null,
+    })),
+    courses: (await query('SELECT * FROM courses ORDER BY id')).map((row) => ({
+      id: row.id,
+      title: row.title,
+      description: row.description || '',
+      content: row.content || '',
+      image: row.image || null,
+      ownerId: row.owner_id,
+      status: row.status,
+      tags: row.tags || [],
+      sequential: row.sequential,
+      prerequisiteIds: prerequisites.filter((p) => p.course_id === row.id).map((p) => p.prerequisite_id),
+      enrollmentPolicy: row.enrollment_policy,
+      seatLimit: row.seat_limit,
+    })),
+    levels: (await query('SELECT * FROM levels ORDER BY id')).map((row) => ({
+      id: row.id,
+      courseId: row.course_id,
+      title: row.title,
+      description: row.description || '',
+      content: row.content || '',
+      type: row.type,
+      quiz: row.quiz || null,
+      exercise: row.exercise || null,
+      status: row.status,
+      position: row.position,
+    })),
+    revisions: (await query('SELECT * FROM content_revisions ORDER BY id')).map((row) => ({
+      id: row.id,
+      courseId: row.course_id,
+      levelId: row.level_id,
+      title: row.title,
+      description: row.description || '',
+      content: row.content || '',
+      action: row.action,
+      authorId: row.author_id,
+      restoredFrom: row.restored_from,
+      createdAt: iso(row.created_at),
+    })),
+    completions: (await query('SELECT * FROM level_completions ORDER BY completed_at, user_id, level_id')).map((row) => ({
+      userId: row.user_id,
+      levelId: row.level_id,
+      completedAt: iso(row.completed_at),
+    })),
+    submissions: (await query('SELECT * FROM submissions ORDER BY id')).map((row) => ({
+      id: row.id,
+      userId: row.user_id,
+      levelId: row.level_id,
+      content: row.content,
+      status: row.status,
+      reviewerId: row.reviewer_id,
+      grade: row.grade,
+      feedback: row.feedback,
+      reviewedAt: iso(row.reviewed_at),
+      testResults: row.test_results,
+      createdAt: iso(row.created_at),
+    })),
+    submissionFiles: (await query('SELECT * FROM submission_files ORDER BY id')).map((row) => ({
+      id: row.id,
+      submissionId: row.submission_id,
+      name: row.name,
+      mimeType: row.mime_type,
+      size: row.size,
+      storageKey: row.storage_key,
+      createdAt: iso(row.created_at),
+    })),
+    quizAttempts: (await query('SELECT * FROM quiz_attempts ORDER BY id')).map((row) => ({
+      id: row.id,
+      userId: row.user_id,
+      levelId: row.level_id,
+      questions: row.questions,
+      answers: row.answers,
+      score: row.score,
+      passed: row.passed,
+      startedAt: iso(row.started_at),
+      submittedAt: iso(row.submitted_at) || null,
+    })),
+    enrollmentRequests: (await query('SELECT * FROM enrollment_requests ORDER BY created_at, user_id')).map((row) => ({
+      userId: row.user_id,
+      courseId: row.course_id,
+      status: row.status,
+      createdAt: iso(row.created_at),
+    })),
+    knowledge: (await query('SELECT * FROM knowledge_base ORDER BY id')).map((row) => ({
+      id: row.id,
+      title: row.title,
+      content: row.content,
+      tags: row.tags || [],
+      levelIds: knowledgeLevels.filter((l) => l.knowledge_id === row.id).map((l) => l.level_id),
+      courseIds: knowledgeCourses.filter((c) => c.knowledge_id === row.id).map((c) => c.course_id),
+      ownerId: row.owner_id,
+    })),
+    certificates: (await query('SELECT * FROM certificates ORDER BY issued_at, id')).map((row) => ({
+      id: row.id,
+      userId: row.user_id,
+      courseId: row.course_id,
+      userName: row.user_name,
+      courseTitle: row.course_title,
+      completedAt: iso(row.completed_at) || null,
+      issuedAt: iso(row.issued_at),
+      revokedAt: iso(row.revoked_at) || null,
+      revokedBy: row.revoked_by,
+      revokeReason: row.revoke_reason,
+    })),
+    events: (await query('SELECT * FROM events ORDER BY id')).map((row) => ({
+      id: Number(row.id),
+      userId: row.user_id,
+      type: row.type,
+      courseId: row.course_id,
+      levelId: row.level_id,
+      submissionId: row.submission_id,
+      data: row.data,
+      createdAt: iso(row.created_at),
+    })),
+  };
+}
+
+// Write the database out as a JSON data directory. Returns the number
+// of records written per file.
+async function exportJsonData(client, dataDir) {
+  const data = await readPgData(client);
+  fs.mkdirSync(dataDir, { recursive: true });
+  const counts = {};
+  for (const name of Object.keys(FILES)) {
+    const create = FILES[name].endsWith('.jsonl') ? createJsonLog : createJsonFile;
+    create(path.join(dataDir, FILES[name])).replaceSync(data[name]);
+    counts[name] = data[name].length;
+  }
+  return counts;
+}
+
+module.exports = { readJsonData, importJsonData, readPgData, exportJsonData };
@@ -0,0 +1,73 @@
+/*
+ * Course prerequisites and sequential levels
+ *
+ * A course may name prerequisite courses (`prerequisiteIds`): its levels
+ * stay locked for a learner until every one of them is completed. A
+ * `sequential` course also keeps each level locked until the level
+ * before it is completed. The first level of a sequential course only
+ * waits for the prerequisites. Every level of an archived course is
+ * locked (see lib/publishing.js).
+ *
+ * Locks only apply to learners; admins and the course's owner see every
+ * level unlocked (see lib/routes/middleware.js).
+ */
+
+// Validate the course settings { sequential, prerequisiteIds } of a
+// payload. Returns an error message or null.
+function validateCourseRules(body) {
+  if (body.sequential !== undefined && typeof body.sequential !== 'boolean') {
+    return 'Sequential must be true or false.';
+  }
+  if (body.prerequisiteIds !== undefined
+      && !(Array.isArray(body.prerequisiteIds) && body.prerequisiteIds.every((id) => Number.isInteger(id)))) {
+    return 'prerequisiteIds must be a list of course ids.';
+  }
+  return null;
+}
+
+// True when making `prerequisiteIds` the prerequisites of `courseId`
+// would let a course depend on itself, directly or through others
+function createsCycle(courseId, prerequisiteIds, courses) {
+  const prerequisitesOf = new Map(courses.map((c) => [c.id, c.prerequisiteIds || []]));
+  const seen = new Set();
+  const pending = [...prerequisiteIds];
+  while (pending.length > 0) {
+    const id = pending.pop();
+    if (id === courseId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    pending.push(...(prerequisitesOf.get(id) || []));
+  }
+  return false;
+}
+
+// Prerequisites of a course the learner has not completed yet
+function missingPrerequisites(course, completedCourseIds) {
+  return (course.prerequisiteIds || []).filter((id) => !completedCourseIds.has(id));
+}
+
+// The course's levels, in order, with { locked, lockedReason }, where the
+// reason is 'archived', 'prerequisites', 'previous_level' or null
+//   completedLevelIds   Set of the learner's completed level ids
+//   completedCourseIds  Set of the learner's completed course ids
+function lockLevels(course, levels, completedLevelIds, completedCourseIds) {
+  const blocked = missingPrerequisites(course, completedCourseIds).length > 0;
+  return levels.map((level, index) => {
+    let lockedReason = null;
+    if (course.status === 'archived') {
+      lockedReason = 'archived';
+    } else if (blocked) {
+      lockedReason = 'prerequisites';
+    } else if (course.sequential && index > 0 && !completedLevelIds.has(levels[index - 1].id)) {
+      lockedReason = 'previous_level';
+    }
+    return { ...level, locked: lockedReason !== null, lockedReason };
+  });
+}
+
+module.exports = {
+  validateCourseRules,
+  createsCycle,
+  missingPrerequisites,
+  lockLevels,
+};
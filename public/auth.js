@@ -0,0 +1,89 @@
+/*
+ * Session helpers shared by the pages
+ *
+ * The login page stores the session token returned by the server in
+ * localStorage. Pages call the API through `apiFetch`, which sends the
+ * token as a bearer header, refreshes it shortly before it expires and
+ * returns to the login page when the server no longer accepts it.
+ */
+
+// Refresh the token when less than this many milliseconds remain
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+// Add the Authorization header for the current session
+function authHeaders(headers = {}) {
+  const token = localStorage.getItem('token');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// Remove everything the login page stored
+function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('tokenExpiresAt');
+  localStorage.removeItem('userId');
+  localStorage.removeItem('role');
+  localStorage.removeItem('userName');
+  localStorage.removeItem('profilePicture');
+}
+
+// Role returned at login. Pages only use it to decide what to show;
+// the server checks every request itself.
+function currentRole() {
+  return localStorage.getItem('role') || 'learner';
+}
+
+// Admins and instructors get the course management pages
+function isStaffRole() {
+  return currentRole() === 'admin' || currentRole() === 'instructor';
+}
+
+// Swap the token for a new one when it is about to expire
+async function refreshTokenIfNeeded() {
+  const expiresAt = Date.parse(localStorage.getItem('tokenExpiresAt'));
+  if (!localStorage.getItem('token') || !expiresAt || expiresAt - Date.now() > TOKEN_REFRESH_MARGIN) return;
+  const res = await fetch('/api/token/refresh', { method: 'POST', headers: authHeaders() });
+  if (!res.ok) return;
+  const data = await res.json();
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('tokenExpiresAt', data.expiresAt);
+}
+
+// fetch() for API calls made on behalf of the logged in user
+async function apiFetch(url, options = {}) {
+  await refreshTokenIfNeeded();
+  const res = await fetch(url, { ...options, headers: authHeaders(options.headers) });
+  if (res.status === 401) {
+    clearSession();
+    window.location.href = 'index.html';
+  }
+  return res;
+}
+
+// Download a file that needs the session, e.g. a submission file
+async function downloadFile(url, fileName) {
+  const res = await apiFetch(url);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    alert(data.error || 'Download failed');
+    return;
+  }
+  const objectUrl = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+}
+
+// End the session on the server and return to the login page
+async function logout() {
+  try {
+    await fetch('/api/logout', { method: 'POST', headers: authHeaders() });
+  } catch (err) {
+    console.error(err);
+  }
+  clearSession();
+  window.location.href = 'index.html';
+}
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../lib/auth');
+const { requireSelfOrAdmin } = require('../lib/routes/middleware');
+
+// A token with `change` made to its payload, keeping the old signature
+function tamper(token, change) {
+  const [payload, signature] = token.split('.');
+  const claims = change(JSON.parse(Buffer.from(payload, 'base64').toString('utf8')));
+  return `${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+}
+
+// What requireSelfOrAdmin does for `user` asking for /api/user/:id:
+// 'next' or the status it answers with
+function selfOrAdmin(user, id) {
+  let outcome = null;
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {},
+  };
+  requireSelfOrAdmin({ user, params: { id: String(id) } }, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('accepts the tokens it signed and nothing else', () => {
+  const { token } = auth.createSession(7);
+  assert.deepEqual(Object.keys(auth.verifyToken(token)), ['userId', 'sid']);
+  assert.equal(auth.verifyToken(token).userId, 7);
+  assert.equal(auth.verifyToken(tamper(token, (claims) => ({ ...claims, sub: 1 }))), null);
+  assert.equal(auth.verifyToken(`${token.split('.')[0]}.forged`), null);
+  assert.equal(auth.verifyToken('garbage'), null);
+  assert.equal(auth.verifyToken(null), null);
+});
+
+test('rejects tokens once they expire', (t) => {
+  const { token, expiresAt } = auth.createSession(7);
+  const expiry = Date.parse(expiresAt);
+  t.mock.method(Date, 'now', () => expiry - 1000);
+  assert.ok(auth.verifyToken(token));
+  Date.now.mock.mockImplementation(() => expiry + 1000);
+  assert.equal(auth.verifyToken(token), null);
+});
+
+test('replaces a token when it is refreshed', () => {
+  const { token } = auth.createSession(7);
+  const refreshed = auth.refreshSession(token);
+  assert.equal(auth.verifyToken(refreshed.token).userId, 7);
+  assert.equal(auth.verifyToken(token), null);
+  assert.equal(auth.refreshSession(token), null);
+});
+
+test('revokes a token on logout and every session of a user', () => {
+  const { token } = auth.createSession(7);
+  assert.equal(auth.destroySession(token), true);
+  assert.equal(auth.verifyToken(token), null);
+  assert.equal(auth.destroySession(token), false);
+
+  const kept = auth.createSession(8).token;
+  const ended = auth.createSession(8).token;
+  const other = auth.createSession(9).token;
+  auth.destroyUserSessions(8, auth.verifyToken(kept).sid);
+  assert.ok(auth.verifyToken(kept));
+  assert.equal(auth.verifyToken(ended), null);
+  assert.ok(auth.verifyToken(other));
+});
+
+test('reads the bearer token of a request', () => {
+  assert.equal(auth.getBearerToken({ headers: { authorization: 'Bearer abc.def' } }), 'abc.def');
+  assert.equal(auth.getBearerToken({ headers: {} }), null);
+});
+
+test('lets users reach their own account and admins every account', () => {
+  assert.equal(selfOrAdmin({ id: 2, role: 'learner' }, 2), 'next');
+  assert.equal(selfOrAdmin({ id: 2, role: 'learner' }, 3), 403);
+  assert.equal(selfOrAdmin({ id: 2, role: 'instructor' }, 3), 403);
+  assert.equal(selfOrAdmin({ id: 1, role: 'admin' }, 3), 'next');
+});
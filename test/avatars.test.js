@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { AVATAR_SIZES, detectImageType, avatarUrls, createAvatarStore } = require('../lib/avatars');
+
+// A small image in `format`
+const image = (format) => sharp({ create: { width: 4, height: 2, channels: 3, background: '#08f' } })[format]().toBuffer();
+
+// An avatar store in an uploads directory not created yet, inside a
+// fresh directory
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avatars-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return createAvatarStore({ dir: path.join(dir, 'uploads') });
+}
+
+test('tells the image format from the first bytes', async () => {
+  for (const format of ['png', 'jpeg', 'gif', 'webp']) {
+    assert.equal(detectImageType(await image(format)), format);
+  }
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+  assert.equal(detectImageType(svg), null);
+  assert.equal(detectImageType(Buffer.from('GIF90a')), null);
+  assert.equal(detectImageType(Buffer.from('RIFF\0\0\0\0WAVE')), null);
+  assert.equal(detectImageType(Buffer.alloc(0)), null);
+});
+
+test('stores a picture in every size and removes all of them', async (t) => {
+  const avatars = tempStore(t);
+  const url = await avatars.save(await image('png'));
+  const urls = avatarUrls(url);
+  assert.equal(urls.large, url);
+  for (const [size, sizeUrl] of Object.entries(urls)) {
+    const { width, height, format } = await sharp(path.join(avatars.dir, path.posix.basename(sizeUrl))).metadata();
+    assert.deepEqual({ width, height, format }, { width: AVATAR_SIZES[size], height: AVATAR_SIZES[size], format: 'webp' });
+  }
+
+  await avatars.remove(url);
+  assert.deepEqual(fs.readdirSync(avatars.dir), []);
+});
+
+test('refuses pictures that are not images and leaves nothing behind', async (t) => {
+  const avatars = tempStore(t);
+  await assert.rejects(avatars.save(Buffer.from('<svg/>')), { status: 415 });
+  const truncated = (await image('png')).subarray(0, 20);
+  await assert.rejects(avatars.save(truncated), { status: 400 });
+  assert.equal(fs.existsSync(avatars.dir), false);
+});
+
+test('removes no file outside the uploads directory', async (t) => {
+  const avatars = tempStore(t);
+  const outside = path.join(path.dirname(avatars.dir), 'user-1-2.png');
+  fs.writeFileSync(outside, 'keep');
+  await avatars.remove('/uploads/../user-1-2.png');
+  await avatars.remove('https://example.com/user-1-2.png');
+  assert.equal(fs.readFileSync(outside, 'utf8'), 'keep');
+  assert.deepEqual(avatarUrls('/uploads/user-1-2.png'), { small: '/uploads/user-1-2.png', large: '/uploads/user-1-2.png' });
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const enrollment = require('../lib/enrollment');
+const { createJsonStore } = require('../lib/store/json');
+const { createPgStore } = require('../lib/store/pg');
+const { createMigratedDatabase } = require('./helpers/pgMem');
+
+// Each store, fresh for every test. pg-mem has no row locks, so the
+// Postgres store takes seats one at a time.
+const STORES = {
+  json: {
+    concurrent: true,
+    create: (t) => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'enrollment-'));
+      t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+      return createJsonStore({ dataDir: dir });
+    },
+  },
+  pg: {
+    concurrent: false,
+    create: async () => createPgStore((await createMigratedDatabase()).pool),
+  },
+};
+
+// `count` learners and a course with `seatLimit` seats
+async function courseWithLearners(store, seatLimit, count) {
+  const course = await store.createCourse({ title: 'Course', status: 'published', seatLimit });
+  const userIds = [];
+  for (let i = 1; i <= count; i++) {
+    const user = await store.createUser({ name: `L${i}`, email: `l${i}@example.com`, passwordHash: 'hash', role: 'learner' });
+    userIds.push(user.id);
+  }
+  return { course, userIds };
+}
+
+const pause = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test('reads email addresses from CSV with or without a header', () => {
+  assert.deepEqual(enrollment.parseEmailCsv('a@x\r\n\nB@x\na@x\n'), ['a@x', 'b@x']);
+  assert.deepEqual(enrollment.parseEmailCsv('name,Email\n"Doe, Jane",jane@x\n"Say ""hi""",  hi@x \nNobody,'), ['jane@x', 'hi@x']);
+  assert.deepEqual(enrollment.parseEmailCsv(''), []);
+  assert.deepEqual(enrollment.parseEmailCsv('email'), []);
+});
+
+test('checks the enrollment settings of a course', () => {
+  assert.equal(enrollment.validateEnrollmentSettings({ enrollmentPolicy: 'invite', seatLimit: null }), null);
+  assert.match(enrollment.validateEnrollmentSettings({ enrollmentPolicy: 'closed' }), /Enrollment policy/);
+  assert.match(enrollment.validateEnrollmentSettings({ seatLimit: 0 }), /Seat limit/);
+  assert.match(enrollment.validateEnrollmentSettings({ seatLimit: 1.5 }), /Seat limit/);
+});
+
+for (const [name, { concurrent, create }] of Object.entries(STORES)) {
+  test(`${name} store: gives out no more seats than the course has`, async (t) => {
+    const store = await create(t);
+    const { course, userIds } = await courseWithLearners(store, 2, 4);
+    const results = [];
+    if (concurrent) {
+      results.push(...await Promise.all(userIds.map((id) => store.takeSeat(id, course.id))));
+    } else {
+      for (const id of userIds) results.push(await store.takeSeat(id, course.id));
+    }
+    assert.deepEqual(results.slice().sort(), ['enrolled', 'enrolled', 'full', 'full']);
+    assert.equal((await store.listCourseUsers(course.id)).length, 2);
+    const seated = userIds[results.indexOf('enrolled')];
+    assert.equal(await store.takeSeat(seated, course.id), 'already_enrolled');
+    assert.equal(await store.takeSeat(999, course.id), null);
+    assert.equal(await store.takeSeat(seated, 999), null);
+  });
+
+  test(`${name} store: fills freed seats from the waitlist in order`, async (t) => {
+    const store = await create(t);
+    const { course, userIds: [first, second, third, fourth] } = await courseWithLearners(store, 2, 4);
+    const courseId = course.id;
+    assert.equal(await enrollment.admit(store, first, courseId), 'enrolled');
+    assert.equal(await enrollment.admit(store, second, courseId), 'enrolled');
+    assert.equal(await enrollment.admit(store, third, courseId), 'waitlisted');
+    // The waitlist is in order of joining, which one millisecond cannot tell
+    await pause();
+    assert.equal(await enrollment.admit(store, fourth, courseId), 'waitlisted');
+    assert.equal((await enrollment.enrollmentStatus(store, fourth, course)).waitlistPosition, 2);
+
+    assert.deepEqual(await enrollment.fillSeats(store, courseId), [], 'no seat is free');
+    await store.unenrollUser(first, courseId);
+    assert.deepEqual(await enrollment.fillSeats(store, courseId), [third]);
+    assert.equal(await store.getEnrollmentRequest(third, courseId), null);
+    assert.equal((await enrollment.enrollmentStatus(store, fourth, course)).waitlistPosition, 1);
+
+    await store.updateCourse(courseId, { seatLimit: null });
+    assert.deepEqual(await enrollment.fillSeats(store, courseId), [fourth]);
+    assert.deepEqual(await store.listEnrollmentRequests({ courseId }), []);
+  });
+}
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createApi } = require('../../lib/routes');
+const { createJsonStore } = require('../../lib/store/json');
+
+/*
+ * The API of lib/routes on a JSON store in a temporary directory,
+ * listening on a free port, for tests that go through the routes.
+ * Mail is kept in `mails` instead of being sent, unless a `mailTransport`
+ * is given.
+ */
+
+async function startApi({ mailTransport } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+  const store = createJsonStore({ dataDir: path.join(dir, 'data') });
+  const mails = [];
+  const app = express();
+  app.use(createApi(store, {
+    uploadsDir: path.join(dir, 'uploads'),
+    filesDir: path.join(dir, 'files'),
+    mailTransport: mailTransport || { name: 'test', send: async (mail) => { mails.push(mail); } },
+    appUrl: 'http://app.test',
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // Send a JSON request, as `token` if given. Returns { status, body }.
+  async function request(method, route, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  // Register an account and log in. Returns { id, token }.
+  async function signUp(email, password = 'password1') {
+    await request('POST', '/auth/register', { body: { email, password } });
+    const { body } = await request('POST', '/auth/login', { body: { email, password } });
+    return { id: body.userId, token: body.token };
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { store, mails, request, signUp, close };
+}
+
+module.exports = { startApi };
@@ -0,0 +1,126 @@
+const { newDb, DataType } = require('pg-mem');
+const { tokenize, parseQuery } = require('../../lib/knowledge');
+const { migrate } = require('../../lib/migrations');
+
+/*
+ * In-process Postgres for the tests
+ *
+ * pg-mem runs the migrations and the store's SQL without a database
+ * server, but has no full-text search. Here tsvector and tsquery stand
+ * in as text: a tsvector is "term:W " tokens made with lib/knowledge.js's
+ * tokenize, a tsquery is the query as typed, and @@ and ts_rank apply
+ * the rules of the JSON store's search. Tests of search therefore check
+ * the store's SQL, not Postgres's stemming.
+ *
+ * Nor does pg-mem name the sequences of SERIAL columns. The import moves
+ * them past the ids it copied with setval(pg_get_serial_sequence(...));
+ * here that only records the value each sequence was set to, in the
+ * `sequences` map of createDatabase, for the tests to check.
+ */
+
+// Search weights as Postgres ranks them by default
+const WEIGHTS = { A: 1.0, B: 0.4, C: 0.2, D: 0.1 };
+
+// The [term, weight] pairs of a stand-in tsvector
+function vectorTerms(vector) {
+  return String(vector || '').split(' ').filter(Boolean).map((token) => {
+    const colon = token.lastIndexOf(':');
+    return [token.slice(0, colon), token.slice(colon + 1)];
+  });
+}
+
+function registerTextSearch(schema) {
+  const text = DataType.text;
+  schema.registerEquivalentType({ name: 'tsvector', equivalentTo: text, isValid: () => true });
+  schema.registerEquivalentType({ name: 'tsquery', equivalentTo: text, isValid: () => true });
+  schema.registerFunction({
+    name: 'to_tsvector',
+    args: [text, text],
+    returns: text,
+    implementation: (config, value) => tokenize(value).map((term) => `${term}:D `).join(''),
+  });
+  schema.registerFunction({
+    name: 'setweight',
+    args: [text, text],
+    returns: text,
+    implementation: (vector, weight) => vectorTerms(vector).map(([term]) => `${term}:${weight} `).join(''),
+  });
+  schema.registerFunction({
+    name: 'websearch_to_tsquery',
+    args: [text, text],
+    returns: text,
+    implementation: (config, query) => query,
+  });
+  schema.registerFunction({
+    name: 'array_to_string',
+    args: [schema.getType(text).asArray(), text],
+    returns: text,
+    implementation: (values, separator) => (values || []).join(separator),
+  });
+  schema.registerOperator({
+    operator: '@@',
+    left: text,
+    right: text,
+    returns: DataType.bool,
+    implementation: (vector, query) => {
+      const terms = new Set(vectorTerms(vector).map(([term]) => term));
+      const { include, exclude } = parseQuery(query);
+      return include.length > 0 && include.every((t) => terms.has(t)) && !exclude.some((t) => terms.has(t));
+    },
+  });
+  schema.registerFunction({
+    name: 'ts_rank',
+    args: [text, text],
+    returns: DataType.float,
+    implementation: (vector, query) => {
+      const included = new Set(parseQuery(query).include);
+      return vectorTerms(vector).filter(([term]) => included.has(term)).reduce((sum, [, w]) => sum + WEIGHTS[w], 0);
+    },
+  });
+}
+
+// Record setval(sequence, value, isCalled) in `sequences` as the value
+// nextval would return
+function registerSequences(schema, sequences) {
+  schema.registerFunction({
+    name: 'pg_get_serial_sequence',
+    args: [DataType.text, DataType.text],
+    returns: DataType.text,
+    implementation: (table, column) => `${table}_${column}_seq`,
+  });
+  for (const type of [DataType.integer, DataType.bigint]) {
+    schema.registerFunction({
+      name: 'setval',
+      args: [DataType.text, type, DataType.bool],
+      returns: type,
+      implementation: (sequence, value, isCalled) => {
+        sequences.set(sequence, Number(value) + (isCalled ? 1 : 0));
+        return value;
+      },
+    });
+  }
+}
+
+// An empty database with a pg style Pool on it: { db, pool, sequences }
+function createDatabase() {
+  const db = newDb();
+  const sequences = new Map();
+  registerTextSearch(db.public);
+  registerSequences(db.public, sequences);
+  const { Pool } = db.adapters.createPg();
+  return { db, pool: new Pool(), sequences };
+}
+
+// A database with every migration applied
+async function createMigratedDatabase() {
+  const database = createDatabase();
+  const client = await database.pool.connect();
+  try {
+    await migrate(client);
+  } finally {
+    client.release();
+  }
+  return database;
+}
+
+module.exports = { createDatabase, createMigratedDatabase };
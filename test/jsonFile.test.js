@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile, createJsonLog } = require('../lib/store/jsonFile');
+const { createJsonStore } = require('../lib/store/json');
+
+// A JSON file in a fresh directory, and that directory
+function tempFile(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { dir, jsonFile: createJsonFile(path.join(dir, 'records.json'), options) };
+}
+
+test('creates a missing file with the default records', async (t) => {
+  const { jsonFile } = tempFile(t, { defaultRecords: [{ id: 1 }] });
+  assert.deepEqual(jsonFile.check(), [{ id: 1 }]);
+  assert.deepEqual(await jsonFile.read(), [{ id: 1 }]);
+});
+
+test('runs updates one at a time so none is lost', async (t) => {
+  const { dir, jsonFile } = tempFile(t);
+  jsonFile.check();
+  const pause = () => new Promise((resolve) => setImmediate(resolve));
+  const added = await Promise.all([1, 2, 3, 4, 5].map((id) => jsonFile.update(async (records) => {
+    await pause();
+    records.push({ id });
+    return records.length;
+  })));
+  assert.deepEqual(added, [1, 2, 3, 4, 5]);
+  assert.deepEqual((await jsonFile.read()).map((r) => r.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['records.json', 'records.json.bak'], 'no temporary files left');
+});
+
+test('writes nothing when an update fails, and goes on with the next', async (t) => {
+  const { jsonFile } = tempFile(t, { defaultRecords: [{ id: 1 }] });
+  jsonFile.check();
+  const failed = jsonFile.update((records) => {
+    records.push({ id: 2 });
+    throw new Error('no');
+  });
+  const next = jsonFile.update((records) => records.length);
+  await assert.rejects(failed, /no/);
+  assert.equal(await next, 1);
+  assert.deepEqual(await jsonFile.read(), [{ id: 1 }]);
+});
+
+test('restores a corrupt file from its backup and keeps the corrupt one', async (t) => {
+  const { dir, jsonFile } = tempFile(t, { defaultRecords: [{ id: 1 }] });
+  jsonFile.check();
+  await jsonFile.update((records) => { records.push({ id: 2 }); });
+  fs.writeFileSync(jsonFile.file, '[{"id": 1}, {"id"');
+  fs.writeFileSync(path.join(dir, '.records.json.123.1.tmp'), 'half written');
+  t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(jsonFile.check(), [{ id: 1 }], 'the version before the last write');
+  assert.deepEqual(await jsonFile.read(), [{ id: 1 }]);
+  const names = fs.readdirSync(dir);
+  assert.equal(names.filter((name) => name.startsWith('records.json.corrupt-')).length, 1);
+  assert.equal(names.filter((name) => name.endsWith('.tmp')).length, 0);
+});
+
+test('refuses to start from a corrupt file without a usable backup', (t) => {
+  const { jsonFile } = tempFile(t);
+  fs.writeFileSync(jsonFile.file, '{"not": "an array"}');
+  assert.throws(() => jsonFile.check(), /is corrupt and there is no usable backup/);
+  fs.writeFileSync(`${jsonFile.file}.bak`, 'nor this');
+  assert.throws(() => jsonFile.check(), /is corrupt and there is no usable backup/);
+  assert.equal(fs.readFileSync(jsonFile.file, 'utf8'), '{"not": "an array"}', 'left as it was');
+});
+
+// A log in a fresh directory, checked as the store does at startup
+function tempLog(t, lines) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'records.jsonl');
+  if (lines !== undefined) fs.writeFileSync(file, lines);
+  return { dir, jsonLog: createJsonLog(file) };
+}
+
+test('appends records to a log one line each, in order', async (t) => {
+  const { jsonLog } = tempLog(t, '{"id":4}\n');
+  jsonLog.check();
+  const appended = await Promise.all(['a', 'b', 'c'].map((name) => jsonLog.append((id) => ({ id, name }))));
+  assert.deepEqual(appended.map((r) => r.id), [5, 6, 7]);
+  assert.equal(fs.readFileSync(jsonLog.file, 'utf8'), '{"id":4}\n{"id":5,"name":"a"}\n{"id":6,"name":"b"}\n{"id":7,"name":"c"}\n');
+
+  await jsonLog.update((records) => { records.splice(0, 2); });
+  assert.deepEqual((await jsonLog.read()).map((r) => r.id), [6, 7]);
+  assert.equal((await jsonLog.append((id) => ({ id }))).id, 8, 'ids are not given out twice');
+});
+
+test('reads a log without the line being appended', async (t) => {
+  const { jsonLog } = tempLog(t, '{"id":1}\n{"id":2}\n{"id"');
+  assert.deepEqual(await jsonLog.read(), [{ id: 1 }, { id: 2 }]);
+});
+
+test('drops lines of a log that do not parse and keeps the log as it was', async (t) => {
+  const { dir, jsonLog } = tempLog(t, '{"id":1}\n[2]\n{"id":3}\n{"id":4, "na');
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(jsonLog.check(), [{ id: 1 }, { id: 3 }]);
+  assert.equal(fs.readFileSync(jsonLog.file, 'utf8'), '{"id":1}\n{"id":3}\n');
+  const corrupt = fs.readdirSync(dir).filter((name) => name.startsWith('records.jsonl.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.match(fs.readFileSync(path.join(dir, corrupt[0]), 'utf8'), /"na$/);
+  assert.equal((await jsonLog.append((id) => ({ id }))).id, 4);
+});
+
+test('converts the event log of a JSON store from events.json', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const old = { id: 1, userId: 1, type: 'login', courseId: null, levelId: null, submissionId: null, data: null, createdAt: '2024-01-02T03:04:05.000Z' };
+  fs.writeFileSync(path.join(dir, 'events.json'), JSON.stringify([old]));
+  fs.writeFileSync(path.join(dir, 'events.json.bak'), '[]');
+
+  const store = createJsonStore({ dataDir: dir });
+  assert.equal(fs.existsSync(path.join(dir, 'events.json')), false);
+  assert.equal(fs.existsSync(path.join(dir, 'events.json.bak')), false);
+  const added = await store.appendEvent({ userId: 1, type: 'course_view', courseId: 2 });
+  assert.equal(added.id, 2);
+  const { items } = await store.findEvents({ userId: 1, sort: 'createdAt' });
+  assert.deepEqual(items, [old, added]);
+});
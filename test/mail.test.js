@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMailTransport } = require('../lib/mail');
+const { startApi } = require('./helpers/api');
+
+test('warns when no mail transport is configured', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(createMailTransport({}).name, 'console');
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /MAIL_TRANSPORT is not set/);
+
+  assert.equal(createMailTransport({ MAIL_TRANSPORT: 'console' }).name, 'console');
+  assert.equal(createMailTransport({ MAIL_TRANSPORT: 'file', MAIL_DIR: '/tmp/mail' }).name, 'file');
+  assert.equal(warn.mock.callCount(), 1, 'not when it was chosen');
+  assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'smtp' }), /SMTP_URL or SMTP_HOST/);
+  assert.throws(() => createMailTransport({ MAIL_TRANSPORT: 'pigeon' }), /must be one of/);
+});
+
+test('answers a password reset request before the mail is sent', async () => {
+  let deliver;
+  let arrived;
+  const delivered = new Promise((resolve) => { deliver = resolve; });
+  // Should the route wait for the mail, it is answered after this instead
+  const fallback = setTimeout(() => deliver(), 2000);
+  const reset = new Promise((resolve) => { arrived = resolve; });
+  const mails = [];
+  const api = await startApi({
+    mailTransport: {
+      name: 'test',
+      async send(mail) {
+        const isReset = mail.subject === 'Reset your password';
+        if (isReset) await delivered;
+        mails.push(mail);
+        if (isReset) arrived();
+      },
+    },
+  });
+  try {
+    await api.request('POST', '/auth/register', { body: { email: 'known@example.com', password: 'password1' } });
+    const known = await api.request('POST', '/api/password/forgot', { body: { email: 'known@example.com' } });
+    const unknown = await api.request('POST', '/api/password/forgot', { body: { email: 'nobody@example.com' } });
+    assert.deepEqual([known.status, known.body], [200, { success: true }]);
+    assert.deepEqual([unknown.status, unknown.body], [200, { success: true }]);
+    assert.equal(mails.length, 1, 'both answered while the reset mail was still on its way');
+
+    deliver();
+    await reset;
+    assert.deepEqual(mails.map((m) => [m.to, m.subject]), [
+      ['known@example.com', 'Confirm your email address'],
+      ['known@example.com', 'Reset your password'],
+    ]);
+  } finally {
+    clearTimeout(fallback);
+    deliver();
+    await api.close();
+  }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, withHtml } = require('../lib/markdown');
+
+test('escapes raw HTML written in the Markdown', () => {
+  const html = renderMarkdown('Hi <script>alert(1)</script> <img src=x onerror=alert(1)>');
+  assert.doesNotMatch(html, /<script|<img/);
+  assert.match(html, /&lt;script&gt;/);
+});
+
+test('keeps only links and images with allowed schemes', () => {
+  assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>\n');
+  assert.doesNotMatch(renderMarkdown('[x](data:text/html,hi)'), /href/);
+  assert.doesNotMatch(renderMarkdown('![x](mailto:a@example.com)'), /src=/);
+  assert.doesNotMatch(renderMarkdown('[x](//evil.example.com)'), /href/);
+
+  const link = renderMarkdown('[x](https://example.com "Title")');
+  assert.match(link, /href="https:\/\/example\.com"/);
+  assert.match(link, /rel="nofollow noopener noreferrer"/);
+  assert.match(renderMarkdown('[x](mailto:a@example.com)'), /href="mailto:a@example\.com"/);
+  assert.match(renderMarkdown('![alt](https://example.com/a.png)'), /<img src="https:\/\/example\.com\/a\.png" alt="alt" \/>/);
+});
+
+test('keeps the classes of code blocks and the alignment of table columns', () => {
+  assert.match(renderMarkdown('```js\nlet a;\n```'), /<code class="language-js">/);
+  const table = renderMarkdown('| a | b |\n|:-:|--:|\n| 1 | 2 |');
+  assert.match(table, /<th style="text-align:center">a<\/th>/);
+  assert.match(table, /<td style="text-align:right">2<\/td>/);
+});
+
+test('adds contentHtml to a record', () => {
+  assert.deepEqual(withHtml({ id: 1, content: '**hi**' }), { id: 1, content: '**hi**', contentHtml: '<p><strong>hi</strong></p>\n' });
+  assert.equal(withHtml({ id: 1 }).contentHtml, '');
+  assert.equal(withHtml(null), null);
+});
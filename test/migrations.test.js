@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  listMigrations, appliedVersions, migrate, seed,
+} = require('../lib/migrations');
+const { createDatabase } = require('./helpers/pgMem');
+
+// Run fn(client) on a client of a fresh database
+async function withClient(fn) {
+  const { pool } = createDatabase();
+  const client = await pool.connect();
+  try {
+    return await fn(client);
+  } finally {
+    client.release();
+  }
+}
+
+// A directory of migration files { name: sql }
+function migrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), sql);
+  }
+  return dir;
+}
+
+// A directory with copies of the real migrations up to `version`
+function migrationsUpTo(version) {
+  return migrationDir(Object.fromEntries(listMigrations()
+    .filter((m) => m.version <= version)
+    .map((m) => [path.basename(m.file), fs.readFileSync(m.file, 'utf8')])));
+}
+
+test('applies every migration in order and records it', async () => {
+  await withClient(async (client) => {
+    const applied = await migrate(client);
+    const versions = listMigrations().map((m) => m.version);
+    assert.deepEqual(applied.map((m) => m.version), versions);
+    assert.deepEqual(await appliedVersions(client), versions);
+  });
+});
+
+test('applies nothing the second time', async () => {
+  await withClient(async (client) => {
+    await migrate(client);
+    assert.deepEqual(await migrate(client), []);
+  });
+});
+
+// pg-mem ignores BEGIN and ROLLBACK, so the rollback itself is only
+// seen in the statements sent
+test('rolls back a failing migration and does not record it', async () => {
+  const dir = migrationDir({
+    '001_first.sql': 'CREATE TABLE first (id INTEGER);',
+    '002_broken.sql': 'INSERT INTO missing VALUES (1);',
+    '003_never.sql': 'CREATE TABLE never (id INTEGER);',
+  });
+  await withClient(async (client) => {
+    const statements = [];
+    const recording = {
+      query(sql, values) {
+        statements.push(sql.trim());
+        return client.query(sql, values);
+      },
+    };
+    await assert.rejects(migrate(recording, { dir }), /missing/);
+    assert.deepEqual(await appliedVersions(client), [1]);
+    const broken = statements.indexOf('INSERT INTO missing VALUES (1);');
+    assert.deepEqual(statements.slice(broken - 1), ['BEGIN', 'INSERT INTO missing VALUES (1);', 'ROLLBACK']);
+  });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('refuses two migrations with the same version', () => {
+  const dir = migrationDir({ '001_a.sql': '', '001_b.sql': '', 'notes.txt': '' });
+  assert.throws(() => listMigrations(dir), /Two migrations with version 1/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('seeds a migrated database once', async () => {
+  await withClient(async (client) => {
+    await migrate(client);
+    assert.equal(await seed(client), true);
+    const courses = await client.query('SELECT COUNT(*)::int AS count FROM courses');
+    assert.ok(courses.rows[0].count > 0);
+    assert.equal(await seed(client), false);
+  });
+});
+
+test('keeps the completions of learners at 100 percent when progress is dropped', async () => {
+  const before = migrationsUpTo(4);
+  const after = migrationsUpTo(5);
+  await withClient(async (client) => {
+    await migrate(client, { dir: before });
+    await client.query(`INSERT INTO users (id, email, password_hash) VALUES (1, 'done@example.com', 'x'), (2, 'half@example.com', 'x')`);
+    await client.query(`INSERT INTO courses (id, title) VALUES (1, 'Course')`);
+    await client.query(`INSERT INTO levels (id, title, course_id, position) VALUES (1, 'One', 1, 1), (2, 'Two', 1, 2)`);
+    await client.query('INSERT INTO user_courses (user_id, course_id, progress) VALUES (1, 1, 100), (2, 1, 50)');
+    await migrate(client, { dir: after });
+    const completions = await client.query('SELECT user_id, level_id FROM level_completions ORDER BY user_id, level_id');
+    assert.deepEqual(completions.rows, [{ user_id: 1, level_id: 1 }, { user_id: 1, level_id: 2 }]);
+    const enrollments = await client.query('SELECT user_id, completed_at FROM user_courses ORDER BY user_id');
+    assert.ok(enrollments.rows[0].completed_at);
+    assert.equal(enrollments.rows[1].completed_at, null);
+  });
+  fs.rmSync(before, { recursive: true });
+  fs.rmSync(after, { recursive: true });
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const passwords = require('../lib/password');
+const { startApi } = require('./helpers/api');
+
+// A hash in the stored format made with weaker parameters than today's
+function weakHash(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(password, salt, 64, { N: 1024, r: 8, p: 1 });
+  return ['scrypt', 1024, 8, 1, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+test('hashes with a fresh salt and verifies the password', async () => {
+  const hash = await passwords.hashPassword('correct horse');
+  assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(hash, await passwords.hashPassword('correct horse'));
+  assert.deepEqual(await passwords.verifyPassword('correct horse', hash), { valid: true, needsRehash: false });
+  assert.deepEqual(await passwords.verifyPassword('wrong horse', hash), { valid: false, needsRehash: false });
+});
+
+test('asks for a new hash after logins with weaker parameters', async () => {
+  const hash = weakHash('correct horse');
+  assert.deepEqual(await passwords.verifyPassword('correct horse', hash), { valid: true, needsRehash: true });
+  assert.deepEqual(await passwords.verifyPassword('wrong horse', hash), { valid: false, needsRehash: false });
+});
+
+test('accepts legacy SHA-256 and plaintext passwords once, for an upgrade', async () => {
+  const digest = crypto.createHash('sha256').update('correct horse').digest('hex');
+  assert.deepEqual(await passwords.verifyPassword('correct horse', digest), { valid: true, needsRehash: true });
+  assert.deepEqual(await passwords.verifyPassword('wrong horse', digest), { valid: false, needsRehash: false });
+  assert.deepEqual(
+    await passwords.verifyUserPassword('correct horse', { password: 'correct horse' }),
+    { valid: true, needsRehash: true }
+  );
+  assert.equal((await passwords.verifyUserPassword('wrong horse', { password: 'correct horse' })).valid, false);
+});
+
+test('refuses malformed hashes and missing passwords', async () => {
+  assert.equal((await passwords.verifyPassword('x', 'scrypt$0$0$0$$')).valid, false);
+  assert.equal((await passwords.verifyPassword('x', 'not a hash')).valid, false);
+  assert.equal((await passwords.verifyPassword(undefined, await passwords.hashPassword('x'))).valid, false);
+  assert.equal((await passwords.verifyUserPassword('x', null)).valid, false);
+});
+
+test('checks new passwords before they are hashed', () => {
+  assert.equal(passwords.validatePassword('long enough'), null);
+  assert.equal(passwords.validatePassword('short'), 'Password must be at least 8 characters long.');
+  assert.equal(passwords.validatePassword(12345678), 'Password must be text.');
+});
+
+test('stores a fresh hash after logging in with a legacy one', async () => {
+  const api = await startApi();
+  try {
+    const { id } = await api.signUp('ada@example.com', 'correct horse');
+    const digest = crypto.createHash('sha256').update('correct horse').digest('hex');
+    await api.store.updateUser(id, { passwordHash: digest });
+    const login = await api.request('POST', '/auth/login', { body: { email: 'ada@example.com', password: 'correct horse' } });
+    assert.equal(login.status, 200);
+    const upgraded = (await api.store.getUser(id)).passwordHash;
+    assert.match(upgraded, /^scrypt\$/);
+    assert.equal((await passwords.verifyPassword('correct horse', upgraded)).valid, true);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPgStore } = require('../lib/store/pg');
+const { createMigratedDatabase } = require('./helpers/pgMem');
+
+// A store on a freshly migrated database
+async function newStore() {
+  const { pool } = await createMigratedDatabase();
+  return createPgStore(pool);
+}
+
+// A published course with `levels` published levels, and its level ids
+async function courseWithLevels(store, levels) {
+  const course = await store.createCourse({ title: 'Course', status: 'published' });
+  const levelIds = [];
+  for (let i = 0; i < levels; i++) {
+    const level = await store.createLevel({ courseId: course.id, title: `Level ${i + 1}`, status: 'published' });
+    levelIds.push(level.id);
+  }
+  return { course, levelIds };
+}
+
+test('creates, finds and updates users', async () => {
+  const store = await newStore();
+  const user = await store.createUser({
+    name: 'Ada', email: 'Ada@example.com', passwordHash: 'hash', role: 'learner',
+  });
+  assert.equal((await store.findUserByEmail('ada@EXAMPLE.com')).id, user.id);
+  const updated = await store.updateUser(user.id, { name: 'Ada L.', emailVerifiedAt: new Date() });
+  assert.equal(updated.name, 'Ada L.');
+  assert.equal(updated.email, 'Ada@example.com');
+  assert.ok(updated.emailVerifiedAt);
+  assert.equal(await store.countUsers('learner'), 1);
+  assert.equal(await store.deleteUser(user.id), true);
+  assert.equal(await store.getUser(user.id), null);
+});
+
+test('derives progress from completed levels and completes the course', async () => {
+  const store = await newStore();
+  const user = await store.createUser({ name: 'Ada', email: 'ada@example.com', passwordHash: 'hash', role: 'learner' });
+  const { course, levelIds } = await courseWithLevels(store, 2);
+  assert.equal(await store.completeLevel(user.id, levelIds[0]), null, 'not enrolled yet');
+
+  await store.enrollUser(user.id, course.id);
+  const half = await store.completeLevel(user.id, levelIds[0]);
+  assert.equal(half.progress, 50);
+  assert.equal(half.completedAt, null);
+
+  const done = await store.completeLevel(user.id, levelIds[1]);
+  assert.equal(done.progress, 100);
+  assert.ok(done.completedAt);
+  const { items } = await store.findCertificates({ userId: user.id, sort: 'issuedAt', order: 'desc' });
+  assert.equal(items.length, 1);
+  assert.equal(items[0].courseId, course.id);
+});
+
+test('uses an account token once, for its purpose, until it expires', async () => {
+  const store = await newStore();
+  const user = await store.createUser({ name: 'Ada', email: 'ada@example.com', passwordHash: 'hash', role: 'learner' });
+  const token = (tokenHash, minutes) => store.createAccountToken({
+    tokenHash, userId: user.id, purpose: 'password_reset', email: user.email, expiresAt: new Date(Date.now() + minutes * 60000),
+  });
+
+  await token('expired', -1);
+  assert.equal(await store.consumeAccountToken('password_reset', 'expired'), null);
+
+  await token('first', 60);
+  await token('second', 60);
+  assert.equal(await store.consumeAccountToken('password_reset', 'first'), null, 'replaced by the second');
+  assert.equal(await store.consumeAccountToken('email_verification', 'second'), null);
+  assert.equal((await store.consumeAccountToken('password_reset', 'second')).userId, user.id);
+  assert.equal(await store.consumeAccountToken('password_reset', 'second'), null);
+});
+
+test('searches knowledge articles by title, tags and content', async () => {
+  const store = await newStore();
+  await store.createKnowledge({ title: 'Loops', content: 'for and while', tags: ['basics'] });
+  await store.createKnowledge({ title: 'Functions', content: 'Calling functions inside loops', tags: [] });
+  const found = await store.searchKnowledge('loops');
+  assert.deepEqual(found.map((a) => a.title), ['Loops', 'Functions']);
+  assert.deepEqual((await store.searchKnowledge('loops -while')).map((a) => a.title), ['Functions']);
+  assert.deepEqual((await store.searchKnowledge('basics')).map((a) => a.title), ['Loops']);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { completeLegacyProgress } = require('../lib/progress');
+
+test('completes every level of courses legacy entries had at 100 percent', () => {
+  const users = [{ id: 1, courses: [{ id: 1, progress: 100 }, { id: 2, progress: 40 }, { id: 3 }] }];
+  const levels = [{ id: 1, courseId: 1 }, { id: 2, courseId: 1 }, { id: 3, courseId: 2 }];
+  const completions = [{ userId: 1, levelId: 2, completedAt: 'earlier' }];
+  assert.equal(completeLegacyProgress(users, levels, completions, 'now'), true);
+  assert.deepEqual(users[0].courses, [{ id: 1, completedAt: 'now' }, { id: 2 }, { id: 3 }]);
+  assert.deepEqual(completions, [
+    { userId: 1, levelId: 2, completedAt: 'earlier' },
+    { userId: 1, levelId: 1, completedAt: 'now' },
+  ]);
+  assert.equal(completeLegacyProgress(users, levels, completions, 'later'), false);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const quizzes = require('../lib/quizzes');
+const { startApi } = require('./helpers/api');
+
+const BANK = [
+  { id: 1, type: 'multiple_choice', prompt: 'Even numbers?', options: ['1', '2', '3', '4'], correct: [1, 3] },
+  { id: 2, type: 'multiple_choice', prompt: 'First letter?', options: ['a', 'b', 'c'], correct: [0] },
+  { id: 3, type: 'short_answer', prompt: 'Capital of France?', answers: ['Paris'], caseSensitive: false },
+];
+
+// The option texts a question marks as correct
+const correctOptions = (question) => question.correct.map((index) => question.options[index]).sort();
+
+test('grades every option of multiple choice and short answers as typed', () => {
+  const { score, results } = quizzes.gradeAnswers(BANK, { 1: [3, 1], 2: 0, 3: '  paris ' });
+  assert.equal(score, 100);
+  assert.deepEqual(results.map((r) => r.correct), [true, true, true]);
+
+  const wrong = { 1: [1], 2: [0, 0], 3: 'Lyon' };
+  assert.deepEqual(quizzes.gradeAnswers(BANK, wrong).results.map((r) => r.correct), [false, false, false]);
+  assert.equal(quizzes.gradeAnswers(BANK, { 1: [1, 3, 2] }).score, 0, 'too many options');
+  assert.equal(quizzes.gradeAnswers(BANK, { 1: ['1', '3'], 2: '0', 3: ['Paris'] }).score, 0, 'wrong types');
+  assert.equal(quizzes.gradeAnswers(BANK, { 2: 0 }).score, 33);
+  assert.equal(quizzes.gradeAnswers(BANK, null).score, 0);
+  const strict = [{ ...BANK[2], caseSensitive: true }];
+  assert.equal(quizzes.gradeAnswers(strict, { 3: 'paris' }).score, 0);
+});
+
+test('moves the correct indexes along with the shuffled options', () => {
+  for (let i = 0; i < 50; i++) {
+    const drawn = quizzes.drawQuestions({ questionCount: null, questions: BANK });
+    assert.deepEqual(drawn.map((q) => q.id).sort(), [1, 2, 3]);
+    for (const question of drawn.filter((q) => q.type === 'multiple_choice')) {
+      const original = BANK.find((q) => q.id === question.id);
+      assert.deepEqual(question.options.slice().sort(), original.options);
+      assert.deepEqual(correctOptions(question), correctOptions(original));
+      assert.deepEqual(question.correct, question.correct.slice().sort((a, b) => a - b));
+      const right = quizzes.gradeAnswers([question], { [question.id]: question.correct });
+      assert.equal(right.score, 100);
+    }
+  }
+  assert.deepEqual(BANK[0].correct, [1, 3], 'the bank is left as it was');
+});
+
+test('draws questionCount questions per attempt without their answers', () => {
+  const drawn = quizzes.drawQuestions({ questionCount: 2, questions: BANK });
+  assert.equal(drawn.length, 2);
+  assert.equal(new Set(drawn.map((q) => q.id)).size, 2);
+  for (const question of quizzes.publicQuestions(drawn)) {
+    assert.equal(question.correct, undefined);
+    assert.equal(question.answers, undefined);
+  }
+});
+
+const QUIZ = {
+  passMark: 50,
+  questions: [{ type: 'short_answer', prompt: 'Capital of France?', answers: ['Paris'] }],
+};
+
+test('grades no attempt once the learner has left the course or the level is archived', async () => {
+  const api = await startApi();
+  try {
+    const admin = await api.signUp('admin@example.com');
+    const learner = await api.signUp('learner@example.com');
+    const as = (user, body) => ({ token: user.token, body });
+    const course = (await api.request('POST', '/api/admin/courses', as(admin, { title: 'Course', status: 'published' }))).body;
+    const level = (await api.request('POST', '/api/admin/levels', as(admin, {
+      courseId: course.id, title: 'Quiz', type: 'quiz', quiz: QUIZ, status: 'published',
+    }))).body;
+    const attempts = `/api/levels/${level.id}/quiz/attempts`;
+    await api.request('POST', `/api/courses/${course.id}/enroll`, as(learner));
+    const attempt = (await api.request('POST', attempts, as(learner))).body;
+    const submit = (answer) => api.request('POST', `${attempts}/${attempt.id}/submit`, as(learner, {
+      answers: { [attempt.questions[0].id]: answer },
+    }));
+
+    await api.request('DELETE', `/api/courses/${course.id}/enroll`, as(learner));
+    assert.equal((await submit('Paris')).status, 403);
+
+    await api.request('POST', `/api/courses/${course.id}/enroll`, as(learner));
+    await api.request('PUT', `/api/admin/levels/${level.id}`, as(admin, { status: 'archived' }));
+    assert.equal((await submit('Paris')).status, 403);
+
+    await api.request('PUT', `/api/admin/levels/${level.id}`, as(admin, { status: 'published' }));
+    const graded = await submit('Paris');
+    assert.equal(graded.status, 200);
+    assert.equal(graded.body.passed, true);
+    assert.equal(graded.body.progress.progress, 100);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const revisions = require('../lib/revisions');
+const { startApi } = require('./helpers/api');
+
+test('diffs text by lines, whatever type it was stored as', () => {
+  assert.deepEqual(revisions.diffLines('a\nb\nc', 'a\nc\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'same', text: 'c' },
+    { type: 'added', text: 'd' },
+  ]);
+  assert.deepEqual(revisions.diffLines('', 'a'), [{ type: 'added', text: 'a' }]);
+
+  const diff = revisions.diffRevisions({ id: 1, title: 42, content: null }, { id: 2, title: '42', content: 'x' });
+  assert.deepEqual(diff.fields.map((f) => f.changed), [false, false, true]);
+});
+
+test('refuses course text that is not text', async () => {
+  const api = await startApi();
+  try {
+    const admin = await api.signUp('admin@example.com');
+    const send = (method, route, body) => api.request(method, route, { token: admin.token, body });
+    for (const body of [{ title: 42 }, { title: '  ' }, { title: 'Course', description: ['a'] }, { title: 'Course', content: { a: 1 } }]) {
+      assert.equal((await send('POST', '/api/admin/courses', body)).status, 400, JSON.stringify(body));
+    }
+
+    const course = (await send('POST', '/api/admin/courses', { title: 'Course', content: 'one' })).body;
+    for (const method of ['PUT', 'PATCH']) {
+      assert.equal((await send(method, `/api/admin/courses/${course.id}`, { content: 2 })).status, 400);
+      assert.equal((await send(method, `/api/admin/courses/${course.id}`, { title: null })).status, 400);
+    }
+    assert.equal((await send('PATCH', `/api/admin/courses/${course.id}`, { content: 'one\ntwo' })).status, 200);
+
+    const list = (await send('GET', `/api/admin/courses/${course.id}/revisions`)).body;
+    assert.equal(list.length, 2);
+    const diff = await send('GET', `/api/admin/revisions/${list[1].id}/diff/${list[0].id}`);
+    assert.equal(diff.status, 200);
+    assert.deepEqual(diff.body.fields.find((f) => f.field === 'content').lines.map((l) => l.type), ['same', 'added']);
+  } finally {
+    await api.close();
+  }
+});
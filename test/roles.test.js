@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const roles = require('../lib/roles');
+const { startApi } = require('./helpers/api');
+
+test('lets admins manage every course and instructors their own', () => {
+  const admin = { id: 1, role: 'admin' };
+  const instructor = { id: 2, role: 'instructor' };
+  const learner = { id: 3, role: 'learner' };
+  assert.equal(roles.canManageCourse(admin, null), true);
+  assert.equal(roles.canManageCourse(instructor, 2), true);
+  assert.equal(roles.canManageCourse(instructor, 1), false);
+  assert.equal(roles.canManageCourse(instructor, null), false);
+  assert.equal(roles.canManageCourse(learner, 3), false);
+  assert.equal(roles.canManageCourse(null, 3), false);
+  assert.deepEqual([admin, instructor, learner, null].map(roles.isStaff), [true, true, false, false]);
+});
+
+test('enforces roles on the admin routes', async () => {
+  const api = await startApi();
+  try {
+    const admin = await api.signUp('admin@example.com');
+    const other = await api.signUp('other@example.com');
+    assert.equal((await api.store.getUser(admin.id)).role, 'admin', 'the first account');
+    assert.equal((await api.store.getUser(other.id)).role, 'learner');
+
+    assert.equal((await api.request('GET', '/api/admin/users', { token: other.token })).status, 403);
+    assert.equal((await api.request('GET', '/api/admin/users')).status, 401);
+    const course = { title: 'Course' };
+    assert.equal((await api.request('POST', '/api/admin/courses', { token: other.token, body: course })).status, 403);
+
+    const promote = { token: admin.token, body: { role: 'instructor' } };
+    assert.equal((await api.request('PUT', `/api/admin/users/${other.id}/role`, promote)).status, 200);
+    assert.equal((await api.request('PUT', `/api/admin/users/${admin.id}/role`, { ...promote, token: other.token })).status, 403);
+    const own = await api.request('POST', '/api/admin/courses', { token: other.token, body: course });
+    assert.equal(own.status, 201);
+    assert.equal(own.body.ownerId, other.id);
+    const admins = await api.request('POST', '/api/admin/courses', { token: admin.token, body: course });
+    const edit = { token: other.token, body: { title: 'Renamed' } };
+    assert.equal((await api.request('PUT', `/api/admin/courses/${own.body.id}`, edit)).status, 200);
+    assert.equal((await api.request('PUT', `/api/admin/courses/${admins.body.id}`, edit)).status, 403);
+  } finally {
+    await api.close();
+  }
+});
+
+test('never demotes or deletes the last admin', async () => {
+  const api = await startApi();
+  try {
+    const admin = await api.signUp('admin@example.com');
+    const other = await api.signUp('other@example.com');
+    const demote = { token: admin.token, body: { role: 'learner' } };
+    assert.equal((await api.request('PUT', `/api/admin/users/${admin.id}/role`, demote)).status, 409);
+    assert.equal((await api.request('DELETE', `/api/admin/users/${admin.id}`, { token: admin.token })).status, 409);
+    assert.equal((await api.request('PUT', `/api/admin/users/${admin.id}/role`, { ...demote, body: { role: 'owner' } })).status, 400);
+
+    await api.request('PUT', `/api/admin/users/${other.id}/role`, { token: admin.token, body: { role: 'admin' } });
+    assert.equal((await api.request('PUT', `/api/admin/users/${admin.id}/role`, demote)).status, 200);
+    assert.equal((await api.store.getUser(admin.id)).role, 'learner');
+    assert.equal((await api.request('DELETE', `/api/admin/users/${other.id}`, { token: other.token })).status, 409);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runTests } = require('../lib/sandbox');
+
+const TESTS = [
+  { id: 1, name: 'returns [1, 2]', code: 'assert.deepEqual(arr(), [1, 2]);' },
+  { id: 2, name: 'returns { a: 1 }', code: 'assert.deepEqual(obj(), { a: 1 });' },
+];
+
+// Whether each of TESTS passed for `code`
+async function passes(code) {
+  const results = await runTests(code, TESTS, { timeoutMs: 1000 });
+  return results.map((r) => r.passed);
+}
+
+test('passes a correct solution', async () => {
+  assert.deepEqual(await passes('function arr() { return [1, 2]; }\nfunction obj() { return { a: 1 }; }'), [true, true]);
+});
+
+test('fails a wrong solution', async () => {
+  assert.deepEqual(await passes('function arr() { return [9, 9]; }\nfunction obj() { return { b: undefined }; }'), [false, false]);
+});
+
+test('fails a wrong solution that replaces built-ins', async () => {
+  const code = `
+    Array.prototype.every = () => true;
+    Array.prototype.some = () => false;
+    Object.keys = () => [];
+    Object.getPrototypeOf = () => null;
+    Array.isArray = () => true;
+    function arr() { return [9, 9]; }
+    function obj() { return { a: 2 }; }
+  `;
+  assert.deepEqual(await passes(code), [false, false]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const passwords = require('../lib/password');
+const { readJsonData, importJsonData, readPgData, exportJsonData } = require('../lib/transfer');
+const { createJsonStore } = require('../lib/store/json');
+const { createMigratedDatabase } = require('./helpers/pgMem');
+
+// Data files as the JSON server wrote them before roles, password
+// hashing, level completions and the event log being a log
+const LEGACY_FILES = {
+  'users.json': [
+    { id: 1, name: 'Ada', email: 'ada@example.com', password: 'plain secret', courses: [{ id: 1, progress: 100 }] },
+    {
+      id: 2,
+      name: 'Bob',
+      email: 'bob@example.com',
+      passwordHash: crypto.createHash('sha256').update('hashed secret').digest('hex'),
+      courses: [{ id: 1, progress: 50 }],
+    },
+  ],
+  'courses.json': [{ id: 1, title: 'Course', description: 'About it' }],
+  'levels.json': [
+    { id: 1, courseId: 1, title: 'One', position: 1 },
+    { id: 2, courseId: 1, title: 'Two', position: 2 },
+  ],
+  'submissions.json': [{ id: 4, userId: 2, levelId: 1, content: 'Done', createdAt: '2024-01-02T03:04:05.000Z' }],
+  'knowledge.json': [{ id: 3, title: 'Loops', content: 'for and while', tags: ['basics'], levelIds: [1] }],
+  'events.json': [{ id: 7, userId: 2, type: 'course_view', courseId: 1, data: null, createdAt: '2024-01-02T03:00:00.000Z' }],
+};
+
+// A fresh directory, removed after the test
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfer-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// A migrated database and a client checked out of it, released after
+// the test
+async function connect(t) {
+  const { pool, sequences } = await createMigratedDatabase();
+  const client = await pool.connect();
+  t.after(() => client.release());
+  return { client, sequences };
+}
+
+test('imports old data files with user 1 as the admin', async (t) => {
+  const dataDir = tempDir(t);
+  for (const [name, records] of Object.entries(LEGACY_FILES)) {
+    fs.writeFileSync(path.join(dataDir, name), JSON.stringify(records));
+  }
+  const { client, sequences } = await connect(t);
+
+  const report = await importJsonData(client, readJsonData(dataDir));
+  assert.deepEqual(report.conflicts, []);
+  assert.equal(report.imported.users, 2);
+  assert.equal(report.imported.completions, 2, 'both levels of the course Ada had at 100 percent');
+  assert.equal(report.imported.events, 1);
+  const users = (await client.query('SELECT id, role, password_hash FROM users ORDER BY id')).rows;
+  assert.deepEqual(users.map((u) => u.role), ['admin', 'learner']);
+  assert.equal((await passwords.verifyPassword('plain secret', users[0].password_hash)).valid, true);
+  assert.equal((await passwords.verifyPassword('hashed secret', users[1].password_hash)).valid, true);
+  assert.equal(sequences.get('users_id_seq'), 3);
+  assert.equal(sequences.get('submissions_id_seq'), 5);
+
+  const again = await importJsonData(client, readJsonData(dataDir));
+  assert.deepEqual(again.conflicts, []);
+  for (const name of ['users', 'courses', 'levels', 'submissions', 'knowledge']) {
+    assert.equal(again.imported[name], 0, name);
+  }
+  // pg-mem returns rows from ON CONFLICT DO NOTHING, so completions and
+  // enrollments are counted from the tables
+  const count = async (table) => (await client.query(`SELECT COUNT(*)::int AS count FROM ${table}`)).rows[0].count;
+  assert.equal(await count('level_completions'), 2);
+  assert.equal(await count('user_courses'), 2);
+});
+
+test('exports data that imports into the same database again', async (t) => {
+  const legacyDir = tempDir(t);
+  for (const [name, records] of Object.entries(LEGACY_FILES)) {
+    fs.writeFileSync(path.join(legacyDir, name), JSON.stringify(records));
+  }
+  const first = await connect(t);
+  await importJsonData(first.client, readJsonData(legacyDir));
+
+  const exportDir = tempDir(t);
+  const counts = await exportJsonData(first.client, exportDir);
+  assert.equal(counts.users, 2);
+  assert.equal(counts.completions, 2);
+  assert.equal(counts.events, 1);
+
+  const second = await connect(t);
+  const report = await importJsonData(second.client, readJsonData(exportDir));
+  assert.deepEqual(report.conflicts, []);
+  assert.deepEqual(await readPgData(second.client), await readPgData(first.client));
+
+  const store = createJsonStore({ dataDir: exportDir });
+  assert.equal((await store.getUser(1)).role, 'admin');
+  assert.equal((await store.getCourseProgress(1, 1)).progress, 100);
+  assert.equal((await store.getCourseProgress(2, 1)).progress, 0);
+  assert.deepEqual((await store.findEvents({ userId: 2, sort: 'createdAt' })).items.map((e) => e.id), [7]);
+});